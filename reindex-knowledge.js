@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+
+/**
+ * Re-index the Knowledge Base
+ * Chunks and embeds the documents in KNOWLEDGE_BASE_DIR into the local index.
+ * A running server picks the new index up via POST /api/knowledge/reindex.
+ */
+
+require('dotenv').config();
+const config = require('./src/config');
+const knowledgeBaseService = require('./src/services/knowledgeBase');
+
+async function reindex() {
+    try {
+        console.log(`📚 Indexing documents in ${config.knowledgeBase.dir}`);
+
+        const stats = await knowledgeBaseService.reindex();
+
+        console.log(`✅ Indexed ${stats.chunks} chunks from ${stats.files} files (${stats.embedded} newly embedded)`);
+        console.log(`💾 Index written to ${config.knowledgeBase.indexPath}`);
+        process.exit(0);
+
+    } catch (error) {
+        console.error('❌ Failed to re-index knowledge base:', error.message);
+        process.exit(1);
+    }
+}
+
+reindex();
@@ -3,6 +3,7 @@
  * Conversational AI Server with Twilio + ElevenLabs + OpenAI
  */
 
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -10,6 +11,10 @@ const bodyParser = require('body-parser');
 
 const config = require('./config');
 const logger = require('./utils/logger');
+const resilience = require('./utils/resilience');
+const ttsCache = require('./services/ttsCache');
+const audioStorage = require('./services/audioStorage');
+const audioJanitor = require('./services/audioJanitor');
 
 // Initialize Express app
 const app = express();
@@ -48,6 +53,17 @@ app.get('/health', (req, res) => {
                 elevenlabs: !!config.elevenlabs.apiKey
             };
         }
+
+        // Circuit breakers of the APIs called so far; an open one means calls are failing fast
+        healthStatus.breakers = resilience.getBreakerStates();
+        if (Object.values(healthStatus.breakers).some(breaker => breaker.state === 'open')) {
+            healthStatus.status = 'degraded';
+        }
+
+        healthStatus.audioStorage = audioStorage.getStatus();
+        // Local audio files and disk space as of the janitor's last sweep
+        healthStatus.audioFiles = audioJanitor.getStats();
+        healthStatus.ttsCache = ttsCache.getStats();
         
         res.status(200).json(healthStatus);
     } catch (error) {
@@ -68,30 +84,74 @@ app.get('/', (req, res) => {
         endpoints: {
             health: '/health',
             voice: '/webhook/voice',
-            status: '/webhook/status'
+            status: '/webhook/status',
+            mediaStream: config.mediaStreams.path
         }
     });
 });
 
-// Import voice controller
+// Import middleware
+const validateTwilioSignature = require('./middleware/twilioSignature');
+const requireApiKey = require('./middleware/apiKey');
+
+// Import voice controllers
 const voiceController = require('./controllers/voice');
+const mediaStreamController = require('./controllers/mediaStream');
+const recordingController = require('./controllers/recording');
+const smsController = require('./controllers/sms');
+const knowledgeController = require('./controllers/knowledge');
+const personaController = require('./controllers/personas');
+
+// Every Twilio webhook must carry a valid X-Twilio-Signature
+// (the Media Streams WebSocket checks it on upgrade, see mediaStream.attach)
+app.use('/webhook', validateTwilioSignature);
 
 // Voice webhook endpoints
 app.post('/webhook/voice', voiceController.handleIncomingCall.bind(voiceController));
 app.post('/webhook/process-speech', voiceController.processSpeech.bind(voiceController));
+app.post('/webhook/menu', voiceController.handleMenuInput.bind(voiceController));
+app.post('/webhook/reply-continue', voiceController.handleReplyContinue.bind(voiceController));
+app.post('/webhook/transfer-whisper', voiceController.handleTransferWhisper.bind(voiceController));
+app.post('/webhook/transfer-complete', voiceController.handleTransferComplete.bind(voiceController));
 app.post('/webhook/status', voiceController.handleCallStatus.bind(voiceController));
+app.post('/webhook/recording-status', recordingController.handleRecordingStatus.bind(recordingController));
+
+// Messaging webhook endpoint
+app.post('/webhook/sms', smsController.handleIncomingSms.bind(smsController));
 
 // Import services for testing
 const openaiService = require('./services/openai');
 const elevenLabsService = require('./services/elevenlabs');
-const path = require('path');
+const knowledgeBaseService = require('./services/knowledgeBase');
+const personaService = require('./services/personas');
+const twilioService = require('./services/twilio');
+const recordingService = require('./services/recording');
 
 // API endpoints for monitoring and testing
 app.get('/api/conversations', voiceController.getConversationStats.bind(voiceController));
 app.post('/api/test-call', voiceController.makeTestCall.bind(voiceController));
+app.get('/api/recordings/:callSid', requireApiKey, recordingController.listRecordings.bind(recordingController));
+app.get('/api/recordings/:callSid/:recordingSid', requireApiKey, recordingController.downloadRecording.bind(recordingController));
+app.get('/api/knowledge', requireApiKey, knowledgeController.getStatus.bind(knowledgeController));
+app.post('/api/knowledge/reindex', requireApiKey, knowledgeController.reindex.bind(knowledgeController));
+app.get('/api/personas', requireApiKey, personaController.list.bind(personaController));
+app.post('/api/personas/reload', requireApiKey, personaController.reload.bind(personaController));
+
+// Serve audio files for Twilio when they are stored on local disk (cached phrases may live elsewhere)
+app.use('/audio/cache', express.static(config.ttsCache.dir));
+// Archived call audio sits in the same directory but only leaves through /api/recordings;
+// the path is decoded and normalized first, as express.static does, so encodings can't reach it
+const serveAudio = express.static(config.storage.localDir);
+app.use('/audio', (req, res, next) => {
+    let key;
+    try {
+        key = path.posix.normalize(decodeURIComponent(req.path)).replace(/^\/+/, '');
+    } catch (error) {
+        return next();
+    }
 
-// Serve audio files for Twilio
-app.use('/audio', express.static(path.join(process.cwd(), 'temp', 'audio')));
+    return audioJanitor.isArchived(key) ? next() : serveAudio(req, res, next);
+});
 
 // OpenAI test endpoint
 app.get('/api/test-openai', async (req, res) => {
@@ -144,6 +204,14 @@ function startServer() {
         // Validate configuration
         config.validateConfig();
         
+        if (config.twilio.skipSignatureValidation) {
+            if (config.server.environment === 'production') {
+                logger.warn('TWILIO_SKIP_SIGNATURE_VALIDATION is ignored in production');
+            } else {
+                logger.warn('⚠️ Twilio signature validation is disabled (development bypass)');
+            }
+        }
+        
         // Start listening
         const PORT = process.env.PORT || config.server.port || 3000;
         const HOST = process.env.HOST || '0.0.0.0'; // Railway requires 0.0.0.0
@@ -162,7 +230,7 @@ function startServer() {
             logger.info('📋 Configuration Summary', {
                 twilio: {
                     phone: config.twilio.phoneNumber,
-                    webhookUrl: config.twilio.webhookUrl
+                    publicBaseUrl: config.server.publicBaseUrl || '(from request headers)'
                 },
                 openai: {
                     model: config.openai.model,
@@ -175,6 +243,25 @@ function startServer() {
             });
         });
         
+        // Real-time Media Streams bridge shares the HTTP server
+        mediaStreamController.attach(server);
+
+        knowledgeBaseService.initialize();
+        personaService.initialize();
+        audioJanitor.start();
+
+        // Voice the fixed phrases up front so greetings and reprompts don't fall back to Twilio's voice
+        if (config.ttsCache.prewarm) {
+            elevenLabsService.prewarm(personaService.getFixedPhrases([
+                ...twilioService.getBuiltInPhrases(),
+                ...config.noInput.reprompts,
+                config.noInput.goodbye,
+                recordingService.getDisclosure()
+            ])).catch(error => {
+                logger.error('Failed to pre-warm TTS cache', { error: error.message });
+            });
+        }
+        
         // Graceful shutdown
         process.on('SIGTERM', () => {
             logger.info('SIGTERM received, shutting down gracefully');
@@ -5,6 +5,7 @@
  */
 
 require('dotenv').config();
+const path = require('path');
 
 // Helper function to safely get environment variables
 function getEnvVar(name, defaultValue = null) {
@@ -16,12 +17,25 @@ function getEnvVar(name, defaultValue = null) {
     }
 }
 
+// Helper function to read a comma-separated environment variable as a list
+function getListEnvVar(name, defaultValue = '') {
+    return getEnvVar(name, defaultValue)
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
 const config = {
     // Server Configuration
     server: {
         port: parseInt(getEnvVar('PORT', '3000')),
         host: getEnvVar('HOST', '0.0.0.0'), // Railway needs 0.0.0.0
-        environment: getEnvVar('NODE_ENV', 'development')
+        environment: getEnvVar('NODE_ENV', 'development'),
+        // Key for the /api/recordings endpoints (Authorization: Bearer <key> or X-API-Key)
+        apiKey: getEnvVar('API_KEY'),
+        // Externally reachable URL Twilio uses to call back (e.g. https://app.up.railway.app)
+        // When unset it is derived from the forwarded host headers of each request
+        publicBaseUrl: getEnvVar('PUBLIC_BASE_URL')
     },
 
     // Twilio Configuration (optional for startup)
@@ -29,7 +43,9 @@ const config = {
         accountSid: getEnvVar('TWILIO_ACCOUNT_SID'),
         authToken: getEnvVar('TWILIO_AUTH_TOKEN'),
         phoneNumber: getEnvVar('TWILIO_PHONE_NUMBER'),
-        webhookUrl: getEnvVar('TWILIO_WEBHOOK_URL', 'http://localhost:3000/webhook/voice')
+        webhookUrl: getEnvVar('TWILIO_WEBHOOK_URL', 'http://localhost:3000/webhook/voice'),
+        // Local development only - ignored when NODE_ENV=production
+        skipSignatureValidation: getEnvVar('TWILIO_SKIP_SIGNATURE_VALIDATION', 'false') === 'true'
     },
 
     // OpenAI Configuration (optional for startup)
@@ -48,13 +64,213 @@ const config = {
         stability: parseFloat(process.env.ELEVENLABS_STABILITY) || 0.5,
         similarityBoost: parseFloat(process.env.ELEVENLABS_SIMILARITY_BOOST) || 0.8,
         style: parseFloat(process.env.ELEVENLABS_STYLE) || 0.0,
-        useSpeakerBoost: process.env.ELEVENLABS_USE_SPEAKER_BOOST === 'true'
+        useSpeakerBoost: process.env.ELEVENLABS_USE_SPEAKER_BOOST === 'true',
+        timeoutMs: parseInt(getEnvVar('ELEVENLABS_TIMEOUT_MS', '5000')),
+        // Point at a local fake server for tests (http is fine)
+        baseUrl: getEnvVar('ELEVENLABS_BASE_URL', 'https://api.elevenlabs.io'),
+        // 0 (none) to 4 (fastest, text normalization off) - trades quality for time to first audio
+        optimizeStreamingLatency: parseInt(getEnvVar('ELEVENLABS_OPTIMIZE_STREAMING_LATENCY', '3'))
+    },
+
+    // Where audio for <Play> is stored and served from (see src/services/audioStorage.js)
+    storage: {
+        // local (this server's disk, served on /audio) or s3 (any S3-compatible bucket)
+        backend: getEnvVar('AUDIO_STORAGE', 'local'),
+        localDir: getEnvVar('AUDIO_STORAGE_DIR', path.join(process.cwd(), 'temp', 'audio')),
+        s3: {
+            // Unset for AWS; e.g. http://localhost:9000 for MinIO
+            endpoint: getEnvVar('S3_ENDPOINT'),
+            region: getEnvVar('S3_REGION', 'us-east-1'),
+            bucket: getEnvVar('S3_BUCKET'),
+            accessKeyId: getEnvVar('S3_ACCESS_KEY_ID'),
+            secretAccessKey: getEnvVar('S3_SECRET_ACCESS_KEY'),
+            prefix: getEnvVar('S3_PREFIX', 'audio/'),
+            // bucket.host/key (AWS) or host/bucket/key (most S3-compatible servers)
+            forcePathStyle: getEnvVar('S3_FORCE_PATH_STYLE', getEnvVar('S3_ENDPOINT') ? 'true' : 'false') === 'true',
+            // Public (or CDN) URL of the bucket; unset: Twilio gets presigned URLs
+            publicUrl: getEnvVar('S3_PUBLIC_URL'),
+            presignExpiresSeconds: parseInt(getEnvVar('S3_PRESIGN_EXPIRES_SECONDS', '3600')),
+            timeoutMs: parseInt(getEnvVar('S3_TIMEOUT_MS', '5000'))
+        }
+    },
+
+    // Cleanup of audio files (see src/services/audioJanitor.js)
+    audioJanitor: {
+        intervalMs: parseInt(getEnvVar('AUDIO_JANITOR_INTERVAL_MS', '300000')),
+        maxAgeHours: parseFloat(getEnvVar('AUDIO_MAX_AGE_HOURS', '2')),
+        maxBytes: parseInt(getEnvVar('AUDIO_MAX_SIZE_MB', '500')) * 1024 * 1024,
+        // Files are kept at least this long after they are written, in case Twilio is still fetching them
+        fetchGraceMs: parseInt(getEnvVar('AUDIO_FETCH_GRACE_MS', '120000'))
+    },
+
+    // Synthesized phone audio reused for identical phrases (see src/services/ttsCache.js)
+    ttsCache: {
+        enabled: getEnvVar('TTS_CACHE_ENABLED', 'true') === 'true',
+        dir: getEnvVar('TTS_CACHE_DIR', path.join(process.cwd(), 'temp', 'audio', 'cache')),
+        maxBytes: parseInt(getEnvVar('TTS_CACHE_MAX_MB', '100')) * 1024 * 1024,
+        maxEntries: parseInt(getEnvVar('TTS_CACHE_MAX_ENTRIES', '2000')),
+        // Voice each persona's greeting and fixed messages at startup
+        prewarm: getEnvVar('TTS_CACHE_PREWARM', 'true') === 'true'
+    },
+
+    // Media Streams (real-time WebSocket audio bridge)
+    mediaStreams: {
+        // Comma-separated list of Twilio numbers that use streaming instead of <Gather>
+        numbers: getListEnvVar('MEDIA_STREAM_NUMBERS'),
+        path: getEnvVar('MEDIA_STREAM_PATH', '/media-stream'),
+        sttModel: getEnvVar('MEDIA_STREAM_STT_MODEL', 'whisper-1'),
+        energyThreshold: parseInt(getEnvVar('MEDIA_STREAM_ENERGY_THRESHOLD', '500')),
+        silenceMs: parseInt(getEnvVar('MEDIA_STREAM_SILENCE_MS', '700')),
+        minSpeechMs: parseInt(getEnvVar('MEDIA_STREAM_MIN_SPEECH_MS', '300')),
+        maxUtteranceMs: parseInt(getEnvVar('MEDIA_STREAM_MAX_UTTERANCE_MS', '15000'))
+    },
+
+    // Voice replies sentence by sentence while OpenAI is still writing them
+    replyStreaming: {
+        enabled: getEnvVar('REPLY_STREAMING_ENABLED', 'true') === 'true'
+    },
+
+    // Let callers interrupt the assistant while it is speaking
+    bargeIn: {
+        enabled: getEnvVar('BARGE_IN_ENABLED', 'true') === 'true',
+        // Media Streams: continuous caller speech needed to cut the assistant off
+        minSpeechMs: parseInt(getEnvVar('BARGE_IN_MIN_SPEECH_MS', '400'))
+    },
+
+    // What happens when the caller goes quiet: reprompts, then an offer of
+    // the keypad or a person, then a polite goodbye
+    noInput: {
+        timeout: parseInt(getEnvVar('NO_INPUT_TIMEOUT', '10')),
+        reprompts: getListEnvVar('NO_INPUT_REPROMPTS', 'Are you still there?,I\'m still here whenever you\'re ready.'),
+        offerAlternatives: getEnvVar('NO_INPUT_OFFER_ALTERNATIVES', 'true') === 'true',
+        goodbye: getEnvVar('NO_INPUT_GOODBYE', 'It sounds like now isn\'t a good time. Thank you for calling, goodbye!')
+    },
+
+    // Answering-machine detection for outbound calls
+    amd: {
+        enabled: getEnvVar('AMD_ENABLED', 'true') === 'true',
+        // DetectMessageEnd waits for the beep so the voicemail lands on the recording
+        mode: getEnvVar('AMD_MODE', 'DetectMessageEnd'),
+        timeout: parseInt(getEnvVar('AMD_TIMEOUT', '30')),
+        // {name} ("there" if unknown) and {callbackNumber} are filled in; VOICEMAIL_PERSONALIZE=true lets the model write it instead
+        voicemailMessage: getEnvVar('VOICEMAIL_MESSAGE', 'Hi {name}, this is the AI assistant calling. Sorry we missed you. Please call us back at {callbackNumber} whenever it suits you. Thank you, and have a great day!'),
+        personalizeVoicemail: getEnvVar('VOICEMAIL_PERSONALIZE', 'false') === 'true'
+    },
+
+    // Call recording for QA
+    recording: {
+        enabled: getEnvVar('RECORDING_ENABLED', 'false') === 'true',
+        channels: getEnvVar('RECORDING_CHANNELS', 'dual'),
+        disclosure: getEnvVar('RECORDING_DISCLOSURE', 'This call may be recorded for quality and training purposes.'),
+        optOutPhrases: getListEnvVar('RECORDING_OPT_OUT_PHRASES', 'don\'t record,do not record,stop recording,stop the recording,no recording'),
+        // Days the assistant's audio of recorded calls is archived for (0: deleted when the call ends)
+        retentionDays: parseFloat(getEnvVar('RECORDING_RETENTION_DAYS', '0'))
+    },
+
+    // Text messaging: inbound conversations and post-call follow-up
+    sms: {
+        sessionTimeoutHours: parseInt(getEnvVar('SMS_SESSION_TIMEOUT_HOURS', '24')),
+        followUpEnabled: getEnvVar('SMS_FOLLOWUP_ENABLED', 'false') === 'true',
+        templatesPath: getEnvVar('SMS_TEMPLATES_PATH', path.join(__dirname, 'sms-templates.json')),
+        optOutFile: getEnvVar('SMS_OPT_OUT_FILE', path.join(process.cwd(), 'temp', 'sms-opt-outs.json'))
+    },
+
+    // Timeouts, retries and circuit breakers for outbound API calls (see src/utils/resilience.js)
+    resilience: {
+        // Default per-attempt timeout; turns also cap every call at the time left in RESPONSE_TIMEOUT
+        timeoutMs: parseInt(getEnvVar('API_TIMEOUT_MS', '8000')),
+        retries: parseInt(getEnvVar('API_MAX_RETRIES', '2')),
+        retryBaseMs: parseInt(getEnvVar('API_RETRY_BASE_MS', '250')),
+        retryMaxMs: parseInt(getEnvVar('API_RETRY_MAX_MS', '2000')),
+        breakerThreshold: parseInt(getEnvVar('CIRCUIT_BREAKER_THRESHOLD', '5')),
+        breakerResetMs: parseInt(getEnvVar('CIRCUIT_BREAKER_RESET_MS', '30000'))
+    },
+
+    // LLM providers and per-persona fallback chains (see src/services/llm.js)
+    llm: {
+        providersPath: getEnvVar('LLM_PROVIDERS_PATH', path.join(__dirname, 'llm-providers.json')),
+        // Replaces the default chain, e.g. "openai,local", or "stub" to run without network
+        chain: getListEnvVar('LLM_PROVIDER_CHAIN'),
+        // Per-attempt timeout; streamed replies time out when no output arrives for this long
+        timeoutMs: parseInt(getEnvVar('LLM_TIMEOUT_MS', '8000')),
+        stubReply: getEnvVar('LLM_STUB_REPLY', 'You said: {input}. This is a test reply from the offline stub assistant.')
+    },
+
+    // Personas: prompts, greeting, voice and model per number (see src/services/personas.js)
+    personas: {
+        dir: getEnvVar('PERSONAS_DIR', path.join(__dirname, 'personas')),
+        // Reload persona files as soon as they change
+        watch: getEnvVar('PERSONAS_WATCH', 'true') === 'true'
+    },
+
+    // Guardrails: checks on caller input and assistant output (see src/services/guardrails.js)
+    guardrails: {
+        enabled: getEnvVar('GUARDRAILS_ENABLED', 'true') === 'true',
+        path: getEnvVar('GUARDRAILS_PATH', path.join(__dirname, 'guardrails.json'))
+    },
+
+    // Cost accounting and spending caps (see src/services/costs.js)
+    costs: {
+        pricingPath: getEnvVar('COST_PRICING_PATH', path.join(__dirname, 'pricing.json')),
+        ledgerFile: getEnvVar('COST_LEDGER_FILE', path.join(process.cwd(), 'temp', 'costs.json')),
+        // Caps in the price table's currency (0 = no cap)
+        callCap: parseFloat(getEnvVar('COST_CAP_PER_CALL', '0')),
+        dailyCap: parseFloat(getEnvVar('COST_CAP_PER_DAY', '0')),
+        // What happens once a cap is reached: 'downgrade' to COST_FALLBACK_MODEL, or 'wrap-up' the call
+        capAction: getEnvVar('COST_CAP_ACTION', 'downgrade'),
+        fallbackModel: getEnvVar('COST_FALLBACK_MODEL', 'gpt-4.1-mini')
+    },
+
+    // Knowledge base: documents the assistant answers from (see src/services/knowledgeBase.js)
+    knowledgeBase: {
+        enabled: getEnvVar('KNOWLEDGE_BASE_ENABLED', 'false') === 'true',
+        dir: getEnvVar('KNOWLEDGE_BASE_DIR', path.join(process.cwd(), 'knowledge')),
+        indexPath: getEnvVar('KNOWLEDGE_BASE_INDEX_PATH', path.join(process.cwd(), 'temp', 'knowledge-index.json')),
+        embeddingModel: getEnvVar('KNOWLEDGE_BASE_EMBEDDING_MODEL', 'text-embedding-3-small'),
+        // Chunk length and overlap in characters
+        chunkSize: parseInt(getEnvVar('KNOWLEDGE_BASE_CHUNK_SIZE', '800')),
+        chunkOverlap: parseInt(getEnvVar('KNOWLEDGE_BASE_CHUNK_OVERLAP', '100')),
+        // Passages added to the prompt per turn, and the similarity (0-1) they need
+        topK: parseInt(getEnvVar('KNOWLEDGE_BASE_TOP_K', '3')),
+        minScore: parseFloat(getEnvVar('KNOWLEDGE_BASE_MIN_SCORE', '0.3'))
+    },
+
+    // IVR keypad menus (declarative JSON definition)
+    ivr: {
+        enabled: getEnvVar('IVR_ENABLED', 'false') === 'true',
+        menuPath: getEnvVar('IVR_MENU_PATH', path.join(__dirname, 'ivr-menu.json'))
+    },
+
+    // Warm transfer to a human agent
+    transfer: {
+        // One agent number, or a comma-separated ring group (first to answer gets the call)
+        agentNumbers: getListEnvVar('TRANSFER_AGENT_NUMBERS'),
+        callerId: getEnvVar('TRANSFER_CALLER_ID', getEnvVar('TWILIO_PHONE_NUMBER')),
+        timeout: parseInt(getEnvVar('TRANSFER_TIMEOUT', '20')),
+        keywords: getListEnvVar('TRANSFER_KEYWORDS', 'representative,operator,real person,human being,speak to someone,talk to someone,customer service'),
+        onFrustration: getEnvVar('TRANSFER_ON_FRUSTRATION', 'true') === 'true'
+    },
+
+    // Functions the assistant can call during a conversation (see src/services/tools.js)
+    tools: {
+        enabled: getEnvVar('TOOLS_ENABLED', 'true') === 'true',
+        maxRounds: parseInt(getEnvVar('TOOLS_MAX_ROUNDS', '3')),
+        // Order lookup endpoint, e.g. https://shop.example.com/api/orders/{orderNumber}
+        orderLookupUrl: getEnvVar('ORDER_LOOKUP_URL'),
+        orderLookupToken: getEnvVar('ORDER_LOOKUP_TOKEN')
+    },
+
+    // Conversation history sent to OpenAI: once the recent messages exceed the
+    // token budget, the oldest are folded into a running summary in the background
+    history: {
+        tokenBudget: parseInt(getEnvVar('HISTORY_TOKEN_BUDGET', '1500')),
+        summaryMaxTokens: parseInt(getEnvVar('HISTORY_SUMMARY_MAX_TOKENS', '300'))
     },
 
     // Application Settings
     app: {
-        maxConversationLength: parseInt(process.env.MAX_CONVERSATION_LENGTH) || 10,
-        responseTimeout: parseInt(process.env.RESPONSE_TIMEOUT) || 30000,
+        // Time budget for one conversation turn; Twilio gives up on a webhook after 15 seconds
+        responseTimeout: parseInt(process.env.RESPONSE_TIMEOUT) || 12000,
         enableLogging: process.env.ENABLE_LOGGING !== 'false',
         logLevel: process.env.LOG_LEVEL || 'info'
     }
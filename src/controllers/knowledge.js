@@ -0,0 +1,36 @@
+/**
+ * Knowledge Controller
+ * API to inspect and rebuild the knowledge base index
+ */
+
+const knowledgeBaseService = require('../services/knowledgeBase');
+const logger = require('../utils/logger');
+
+class KnowledgeController {
+    /**
+     * Show what is indexed
+     */
+    getStatus(req, res) {
+        res.json(knowledgeBaseService.getStatus());
+    }
+
+    /**
+     * Re-index the knowledge base directory
+     */
+    async reindex(req, res) {
+        try {
+            const stats = await knowledgeBaseService.reindex();
+            res.json(stats);
+
+        } catch (error) {
+            logger.error('Knowledge base re-index failed', { error: error.message });
+
+            res.status(500).json({
+                error: 'Failed to re-index knowledge base',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new KnowledgeController();
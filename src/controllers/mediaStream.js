@@ -0,0 +1,708 @@
+/**
+ * Media Stream Controller
+ * Bridges Twilio Media Streams (<Connect><Stream>) over WebSocket:
+ * caller μ-law audio in -> speech-to-text -> OpenAI -> ElevenLabs μ-law audio out
+ */
+
+const WebSocket = require('ws');
+
+const twilioService = require('../services/twilio');
+const openaiService = require('../services/openai');
+const elevenLabsService = require('../services/elevenlabs');
+const costTracker = require('../services/costs');
+const voiceController = require('./voice');
+const conversationManager = require('../utils/conversation');
+const audio = require('../utils/audio');
+const resilience = require('../utils/resilience');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { getUpgradeBaseUrl } = require('../utils/publicUrl');
+const { validateUpgradeSignature } = require('../middleware/twilioSignature');
+
+// Submit typed digits after this long without another key press
+const KEYPAD_PAUSE_MS = 4000;
+
+/**
+ * Check that a parsed message field is a plain object
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * State for a single Twilio media stream (one per call)
+ */
+class StreamConnection {
+    constructor(ws, baseUrl) {
+        this.ws = ws;
+        this.callSid = null;
+        this.streamSid = null;
+        // Taken from the upgrade request, never from the (client supplied) start message
+        this.baseUrl = baseUrl;
+
+        // Utterance detection state
+        this.frames = [];
+        this.speaking = false;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+        this.utteranceMs = 0;
+
+        // Keypad digits collected from dtmf events
+        this.digits = '';
+        this.digitTimer = null;
+        this.keypad = null;
+
+        // True while a reply is being generated or played back
+        this.busy = false;
+        this.markCount = 0;
+        this.pendingMark = null;
+        this.playbackStartedAt = null;
+
+        // Streamed replies: sentences are sent while the rest is being written.
+        // Each reply is a turn; barging in moves on to the next turn.
+        this.turn = 0;
+        this.replyPending = false;
+        this.streamedMs = 0;
+        this.interruptedTurn = null;
+
+        // TwiML to switch the call to once the current reply finishes playing
+        this.pendingTwiml = null;
+
+        // Fires when the caller stays silent after a reply (see config.noInput)
+        this.noInputTimer = null;
+
+        // Whatever a message sets off (transcription, replies, reprompts) is charged to the call
+        ws.on('message', (data) => costTracker.track(this.getSession(), () => this.handleMessage(data)));
+        ws.on('close', () => this.handleClose());
+        ws.on('error', (error) => {
+            logger.error('Media stream socket error', {
+                error: error.message,
+                callSid: this.callSid
+            });
+        });
+    }
+
+    /**
+     * The call's conversation session, once the stream has started
+     */
+    getSession() {
+        return this.callSid ? conversationManager.findSession(this.callSid) : null;
+    }
+
+    /**
+     * Dispatch a Twilio Media Streams message. Messages come from the network,
+     * so their shape is checked and a bad one is dropped, never allowed to throw.
+     */
+    handleMessage(data) {
+        let message;
+
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            message = null;
+        }
+
+        if (!isObject(message)) {
+            logger.warn('Ignoring malformed media stream message', { callSid: this.callSid });
+            return;
+        }
+
+        // Nothing but the handshake means anything before the stream is bound to a call
+        if (!this.callSid && !['connected', 'start'].includes(message.event)) {
+            logger.debug('Ignoring media stream event before start', { event: message.event });
+            return;
+        }
+
+        try {
+            switch (message.event) {
+                case 'connected':
+                    logger.debug('Media stream connected', { protocol: message.protocol });
+                    break;
+
+                case 'start':
+                    if (!isObject(message.start)) return this.ignore(message.event);
+                    this.handleStart(message.start);
+                    break;
+
+                case 'media':
+                    if (!isObject(message.media) || typeof message.media.payload !== 'string') {
+                        return this.ignore(message.event);
+                    }
+                    if (!message.media.track || message.media.track === 'inbound') {
+                        this.handleAudio(Buffer.from(message.media.payload, 'base64'));
+                    }
+                    break;
+
+                case 'dtmf':
+                    if (typeof message.dtmf?.digit !== 'string' || !/^[0-9*#]$/.test(message.dtmf.digit)) {
+                        return this.ignore(message.event);
+                    }
+                    this.handleDigit(message.dtmf.digit);
+                    break;
+
+                case 'mark':
+                    if (typeof message.mark?.name !== 'string') return this.ignore(message.event);
+                    this.handleMark(message.mark.name);
+                    break;
+
+                case 'stop':
+                    logger.logCall('stream_stopped', this.callSid, { streamSid: this.streamSid });
+                    break;
+
+                default:
+                    logger.debug('Unhandled media stream event', { event: message.event });
+            }
+
+        } catch (error) {
+            logger.error('Failed to handle media stream message', {
+                error: error.message,
+                event: message.event,
+                callSid: this.callSid
+            });
+        }
+    }
+
+    /**
+     * Drop a message whose payload isn't what Twilio sends
+     */
+    ignore(event) {
+        logger.warn('Ignoring invalid media stream message', { event, callSid: this.callSid });
+    }
+
+    /**
+     * Stream started - bind it to the call's conversation session. Only a call
+     * that was answered and is still in progress can be joined; the stream
+     * never creates a session of its own.
+     */
+    handleStart(start) {
+        if (this.callSid) {
+            return this.ignore('start');
+        }
+
+        const callSid = start.callSid || start.customParameters?.callSid;
+
+        if (typeof callSid !== 'string' || !conversationManager.isActive(callSid)) {
+            logger.warn('Rejected media stream for unknown call', { callSid: String(callSid) });
+            this.ws.close(1008, 'Unknown call');
+            return;
+        }
+
+        this.callSid = callSid;
+        this.streamSid = start.streamSid;
+
+        costTracker.track(this.getSession(), () => this.startNoInputTimer());
+
+        logger.logCall('stream_started', this.callSid, {
+            streamSid: this.streamSid,
+            mediaFormat: start.mediaFormat
+        });
+    }
+
+    /**
+     * A reply is playing that the caller may talk over (transfer announcements can't be cut off)
+     */
+    canInterrupt() {
+        return config.bargeIn.enabled && this.busy && this.pendingMark !== null && !this.pendingTwiml;
+    }
+
+    /**
+     * Energy-based utterance detection on each 20ms inbound frame
+     */
+    handleAudio(frame) {
+        const playing = this.canInterrupt();
+
+        // Caller audio is ignored while the AI is thinking or talking, unless they can barge in
+        if (this.busy && !playing) return;
+
+        const frameMs = frame.length / (audio.SAMPLE_RATE / 1000);
+        const isSpeech = audio.mulawEnergy(frame) >= config.mediaStreams.energyThreshold;
+
+        if (isSpeech) {
+            clearTimeout(this.noInputTimer);
+            this.speaking = true;
+            this.speechMs += frameMs;
+            this.silenceMs = 0;
+        } else if (this.speaking) {
+            this.silenceMs += frameMs;
+        } else {
+            return;
+        }
+
+        this.frames.push(frame);
+        this.utteranceMs += frameMs;
+
+        if (playing) {
+            if (this.speechMs >= config.bargeIn.minSpeechMs) {
+                this.interrupt();
+            } else if (this.silenceMs >= config.mediaStreams.silenceMs) {
+                this.resetUtterance();
+            }
+            return;
+        }
+
+        if (this.silenceMs >= config.mediaStreams.silenceMs ||
+            this.utteranceMs >= config.mediaStreams.maxUtteranceMs) {
+            this.endUtterance();
+        }
+    }
+
+    /**
+     * Caller stopped talking - hand the utterance off for a reply
+     */
+    endUtterance() {
+        const utterance = Buffer.concat(this.frames);
+        const speechMs = this.speechMs;
+
+        this.resetUtterance();
+
+        // Too short to be speech - coughs, clicks, line noise
+        if (speechMs < config.mediaStreams.minSpeechMs) {
+            this.startNoInputTimer();
+            return;
+        }
+
+        this.busy = true;
+        this.respond(utterance);
+    }
+
+    /**
+     * Forget the utterance collected so far
+     */
+    resetUtterance() {
+        this.frames = [];
+        this.speaking = false;
+        this.speechMs = 0;
+        this.silenceMs = 0;
+        this.utteranceMs = 0;
+    }
+
+    /**
+     * Caller talked over the reply: stop playback and keep listening.
+     * The utterance collected so far carries on into normal detection.
+     */
+    interrupt() {
+        this.ws.send(JSON.stringify({
+            event: 'clear',
+            streamSid: this.streamSid
+        }));
+
+        // Playback was cut off when the caller started talking
+        const heardMs = Date.now() - this.playbackStartedAt - this.utteranceMs;
+
+        if (this.replyPending) {
+            // Still being written: stop sending it and note where it was cut off
+            this.interruptedTurn = { turn: this.turn, heardMs };
+            this.turn++;
+            this.replyPending = false;
+        } else {
+            conversationManager.stopPlayback(this.callSid, heardMs);
+        }
+
+        logger.logCall('barge_in', this.callSid, { heardMs: Math.round(heardMs) });
+
+        this.pendingMark = null;
+        this.busy = false;
+    }
+
+    /**
+     * Collect keypad digits until '#', the requested length, or a pause
+     */
+    handleDigit(digit) {
+        // A key press cuts the reply off too
+        if (this.canInterrupt()) {
+            this.interrupt();
+        }
+
+        if (this.busy) return;
+
+        clearTimeout(this.digitTimer);
+        clearTimeout(this.noInputTimer);
+
+        if (digit !== '#') {
+            this.digits += digit;
+        }
+
+        const complete = digit === '#' ||
+            (this.keypad?.numDigits && this.digits.length >= this.keypad.numDigits);
+
+        if (complete) {
+            this.submitDigits();
+        } else {
+            this.digitTimer = setTimeout(() => this.submitDigits(), KEYPAD_PAUSE_MS);
+        }
+    }
+
+    /**
+     * Send collected keypad digits to the assistant as a user turn
+     */
+    submitDigits() {
+        clearTimeout(this.digitTimer);
+
+        const digits = this.digits;
+        this.digits = '';
+        if (!digits || this.busy) return;
+
+        logger.logCall('keypad_received', this.callSid, { digitCount: digits.length });
+
+        this.busy = true;
+        this.reply(voiceController.formatKeypadInput(digits), { input: 'dtmf' }, Date.now());
+    }
+
+    /**
+     * Transcribe the utterance, then reply to it
+     */
+    async respond(utterance) {
+        const startTime = Date.now();
+
+        try {
+            const wav = audio.pcm16ToWav(audio.mulawToPcm16(utterance));
+            const transcription = await openaiService.transcribeAudio(wav, {
+                durationMs: audio.mulawDurationMs(utterance)
+            });
+
+            if (!transcription.text) {
+                logger.debug('Empty transcription, still listening', { callSid: this.callSid });
+                this.listen();
+                return;
+            }
+
+            logger.logConversation('speech_received', this.callSid, transcription.text, {
+                source: 'media-stream'
+            });
+
+            await this.reply(transcription.text, { input: 'speech' }, startTime);
+
+        } catch (error) {
+            logger.error('Error transcribing media stream audio', {
+                error: error.message,
+                callSid: this.callSid
+            });
+
+            conversationManager.recordError(this.callSid, error, { source: 'media-stream' });
+            this.listen();
+        }
+    }
+
+    /**
+     * Generate a reply to the caller's input and stream it back
+     */
+    async reply(userText, metadata, startTime) {
+        const turn = ++this.turn;
+
+        try {
+            // API calls for this turn share what's left of RESPONSE_TIMEOUT
+            await resilience.withDeadline(config.app.responseTimeout - (Date.now() - startTime), async () => {
+                const replyMetadata = { ...metadata, source: 'media-stream' };
+                const aiResult = config.replyStreaming.enabled
+                    ? await this.streamReply(turn, userText, replyMetadata, startTime)
+                    : await voiceController.generateReply(this.callSid, userText, replyMetadata);
+
+                // The caller barged in while the reply was still being written - the next turn owns the stream
+                if (turn !== this.turn) return;
+
+                // Remember whether the assistant is now waiting for keypad digits
+                this.keypad = aiResult.keypad;
+
+                // Transfers and hang-ups leave the stream: the call gets new TwiML once the reply has played
+                if (aiResult.transfer) {
+                    this.pendingTwiml = twilioService.generateWarmTransfer(this.baseUrl, this.callSid);
+                } else if (aiResult.endCall) {
+                    this.pendingTwiml = twilioService.generateHangup();
+                }
+
+                if (config.replyStreaming.enabled) {
+                    this.finishStreamedReply(aiResult.response);
+                } else {
+                    await this.speak(aiResult.response);
+                    conversationManager.recordTimeToFirstAudio(this.callSid, Date.now() - startTime);
+                }
+
+                conversationManager.recordResponseTime(this.callSid, Date.now() - startTime);
+            });
+
+        } catch (error) {
+            logger.error('Error responding on media stream', {
+                error: error.message,
+                callSid: this.callSid
+            });
+
+            conversationManager.recordError(this.callSid, error, { source: 'media-stream' });
+
+            if (turn === this.turn) {
+                this.replyPending = false;
+                this.listen();
+            }
+        }
+    }
+
+    /**
+     * Voice the reply sentence by sentence, sending each one as soon as it is ready
+     */
+    async streamReply(turn, userText, metadata, startTime) {
+        const voiceOptions = this.getVoiceOptions();
+        const { pipeline, result } = voiceController.streamReply(this.callSid, userText, metadata, text =>
+            elevenLabsService.generateStreamSpeech(text, voiceOptions).then(speech => ({
+                ...speech,
+                durationMs: audio.mulawDurationMs(speech.audioBuffer)
+            }))
+        );
+
+        this.replyPending = true;
+        this.streamedMs = 0;
+        let played = 0;
+
+        while (!pipeline.isComplete(played)) {
+            const batch = await pipeline.nextBatch(played);
+            played += batch.length;
+
+            // Once the caller barges in, the rest of the reply is not sent
+            if (turn !== this.turn) continue;
+
+            batch.filter(chunk => chunk.audio).forEach(chunk => {
+                if (this.streamedMs === 0) {
+                    this.playbackStartedAt = Date.now();
+                    conversationManager.recordTimeToFirstAudio(this.callSid, Date.now() - startTime);
+
+                    // The caller is hearing the reply - the rest doesn't have to fit in the turn budget
+                    resilience.releaseDeadline();
+                }
+
+                this.streamedMs += chunk.audio.durationMs;
+                this.sendAudio(chunk.audio.audioBuffer);
+            });
+        }
+
+        const aiResult = await result;
+
+        // Cut off mid-stream: the full length was never voiced, so estimate it from the text
+        if (this.interruptedTurn?.turn === turn) {
+            const session = this.getSession();
+            const message = conversationManager.findReply(session, aiResult.response);
+
+            if (message) {
+                conversationManager.markInterrupted(
+                    this.callSid,
+                    message,
+                    this.interruptedTurn.heardMs,
+                    audio.estimateSpeechMs(aiResult.response)
+                );
+            }
+        }
+
+        return aiResult;
+    }
+
+    /**
+     * The whole streamed reply has been sent - wrap up once Twilio has played it
+     */
+    finishStreamedReply(text) {
+        this.replyPending = false;
+
+        const elapsedMs = this.streamedMs > 0 ? Date.now() - this.playbackStartedAt : 0;
+        conversationManager.startPlayback(this.callSid, text, this.streamedMs, elapsedMs);
+
+        // Every sentence has already played (or none could be voiced)
+        if (this.pendingMark === null) {
+            this.finishPlayback();
+        }
+    }
+
+    /**
+     * Voice text with ElevenLabs and stream it to the caller as it arrives.
+     * The end-of-playback mark (which also allows barging in) follows the last chunk.
+     */
+    async speak(text) {
+        let sentMs = 0;
+
+        const speech = await elevenLabsService.generateStreamSpeech(text, {
+            ...this.getVoiceOptions(),
+            onChunk: chunk => {
+                if (sentMs === 0) {
+                    this.playbackStartedAt = Date.now();
+                }
+                sentMs += audio.mulawDurationMs(chunk);
+                this.sendFrames(chunk);
+            }
+        });
+
+        conversationManager.startPlayback(this.callSid, text, sentMs, sentMs > 0 ? Date.now() - this.playbackStartedAt : 0);
+        this.sendMark();
+
+        logger.logConversation('voice_streamed', this.callSid, text, {
+            voiceDuration: speech.duration,
+            audioSize: speech.audioSize
+        });
+    }
+
+    /**
+     * ElevenLabs options for the call's persona
+     */
+    getVoiceOptions() {
+        const session = this.getSession();
+        return { voiceId: conversationManager.getPersona(session).voiceId };
+    }
+
+    /**
+     * Ready for the caller's next turn: accept input and wait for them to speak
+     */
+    listen() {
+        this.busy = false;
+        this.startNoInputTimer();
+    }
+
+    /**
+     * (Re)start the countdown to the next no-input step
+     */
+    startNoInputTimer() {
+        clearTimeout(this.noInputTimer);
+        this.noInputTimer = setTimeout(() => this.handleNoInput(), config.noInput.timeout * 1000);
+    }
+
+    /**
+     * Caller stayed silent - reprompt, offer alternatives or say goodbye
+     */
+    async handleNoInput() {
+        if (this.busy || this.speaking || this.digits) return;
+
+        this.busy = true;
+
+        try {
+            const step = voiceController.getNoInputStep(this.callSid);
+
+            // Hang up once the goodbye has played
+            if (step.action === 'goodbye') {
+                this.pendingTwiml = twilioService.generateHangup();
+            }
+
+            await this.speak(step.message);
+
+        } catch (error) {
+            logger.error('Error handling no input on media stream', {
+                error: error.message,
+                callSid: this.callSid
+            });
+
+            conversationManager.recordError(this.callSid, error, { source: 'media-stream' });
+            this.listen();
+        }
+    }
+
+    /**
+     * Send μ-law audio to Twilio followed by a mark so we know when playback ends
+     */
+    sendAudio(audioBuffer) {
+        this.sendFrames(audioBuffer);
+        this.sendMark();
+    }
+
+    /**
+     * Send μ-law audio to Twilio in 20ms frames
+     */
+    sendFrames(audioBuffer) {
+        if (this.ws.readyState !== WebSocket.OPEN) return;
+
+        audio.splitFrames(audioBuffer).forEach(frame => {
+            this.ws.send(JSON.stringify({
+                event: 'media',
+                streamSid: this.streamSid,
+                media: { payload: frame.toString('base64') }
+            }));
+        });
+    }
+
+    /**
+     * Ask Twilio to report back once everything sent so far has played
+     */
+    sendMark() {
+        if (this.ws.readyState !== WebSocket.OPEN) {
+            this.busy = false;
+            return;
+        }
+
+        this.pendingMark = `reply-${++this.markCount}`;
+        this.ws.send(JSON.stringify({
+            event: 'mark',
+            streamSid: this.streamSid,
+            mark: { name: this.pendingMark }
+        }));
+    }
+
+    /**
+     * Twilio finished playing our audio - start listening again
+     */
+    handleMark(name) {
+        if (name !== this.pendingMark) return;
+
+        this.pendingMark = null;
+
+        // Caught up with a streamed reply - more sentences are on the way
+        if (this.replyPending) return;
+
+        this.finishPlayback();
+    }
+
+    /**
+     * Reply fully played: switch the call to pending TwiML or listen for the caller
+     */
+    finishPlayback() {
+        conversationManager.stopPlayback(this.callSid);
+
+        if (this.pendingTwiml) {
+            const twiml = this.pendingTwiml;
+            this.pendingTwiml = null;
+
+            twilioService.redirectCall(this.callSid, twiml).catch(error => {
+                conversationManager.recordError(this.callSid, error, { source: 'media-stream' });
+                this.busy = false;
+            });
+            return;
+        }
+
+        this.listen();
+    }
+
+    /**
+     * Socket closed - the session itself ends on the call status webhook
+     */
+    handleClose() {
+        clearTimeout(this.digitTimer);
+        clearTimeout(this.noInputTimer);
+        logger.logCall('stream_closed', this.callSid, { streamSid: this.streamSid });
+    }
+}
+
+class MediaStreamController {
+    constructor() {
+        this.wss = null;
+    }
+
+    /**
+     * Attach the Media Streams WebSocket endpoint to the HTTP server; only
+     * upgrades signed by Twilio are accepted
+     */
+    attach(server) {
+        this.wss = new WebSocket.Server({
+            server,
+            path: config.mediaStreams.path,
+            verifyClient: (info) => validateUpgradeSignature(info.req)
+        });
+
+        this.wss.on('connection', (ws, req) => new StreamConnection(ws, getUpgradeBaseUrl(req)));
+
+        logger.info('Media Streams bridge listening', {
+            path: config.mediaStreams.path,
+            numbers: config.mediaStreams.numbers
+        });
+
+        return this.wss;
+    }
+
+    /**
+     * Number of live media streams (for monitoring)
+     */
+    getActiveStreamCount() {
+        return this.wss ? this.wss.clients.size : 0;
+    }
+}
+
+module.exports = new MediaStreamController();
@@ -0,0 +1,33 @@
+/**
+ * Persona Controller
+ * API to inspect and reload the persona files
+ */
+
+const personaService = require('../services/personas');
+
+class PersonaController {
+    /**
+     * List the loaded personas and their versions
+     */
+    list(req, res) {
+        res.json({ personas: personaService.list() });
+    }
+
+    /**
+     * Reload the persona files now (they are also reloaded when they change)
+     */
+    reload(req, res) {
+        try {
+            res.json({ personas: personaService.reload() });
+
+        } catch (error) {
+            // The service has logged the failure and kept the previous personas
+            res.status(500).json({
+                error: 'Failed to reload personas',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new PersonaController();
@@ -0,0 +1,92 @@
+/**
+ * Recording Controller
+ * Recording status webhook and the API to list/download recordings by CallSid
+ */
+
+const twilioService = require('../services/twilio');
+const recordingService = require('../services/recording');
+const conversationManager = require('../utils/conversation');
+const logger = require('../utils/logger');
+
+class RecordingController {
+    /**
+     * Twilio recording status callback
+     */
+    async handleRecordingStatus(req, res) {
+        try {
+            recordingService.handleStatus(req.body);
+            res.sendStatus(200);
+
+        } catch (error) {
+            logger.error('Error handling recording status', {
+                error: error.message,
+                callSid: req.body.CallSid
+            });
+
+            res.sendStatus(500);
+        }
+    }
+
+    /**
+     * List recordings for a call
+     */
+    async listRecordings(req, res) {
+        try {
+            const { callSid } = req.params;
+            const recordings = await twilioService.listRecordings(callSid);
+            const session = conversationManager.findSession(callSid);
+
+            res.json({
+                callSid,
+                optedOut: session?.recording?.optedOut || false,
+                recordings: recordings.map(recording => ({
+                    sid: recording.sid,
+                    status: recording.status,
+                    duration: parseInt(recording.duration) || 0,
+                    channels: recording.channels,
+                    source: recording.source,
+                    dateCreated: recording.dateCreated,
+                    downloadUrl: `/api/recordings/${callSid}/${recording.sid}`
+                }))
+            });
+
+        } catch (error) {
+            res.status(500).json({
+                error: 'Failed to list recordings',
+                message: error.message
+            });
+        }
+    }
+
+    /**
+     * Download a recording's audio (mp3, or ?format=wav)
+     */
+    async downloadRecording(req, res) {
+        try {
+            const { callSid, recordingSid } = req.params;
+            const format = req.query.format === 'wav' ? 'wav' : 'mp3';
+
+            // Only serve recordings that belong to the requested call
+            const recording = await twilioService.getRecording(recordingSid);
+            if (recording.callSid !== callSid) {
+                return res.status(404).json({
+                    error: 'Recording not found for this call'
+                });
+            }
+
+            const { stream, contentType } = await twilioService.downloadRecording(recordingSid, format);
+
+            res.type(contentType);
+            res.set('Content-Disposition', `attachment; filename="${callSid}_${recordingSid}.${format}"`);
+            stream.pipe(res);
+
+        } catch (error) {
+            res.status(error.status === 404 ? 404 : 500).json({
+                error: 'Failed to download recording',
+                message: error.message
+            });
+        }
+    }
+}
+
+module.exports = new RecordingController();
@@ -0,0 +1,153 @@
+/**
+ * SMS Controller
+ * Handles inbound text messages to our Twilio number: texts are answered by
+ * the same conversation pipeline as calls, one thread per phone number
+ */
+
+const twilioService = require('../services/twilio');
+const openaiService = require('../services/openai');
+const knowledgeBaseService = require('../services/knowledgeBase');
+const personaService = require('../services/personas');
+const guardrailService = require('../services/guardrails');
+const costTracker = require('../services/costs');
+const llmService = require('../services/llm');
+const conversationManager = require('../utils/conversation');
+const smsOptOut = require('../utils/smsOptOut');
+const resilience = require('../utils/resilience');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class SmsController {
+    /**
+     * Handle an inbound SMS: STOP / START keep the opt-out list current,
+     * anything else from a subscribed number gets an AI reply
+     */
+    async handleIncomingSms(req, res) {
+        try {
+            const { MessageSid, From, Body } = req.body;
+            const keyword = smsOptOut.classify(Body);
+
+            logger.info('Inbound SMS received', {
+                messageSid: MessageSid,
+                from: From,
+                keyword
+            });
+
+            // Twilio sends the carrier confirmation for STOP / START itself
+            if (keyword === 'opt-out') {
+                smsOptOut.optOut(From);
+                res.type('text/xml');
+                res.send(twilioService.generateSmsReply(smsOptOut.getOptOutReply(Body)));
+                return;
+            }
+
+            // START / YES only mean something to an opted-out number - otherwise "Yes" is an answer
+            const optIn = keyword === 'opt-in' && smsOptOut.isOptedOut(From);
+            if (optIn) {
+                smsOptOut.optIn(From);
+            }
+
+            if (optIn || !Body?.trim() || smsOptOut.isOptedOut(From)) {
+                res.type('text/xml');
+                res.send(twilioService.generateSmsReply());
+                return;
+            }
+
+            const startTime = Date.now();
+            const reply = await costTracker.track(conversationManager.getTextSession(From), () =>
+                resilience.withDeadline(config.app.responseTimeout, () =>
+                    this.generateReply(From, Body.trim(), { messageSid: MessageSid }, req.body.To)
+                )
+            );
+
+            conversationManager.recordResponseTime(From, Date.now() - startTime);
+
+            res.type('text/xml');
+            res.send(twilioService.generateSmsReply(reply));
+
+        } catch (error) {
+            logger.error('Error handling inbound SMS', {
+                error: error.message,
+                messageSid: req.body.MessageSid
+            });
+
+            res.type('text/xml');
+            res.send(twilioService.generateSmsReply('Sorry, something went wrong on our end. Please try again in a few minutes.'));
+        }
+    }
+
+    /**
+     * Run one text conversation turn for a phone number
+     * twilioNumber: the number that was texted, which picks a new thread's persona
+     */
+    async generateReply(phoneNumber, userText, metadata = {}, twilioNumber = null) {
+        // Reuses the thread if this number texted recently, otherwise starts a new one
+        const session = conversationManager.getTextSession(phoneNumber);
+
+        if (!session.persona) {
+            conversationManager.setPersona(phoneNumber, personaService.forNumber(twilioNumber));
+        }
+        const persona = conversationManager.getPersona(session);
+
+        conversationManager.addMessage(phoneNumber, 'user', userText, {
+            ...metadata,
+            input: 'sms'
+        });
+
+        // Over a spending cap: answer with the cheaper model, or close the thread politely
+        const budget = costTracker.checkBudget(session, () => llmService.canDowngrade(session.persona));
+        if (budget?.action === 'wrap-up') {
+            conversationManager.addMessage(phoneNumber, 'assistant', persona.messages.wrapUp, { costCap: budget.cap });
+
+            return persona.messages.wrapUp;
+        }
+
+        const [inputTrigger, knowledge] = await Promise.all([
+            guardrailService.checkInput(userText, phoneNumber),
+            knowledgeBaseService.retrieve(userText, phoneNumber)
+        ]);
+
+        // Texts can't be escalated to a person, so every guardrail answers with its scripted reply
+        if (inputTrigger) {
+            guardrailService.record(phoneNumber, inputTrigger, userText);
+            conversationManager.addMessage(phoneNumber, 'assistant', inputTrigger.reply, { guardrail: inputTrigger.check });
+
+            return inputTrigger.reply;
+        }
+
+        conversationManager.setKnowledge(phoneNumber, knowledge);
+
+        const conversationHistory = conversationManager.getConversationHistory(phoneNumber);
+        const aiResult = await openaiService.generatePhoneResponse(conversationHistory, userText, {
+            persona: session.persona,
+            model: persona.model,
+            downgrade: !!budget,
+            temperature: persona.temperature,
+            fallbackReply: persona.messages.trouble
+        });
+
+        if (aiResult.analysis) {
+            conversationManager.updateContext(phoneNumber, aiResult.analysis);
+        }
+
+        const outputTrigger = guardrailService.checkOutput(aiResult.response);
+        if (outputTrigger) {
+            guardrailService.record(phoneNumber, outputTrigger, aiResult.response);
+            aiResult.response = outputTrigger.reply;
+        }
+
+        conversationManager.addMessage(phoneNumber, 'assistant', aiResult.response, {
+            tokens: aiResult.usage?.total_tokens || 0,
+            model: aiResult.model || config.openai.model,
+            provider: aiResult.provider || undefined,
+            processingTime: aiResult.duration,
+            guardrail: outputTrigger?.check,
+            costCap: budget?.cap,
+            knowledge: knowledge.length > 0 ? knowledge.map(passage => passage.id) : undefined
+        });
+
+        return aiResult.response;
+    }
+}
+
+module.exports = new SmsController();
@@ -6,32 +6,109 @@
 const twilioService = require('../services/twilio');
 const openaiService = require('../services/openai');
 const elevenLabsService = require('../services/elevenlabs');
+const transferService = require('../services/transfer');
+const recordingService = require('../services/recording');
+const smsService = require('../services/sms');
+const toolRegistry = require('../services/tools');
+const knowledgeBaseService = require('../services/knowledgeBase');
+const personaService = require('../services/personas');
+const guardrailService = require('../services/guardrails');
+const costTracker = require('../services/costs');
+const llmService = require('../services/llm');
+const SpeechPipeline = require('../services/speechPipeline');
 const conversationManager = require('../utils/conversation');
+const ivrMenu = require('../utils/ivrMenu');
+const audio = require('../utils/audio');
+const resilience = require('../utils/resilience');
 const logger = require('../utils/logger');
+const { getPublicBaseUrl } = require('../utils/publicUrl');
 const config = require('../config');
 
+// Invalid or missing key presses allowed on a menu before we give up
+const MAX_MENU_ATTEMPTS = 3;
+
+// Used to estimate where a reply was interrupted on the <Gather> flow
+const SPEECH_END_PAUSE_MS = 1000;
+const KEY_PRESS_MS = 600;
+
 class VoiceController {
     /**
      * Handle incoming voice calls
      */
     async handleIncomingCall(req, res) {
         try {
-            const { CallSid, From, To } = req.body;
+            const { CallSid, From, To, AnsweredBy } = req.body;
             
             logger.logCall('incoming', CallSid, {
                 from: From,
-                to: To
+                to: To,
+                answeredBy: AnsweredBy
             });
 
-            // Create new conversation session
-            conversationManager.createSession(CallSid);
+            // Get or create the conversation session (outbound calls are pre-created with context)
+            const session = conversationManager.getSession(CallSid);
+            const baseUrl = getPublicBaseUrl(req);
+
+            // The person on the other end - where a follow-up text would go
+            const outbound = req.body.Direction?.startsWith('outbound');
+            if (!session.callerNumber) {
+                session.callerNumber = outbound ? To : From;
+            }
+            session.costs.direction = outbound ? 'outbound' : 'inbound';
+
+            // Inbound calls get the persona of the number they dialled; outbound calls may have picked one
+            if (!session.persona) {
+                conversationManager.setPersona(CallSid, personaService.forNumber(outbound ? From : To));
+            }
+            const persona = conversationManager.getPersona(session);
+
+            // Outbound calls with answering-machine detection report who picked up
+            if (AnsweredBy) {
+                session.amd = {
+                    answeredBy: AnsweredBy,
+                    detectionDuration: parseInt(req.body.MachineDetectionDuration) || null,
+                    voicemailLeft: false
+                };
+
+                if (this.isMachine(AnsweredBy)) {
+                    const twiml = await costTracker.track(session, () => this.leaveVoicemail(CallSid, AnsweredBy, baseUrl));
+                    res.type('text/xml');
+                    res.send(twiml);
+                    return;
+                }
+            }
+
+            // Recording consent notice comes before anything else
+            const disclosure = recordingService.getDisclosure();
 
-            // Generate greeting TwiML
-            const twiml = twilioService.generateGreeting();
+            // Numbers opted in to Media Streams get the real-time WebSocket bridge,
+            // everyone else stays on the <Gather> flow (optionally behind an IVR menu)
+            let twiml;
+            if (twilioService.isStreamingNumber(To)) {
+                twiml = twilioService.generateMediaStream(baseUrl, { callSid: CallSid }, {
+                    disclosure,
+                    greeting: persona.greeting,
+                    voiceId: persona.voiceId
+                });
+            } else if (config.ivr.enabled) {
+                const menuId = ivrMenu.getStartMenuId();
+                twiml = twilioService.generateMenu(menuId, ivrMenu.getMenu(menuId), baseUrl, 1, disclosure);
+            } else {
+                twiml = twilioService.generateGreeting(baseUrl, {
+                    disclosure,
+                    greeting: persona.greeting,
+                    voiceId: persona.voiceId
+                });
+            }
             
             res.type('text/xml');
             res.send(twiml);
 
+            // Recording can only start once the call is in progress, i.e. after we answer
+            if (recordingService.isEnabled()) {
+                recordingService.start(CallSid, baseUrl);
+            }
+
         } catch (error) {
             logger.error('Error handling incoming call', {
                 error: error.message,
@@ -45,84 +122,247 @@ class VoiceController {
     }
 
     /**
-     * Process speech input from user
+     * One of the fallback messages of the call's persona
+     */
+    getFallbackMessage(callSid, name) {
+        const session = conversationManager.findSession(callSid);
+        const persona = session ? conversationManager.getPersona(session) : personaService.get('default');
+
+        return persona.messages[name];
+    }
+
+    /**
+     * Voice for the call's fixed phrases, played from the TTS cache when they are in it
+     */
+    getPhraseVoice(callSid, baseUrl) {
+        const session = conversationManager.findSession(callSid);
+        const persona = session ? conversationManager.getPersona(session) : personaService.get('default');
+
+        return { voiceId: persona.voiceId, baseUrl };
+    }
+
+    /**
+     * Check whether an AnsweredBy value means nobody is on the line
+     */
+    isMachine(answeredBy) {
+        return answeredBy.startsWith('machine_') || answeredBy === 'fax';
+    }
+
+    /**
+     * Leave a voicemail (template or LLM-personalized, voiced by ElevenLabs) and hang up
+     */
+    async leaveVoicemail(callSid, answeredBy, baseUrl) {
+        const session = conversationManager.getSession(callSid);
+
+        // Nothing useful to say to a fax machine
+        if (answeredBy === 'fax') {
+            return twilioService.generateHangup();
+        }
+
+        const text = await this.buildVoicemailMessage(session);
+        let message = { text };
+
+        try {
+            const voiceResult = await elevenLabsService.generatePhoneSpeech(text, callSid, 0, baseUrl, {
+                voiceId: conversationManager.getPersona(session).voiceId
+            });
+            message = { audioUrl: voiceResult.audioUrl };
+        } catch (voiceError) {
+            logger.error('ElevenLabs voicemail generation failed, falling back to Twilio TTS', {
+                error: voiceError.message,
+                callSid
+            });
+        }
+
+        conversationManager.addMessage(callSid, 'assistant', text, { voicemail: true });
+        session.amd.voicemailLeft = true;
+
+        logger.logCall('voicemail_left', callSid, {
+            answeredBy,
+            personalized: config.amd.personalizeVoicemail
+        });
+
+        return twilioService.generateVoicemail(message);
+    }
+
+    /**
+     * Voicemail text from the configured template, or written by the model
+     */
+    async buildVoicemailMessage(session) {
+        const callbackNumber = (config.twilio.phoneNumber || '').replace(/\D/g, '').split('').join(' ');
+
+        if (config.amd.personalizeVoicemail) {
+            try {
+                return await openaiService.generateVoicemailMessage(session.context, callbackNumber);
+            } catch (error) {
+                logger.warn('Personalized voicemail failed, using template', {
+                    error: error.message,
+                    callSid: session.callSid
+                });
+            }
+        }
+
+        return config.amd.voicemailMessage
+            .replace(/\{name\}/g, session.context.userName || 'there')
+            .replace(/\{callbackNumber\}/g, callbackNumber);
+    }
+
+    /**
+     * Handle a key press (or no input) on an IVR menu
+     */
+    async handleMenuInput(req, res) {
+        const baseUrl = getPublicBaseUrl(req);
+
+        try {
+            const { CallSid, Digits, SpeechResult } = req.body;
+            const menuId = req.query.menu || ivrMenu.getStartMenuId();
+            const attempt = parseInt(req.query.attempt) || 1;
+
+            // Callers can skip the menu by just saying what they need
+            if (SpeechResult) {
+                return this.processSpeech(req, res);
+            }
+
+            logger.logCall('menu_input', CallSid, {
+                menu: menuId,
+                digits: Digits || null,
+                attempt
+            });
+
+            const option = ivrMenu.resolveOption(menuId, Digits);
+            let twiml;
+
+            if (option) {
+                twiml = this.generateMenuAction(option, baseUrl, CallSid);
+            } else if (attempt >= MAX_MENU_ATTEMPTS) {
+                twiml = twilioService.generateError('Sorry, I wasn\'t able to get a selection. Goodbye!');
+            } else {
+                twiml = twilioService.generateMenu(
+                    menuId,
+                    ivrMenu.getMenu(menuId),
+                    baseUrl,
+                    attempt + 1,
+                    Digits ? 'Sorry, that isn\'t a valid option.' : null
+                );
+            }
+
+            res.type('text/xml');
+            res.send(twiml);
+
+        } catch (error) {
+            logger.error('Error handling menu input', {
+                error: error.message,
+                callSid: req.body.CallSid
+            });
+
+            const errorTwiml = twilioService.generateError();
+            res.type('text/xml');
+            res.send(errorTwiml);
+        }
+    }
+
+    /**
+     * Turn a resolved IVR menu option into TwiML
+     */
+    generateMenuAction(option, baseUrl, callSid) {
+        switch (option.action) {
+            case 'conversation':
+                return twilioService.generateContinueConversation(baseUrl, option.prompt || 'Sure. How can I help you today?');
+
+            case 'menu':
+                return twilioService.generateMenu(option.menu, ivrMenu.getMenu(option.menu), baseUrl);
+
+            case 'message':
+                return twilioService.generateMenuMessage(option, baseUrl);
+
+            case 'transfer': {
+                const numbers = option.number ? [option.number] : config.transfer.agentNumbers;
+                if (numbers.length === 0) {
+                    logger.warn('IVR transfer option has no agent number configured');
+                    return twilioService.generateContinueConversation(
+                        baseUrl,
+                        'Sorry, nobody is available right now, but I can help. What do you need?'
+                    );
+                }
+
+                transferService.start(callSid, 'ivr');
+                return twilioService.generateWarmTransfer(baseUrl, callSid, {
+                    text: transferService.getAnnouncement('ivr')
+                }, numbers);
+            }
+
+            default:
+                throw new Error(`Unknown IVR action: ${option.action}`);
+        }
+    }
+
+    /**
+     * Process speech (or keypad) input from user
      */
     async processSpeech(req, res) {
         const startTime = Date.now();
+        const baseUrl = getPublicBaseUrl(req);
         
         try {
-            const { CallSid, SpeechResult, Confidence } = req.body;
+            const { CallSid, SpeechResult, Confidence, Digits } = req.body;
+            
+            // Work out whether the caller let the last reply finish
+            this.trackBargeIn(CallSid, SpeechResult, Digits);
             
-            if (!SpeechResult) {
+            if (!SpeechResult && !Digits) {
                 logger.warn('No speech result received', { callSid: CallSid });
                 
-                const twiml = twilioService.generateContinueConversation();
+                const step = this.getNoInputStep(CallSid);
+                const voice = this.getPhraseVoice(CallSid, baseUrl);
+                const twiml = step.action === 'goodbye'
+                    ? twilioService.generateGoodbye(step.message, voice)
+                    : twilioService.generateContinueConversation(baseUrl, step.message, voice);
                 res.type('text/xml');
                 res.send(twiml);
                 return;
             }
 
-            logger.logConversation('speech_received', CallSid, SpeechResult, {
-                confidence: Confidence
-            });
+            let userText;
+            let metadata;
+            if (SpeechResult) {
+                logger.logConversation('speech_received', CallSid, SpeechResult, {
+                    confidence: Confidence
+                });
 
-            // Add user message to conversation
-            conversationManager.addMessage(CallSid, 'user', SpeechResult, {
-                confidence: parseFloat(Confidence) || 0
-            });
+                userText = SpeechResult;
+                metadata = {
+                    confidence: parseFloat(Confidence) || 0,
+                    input: 'speech'
+                };
+            } else {
+                logger.logCall('keypad_received', CallSid, { digitCount: Digits.length });
 
-            // Get conversation history for OpenAI
-            const conversationHistory = conversationManager.getConversationHistory(CallSid);
-            
-            // Generate AI response using OpenAI
-            const aiResult = await openaiService.generatePhoneResponse(conversationHistory, SpeechResult);
-            
-            // Update conversation context based on AI analysis
-            if (aiResult.analysis) {
-                conversationManager.updateContext(CallSid, aiResult.analysis);
+                userText = this.formatKeypadInput(Digits);
+                metadata = { input: 'dtmf' };
             }
-            
-            // Add AI response to conversation
-            conversationManager.addMessage(CallSid, 'assistant', aiResult.response, {
-                tokens: aiResult.usage?.total_tokens || 0,
-                model: config.openai.model,
-                processingTime: aiResult.duration
-            });
 
-            // Generate high-quality voice using ElevenLabs
+            // API calls for this turn share what's left of the webhook's time budget, and are charged to the call
             const session = conversationManager.getSession(CallSid);
-            const messageIndex = session.metadata.totalMessages;
-            let twiml;
-            
-            try {
-                const voiceResult = await elevenLabsService.generatePhoneSpeech(
-                    aiResult.response, 
-                    CallSid, 
-                    messageIndex
-                );
-                
-                // Generate TwiML to play the AI voice
-                twiml = twilioService.generateAudioResponse(voiceResult.audioUrl);
-                
-                logger.logConversation('voice_generated', CallSid, aiResult.response, {
-                    audioUrl: voiceResult.audioUrl,
-                    voiceDuration: voiceResult.duration,
-                    audioSize: voiceResult.audioSize
-                });
-                
-            } catch (voiceError) {
-                logger.error('ElevenLabs voice generation failed, falling back to Twilio TTS', {
-                    error: voiceError.message,
-                    callSid: CallSid
+            const twiml = await costTracker.track(session, () => resilience.withDeadline(config.app.responseTimeout - (Date.now() - startTime), async () => {
+                if (config.replyStreaming.enabled) {
+                    return this.startStreamingReply(CallSid, userText, metadata, baseUrl, startTime);
+                }
+
+                const aiResult = await this.generateReply(CallSid, userText, metadata);
+
+                const replyTwiml = await this.speakReply(CallSid, aiResult.response, baseUrl, {
+                    keypad: aiResult.keypad,
+                    transfer: aiResult.transfer,
+                    endCall: aiResult.endCall
                 });
-                
-                // Fallback to Twilio's TTS if ElevenLabs fails
-                twiml = twilioService.generateTextResponse(aiResult.response);
-            }
-            
-            // Record response time
-            const responseTime = Date.now() - startTime;
-            conversationManager.recordResponseTime(CallSid, responseTime);
+
+                // Record response time
+                const responseTime = Date.now() - startTime;
+                conversationManager.recordResponseTime(CallSid, responseTime);
+                conversationManager.recordTimeToFirstAudio(CallSid, responseTime);
+
+                return replyTwiml;
+            }));
 
             res.type('text/xml');
             res.send(twiml);
@@ -137,7 +377,578 @@ class VoiceController {
                 conversationManager.recordError(req.body.CallSid, error);
             }
 
-            const errorTwiml = twilioService.generateError('I\'m sorry, I had trouble understanding. Could you try again?');
+            const errorTwiml = twilioService.generateError(
+                this.getFallbackMessage(req.body.CallSid, 'didNotUnderstand'),
+                this.getPhraseVoice(req.body.CallSid, baseUrl)
+            );
+            res.type('text/xml');
+            res.send(errorTwiml);
+        }
+    }
+
+    /**
+     * Start a streamed reply on the <Gather> flow and answer with its first
+     * sentence; /webhook/reply-continue plays the rest as it is voiced
+     */
+    async startStreamingReply(callSid, userText, metadata, baseUrl, startTime) {
+        const session = conversationManager.getSession(callSid);
+        const messageIndex = session.metadata.totalMessages;
+
+        const { pipeline, result } = this.streamReply(callSid, userText, metadata, (text, index) =>
+            this.voiceSentence(text, callSid, `${messageIndex}-${index}`, baseUrl)
+        );
+
+        session.pendingReply = {
+            pipeline,
+            result,
+            played: 0,
+            playedMs: 0,
+            startTime
+        };
+
+        const twiml = await this.continueReply(callSid, baseUrl);
+
+        // The caller is hearing the reply; the rest is fetched by /webhook/reply-continue
+        resilience.releaseDeadline();
+
+        return twiml;
+    }
+
+    /**
+     * Run a conversation turn with the reply voiced sentence by sentence.
+     * Shared by the Gather flow and the Media Streams bridge; `result` resolves
+     * to the same shape as generateReply once the reply is complete.
+     */
+    streamReply(callSid, userText, metadata, synthesize) {
+        const pipeline = new SpeechPipeline(callSid, synthesize);
+
+        const result = this.generateReply(callSid, userText, metadata, {
+            onSentence: text => pipeline.addSentence(text)
+        }).then(aiResult => {
+            // Scripted replies (recording opt-out, keyword transfer...) arrive whole
+            if (pipeline.chunks.length === 0 && aiResult.response) {
+                pipeline.addSentence(aiResult.response);
+            }
+
+            pipeline.finish();
+            return aiResult;
+        }, error => {
+            pipeline.finish();
+            throw error;
+        });
+
+        // Failures surface to whoever awaits the result, possibly later
+        result.catch(() => {});
+
+        return { pipeline, result };
+    }
+
+    /**
+     * Voice one sentence for <Play>, falling back to Twilio's <Say>
+     */
+    async voiceSentence(text, callSid, chunkId, baseUrl) {
+        try {
+            const session = conversationManager.getSession(callSid);
+            const voiceResult = await elevenLabsService.generatePhoneSpeech(text, callSid, chunkId, baseUrl, {
+                voiceId: conversationManager.getPersona(session).voiceId
+            });
+
+            return {
+                audioUrl: voiceResult.audioUrl,
+                durationMs: voiceResult.durationMs
+            };
+
+        } catch (voiceError) {
+            logger.error('ElevenLabs voice generation failed, falling back to Twilio TTS', {
+                error: voiceError.message,
+                callSid
+            });
+
+            return {
+                text,
+                durationMs: audio.estimateSpeechMs(text)
+            };
+        }
+    }
+
+    /**
+     * Play the next voiced sentences of a streamed reply. Redirects back here
+     * until the reply is complete, then hands over to the next turn.
+     */
+    async continueReply(callSid, baseUrl) {
+        const session = conversationManager.getSession(callSid);
+        const pending = session.pendingReply;
+
+        if (!pending) {
+            return twilioService.generateContinueConversation(baseUrl);
+        }
+
+        const batch = await pending.pipeline.nextBatch(pending.played);
+        const segments = batch.filter(chunk => chunk.audio).map(chunk => chunk.audio);
+
+        if (pending.played === 0) {
+            conversationManager.recordTimeToFirstAudio(callSid, Date.now() - pending.startTime);
+        }
+        pending.played += batch.length;
+
+        if (!pending.pipeline.isComplete(pending.played)) {
+            pending.playedMs += pending.pipeline.getDurationMs(batch);
+            return twilioService.generateReplySegments(segments, baseUrl);
+        }
+
+        // Reply complete - play what's left, then the next step of the call
+        session.pendingReply = null;
+        const aiResult = await pending.result;
+
+        conversationManager.recordResponseTime(callSid, Date.now() - pending.startTime);
+
+        if (aiResult.transfer) {
+            return twilioService.generateWarmTransfer(baseUrl, callSid, { segments });
+        }
+
+        conversationManager.startPlayback(
+            callSid,
+            aiResult.response,
+            pending.playedMs + pending.pipeline.getDurationMs(batch),
+            pending.playedMs
+        );
+
+        return twilioService.generateSegmentedResponse(segments, baseUrl, {
+            keypad: aiResult.keypad,
+            hangup: aiResult.endCall
+        });
+    }
+
+    /**
+     * Twilio is ready for more of a streamed reply
+     */
+    async handleReplyContinue(req, res) {
+        const baseUrl = getPublicBaseUrl(req);
+
+        try {
+            const twiml = await this.continueReply(req.body.CallSid, baseUrl);
+
+            res.type('text/xml');
+            res.send(twiml);
+
+        } catch (error) {
+            logger.error('Error continuing streamed reply', {
+                error: error.message,
+                callSid: req.body.CallSid
+            });
+
+            conversationManager.recordError(req.body.CallSid, error);
+
+            res.type('text/xml');
+            res.send(twilioService.generateError(
+                this.getFallbackMessage(req.body.CallSid, 'didNotUnderstand'),
+                this.getPhraseVoice(req.body.CallSid, baseUrl)
+            ));
+        }
+    }
+
+    /**
+     * Barge-in on the <Gather> flow: Twilio doesn't say where playback was cut
+     * off, so estimate it from when the input arrived minus how long the caller
+     * spent speaking (plus the end-of-speech pause) or typing
+     */
+    trackBargeIn(callSid, speechResult, digits) {
+        const session = conversationManager.getSession(callSid);
+        if (!session.playback) return;
+
+        // Nothing said, or the reply could not be interrupted - it was heard in full
+        if ((!speechResult && !digits) || !config.bargeIn.enabled) {
+            conversationManager.stopPlayback(callSid);
+            return;
+        }
+
+        const inputMs = speechResult
+            ? audio.estimateSpeechMs(speechResult) + SPEECH_END_PAUSE_MS
+            : digits.length * KEY_PRESS_MS;
+
+        conversationManager.stopPlayback(callSid, Date.now() - session.playback.startedAt - inputMs);
+    }
+
+    /**
+     * Voice a reply with ElevenLabs (Twilio TTS as fallback) and build the
+     * TwiML for the next step: another turn, or a warm transfer
+     */
+    async speakReply(callSid, text, baseUrl, options = {}) {
+        const session = conversationManager.getSession(callSid);
+        const messageIndex = session.metadata.totalMessages;
+
+        try {
+            // Generate high-quality voice using ElevenLabs
+            const voiceResult = await elevenLabsService.generatePhoneSpeech(
+                text,
+                callSid,
+                messageIndex,
+                baseUrl,
+                { voiceId: conversationManager.getPersona(session).voiceId }
+            );
+
+            logger.logConversation('voice_generated', callSid, text, {
+                audioUrl: voiceResult.audioUrl,
+                voiceDuration: voiceResult.duration,
+                audioSize: voiceResult.audioSize
+            });
+
+            if (options.transfer) {
+                return twilioService.generateWarmTransfer(baseUrl, callSid, { audioUrl: voiceResult.audioUrl });
+            }
+
+            conversationManager.startPlayback(callSid, text, voiceResult.durationMs);
+
+            // Generate TwiML to play the AI voice
+            return twilioService.generateAudioResponse(voiceResult.audioUrl, baseUrl, {
+                keypad: options.keypad,
+                hangup: options.endCall
+            });
+
+        } catch (voiceError) {
+            logger.error('ElevenLabs voice generation failed, falling back to Twilio TTS', {
+                error: voiceError.message,
+                callSid
+            });
+
+            if (options.transfer) {
+                return twilioService.generateWarmTransfer(baseUrl, callSid, { text });
+            }
+
+            conversationManager.startPlayback(callSid, text, audio.estimateSpeechMs(text));
+
+            // Fallback to Twilio's TTS if ElevenLabs fails
+            return twilioService.generateTextResponse(text, baseUrl, {
+                keypad: options.keypad,
+                hangup: options.endCall,
+                voiceId: conversationManager.getPersona(session).voiceId
+            });
+        }
+    }
+
+    /**
+     * Run one conversation turn: record the caller's words, ask OpenAI for a
+     * reply and record it. Shared by the Gather flow and the Media Streams bridge.
+     * Sets `transfer` on the result when the caller should go to a person.
+     * options.onSentence streams the reply a sentence at a time (see streamReply).
+     */
+    async generateReply(callSid, userText, metadata = {}, options = {}) {
+        // Add user message to conversation
+        conversationManager.addMessage(callSid, 'user', userText, metadata);
+
+        const session = conversationManager.getSession(callSid);
+
+        // Pressing 0 after the no-input offer goes straight to a person
+        const pressedZero = metadata.input === 'dtmf' && userText === this.formatKeypadInput('0');
+        if (pressedZero && session.noInput.offer === 'transfer' && transferService.canTransfer(session)) {
+            conversationManager.resetNoInput(callSid, 'transfer');
+            transferService.start(callSid, 'ivr');
+
+            return {
+                ...this.cannedReply(callSid, transferService.getAnnouncement('ivr'), { transfer: 'no-input' }),
+                transfer: true
+            };
+        }
+
+        conversationManager.resetNoInput(callSid);
+
+        // Caller asked not to be recorded
+        if (recordingService.canOptOut(session) && recordingService.matchesOptOut(userText)) {
+            await recordingService.optOut(callSid);
+
+            return this.cannedReply(
+                callSid,
+                'No problem, I\'ve stopped recording this call. How else can I help you?',
+                { recording: 'opt-out' }
+            );
+        }
+
+        // Caller explicitly asked for a person - no need to ask the model
+        if (transferService.canTransfer(session) && transferService.matchesKeyword(userText)) {
+            transferService.start(callSid, 'keyword');
+
+            return {
+                ...this.cannedReply(callSid, transferService.getAnnouncement('keyword'), { transfer: 'keyword' }),
+                transfer: true
+            };
+        }
+
+        // Over a spending cap: answer with the cheaper model, or end the call politely
+        const budget = costTracker.checkBudget(session, () => llmService.canDowngrade(session.persona));
+        if (budget?.action === 'wrap-up') {
+            return {
+                ...this.cannedReply(callSid, conversationManager.getPersona(session).messages.wrapUp, { costCap: budget.cap }),
+                endCall: true
+            };
+        }
+
+        // Screen the caller's words while looking up passages from our documents that may answer them
+        const [inputTrigger, knowledge] = await Promise.all([
+            guardrailService.checkInput(userText, callSid),
+            knowledgeBaseService.retrieve(userText, callSid)
+        ]);
+
+        if (inputTrigger) {
+            return this.guardrailReply(callSid, session, inputTrigger, userText);
+        }
+
+        conversationManager.setKnowledge(callSid, knowledge);
+
+        // Get conversation history for OpenAI
+        const conversationHistory = conversationManager.getConversationHistory(callSid);
+
+        // A streamed sentence that trips an output guardrail is held back, along with the rest of the reply
+        let outputTrigger = null;
+        const spoken = [];
+        const onSentence = options.onSentence && (sentence => {
+            outputTrigger = outputTrigger || guardrailService.checkOutput(sentence);
+
+            if (!outputTrigger) {
+                spoken.push(sentence);
+                options.onSentence(sentence);
+            }
+        });
+
+        // Generate AI response using OpenAI (it may call tools to act on the call)
+        const persona = conversationManager.getPersona(session);
+        const aiResult = await openaiService.generatePhoneResponse(conversationHistory, userText, {
+            tools: toolRegistry,
+            context: { callSid, session, allowedTools: persona.tools },
+            persona: session.persona,
+            model: persona.model,
+            downgrade: !!budget,
+            temperature: persona.temperature,
+            fallbackReply: persona.messages.trouble,
+            onSentence
+        });
+
+        // Replace a reply that failed the output guardrails with the scripted one
+        outputTrigger = outputTrigger || guardrailService.checkOutput(aiResult.response);
+        const guardrailEscalation = outputTrigger?.action === 'escalate' && transferService.canTransfer(session);
+
+        if (outputTrigger) {
+            guardrailService.record(callSid, outputTrigger, aiResult.response);
+
+            const safeReply = guardrailEscalation
+                ? transferService.getAnnouncement('guardrail')
+                : outputTrigger.reply;
+
+            // Whatever streamed before the offending sentence has been heard - the safe reply follows it
+            if (options.onSentence) {
+                options.onSentence(safeReply);
+                aiResult.response = [...spoken, safeReply].join(' ');
+            } else {
+                aiResult.response = safeReply;
+            }
+
+            aiResult.keypad = null;
+            aiResult.endCall = false;
+            aiResult.sms = null;
+        }
+
+        // Keep tool calls in the transcript, ahead of the reply they informed
+        aiResult.toolCalls.forEach(call => {
+            conversationManager.addMessage(
+                callSid,
+                'tool',
+                `${call.name}(${JSON.stringify(call.args)}) returned ${JSON.stringify(call.result)}`,
+                { tool: call.name, action: call.action || undefined }
+            );
+        });
+
+        // Update conversation context based on AI analysis
+        if (aiResult.analysis) {
+            conversationManager.updateContext(callSid, aiResult.analysis);
+        }
+
+        // A guardrail escalated, the model asked for a transfer, or the caller is frustrated
+        let transferReason = null;
+        if (guardrailEscalation) {
+            transferReason = 'guardrail';
+        } else if (transferService.canTransfer(session)) {
+            transferReason = transferService.detectTrigger(aiResult);
+        }
+
+        if (transferReason === 'frustration') {
+            const announcement = transferService.getAnnouncement('frustration');
+
+            // A streamed reply has already been heard - the announcement follows it
+            if (options.onSentence) {
+                options.onSentence(announcement);
+                aiResult.response = `${aiResult.response} ${announcement}`;
+            } else {
+                aiResult.response = announcement;
+            }
+        }
+        aiResult.transfer = !!transferReason;
+
+        // Add AI response to conversation
+        conversationManager.addMessage(callSid, 'assistant', aiResult.response, {
+            tokens: aiResult.usage?.total_tokens || 0,
+            model: aiResult.model || config.openai.model,
+            provider: aiResult.provider || undefined,
+            processingTime: aiResult.duration,
+            transfer: transferReason || undefined,
+            guardrail: outputTrigger?.check,
+            costCap: budget?.cap,
+            knowledge: knowledge.length > 0 ? knowledge.map(passage => passage.id) : undefined
+        });
+
+        if (transferReason) {
+            transferService.start(callSid, transferReason);
+        }
+
+        // Something the assistant promised to text the caller after the call
+        if (aiResult.sms) {
+            smsService.queueMessage(session, aiResult.sms);
+        }
+
+        return aiResult;
+    }
+
+    /**
+     * The caller said nothing: escalate through the configured reprompts, then
+     * offer the keypad (and a person, if transfers are set up), then say goodbye.
+     * Shared by the Gather flow and the Media Streams bridge.
+     * Returns { action: 'reprompt' | 'offer' | 'goodbye', message }
+     */
+    getNoInputStep(callSid) {
+        const session = conversationManager.getSession(callSid);
+        const noInput = conversationManager.recordNoInput(callSid);
+        const { reprompts, offerAlternatives, goodbye } = config.noInput;
+
+        let step;
+        if (noInput.consecutive <= reprompts.length) {
+            step = { action: 'reprompt', message: reprompts[noInput.consecutive - 1] };
+        } else if (offerAlternatives && noInput.consecutive === reprompts.length + 1) {
+            noInput.offer = transferService.canTransfer(session) ? 'transfer' : 'keypad';
+            step = {
+                action: 'offer',
+                message: noInput.offer === 'transfer'
+                    ? 'If it\'s easier, you can type your answer on your keypad, or press 0 to speak with a member of our team.'
+                    : 'If it\'s easier, you can type your answer on your keypad and then press pound.'
+            };
+        } else {
+            noInput.outcome = 'goodbye';
+            step = { action: 'goodbye', message: goodbye };
+        }
+
+        conversationManager.addMessage(callSid, 'assistant', step.message, {
+            noInput: step.action
+        });
+
+        logger.logCall('no_input_step', callSid, {
+            action: step.action,
+            consecutive: noInput.consecutive
+        });
+
+        return step;
+    }
+
+    /**
+     * Record a scripted assistant reply and shape it like an OpenAI result
+     */
+    cannedReply(callSid, response, metadata = {}) {
+        conversationManager.addMessage(callSid, 'assistant', response, metadata);
+
+        return {
+            response,
+            keypad: null,
+            transfer: false,
+            endCall: false,
+            sms: null,
+            toolCalls: [],
+            analysis: null,
+            usage: null,
+            duration: 0
+        };
+    }
+
+    /**
+     * Answer caller input that failed a guardrail without asking the model:
+     * the rule's scripted reply, or a transfer when the rule escalates
+     */
+    guardrailReply(callSid, session, trigger, userText) {
+        guardrailService.record(callSid, trigger, userText);
+
+        if (trigger.action === 'escalate' && transferService.canTransfer(session)) {
+            transferService.start(callSid, 'guardrail');
+
+            return {
+                ...this.cannedReply(callSid, transferService.getAnnouncement('guardrail'), {
+                    guardrail: trigger.check,
+                    transfer: 'guardrail'
+                }),
+                transfer: true
+            };
+        }
+
+        return this.cannedReply(callSid, trigger.reply, { guardrail: trigger.check });
+    }
+
+    /**
+     * Describe keypad digits to the assistant as a user turn
+     */
+    formatKeypadInput(digits) {
+        return `(Caller typed on keypad: ${digits.replace(/#$/, '')})`;
+    }
+
+    /**
+     * Whisper played to the agent before they are bridged to the caller
+     */
+    async handleTransferWhisper(req, res) {
+        try {
+            const callSid = req.query.callSid;
+            const summary = await transferService.getSummary(callSid);
+
+            logger.logCall('transfer_whisper', callSid, {
+                agentCallSid: req.body.CallSid
+            });
+
+            res.type('text/xml');
+            res.send(twilioService.generateWhisper(summary));
+
+        } catch (error) {
+            logger.error('Error generating transfer whisper', {
+                error: error.message,
+                callSid: req.query.callSid
+            });
+
+            res.type('text/xml');
+            res.send(twilioService.generateWhisper('No summary is available for this caller.'));
+        }
+    }
+
+    /**
+     * <Dial> finished - hang up if an agent took the call, otherwise
+     * bring the caller back to the AI to take a message
+     */
+    async handleTransferComplete(req, res) {
+        const baseUrl = getPublicBaseUrl(req);
+
+        try {
+            const callSid = req.query.callSid || req.body.CallSid;
+            const connected = transferService.handleDialResult(callSid, req.body.DialCallStatus);
+
+            let twiml;
+            if (connected) {
+                twiml = twilioService.generateGoodbye(undefined, this.getPhraseVoice(callSid, baseUrl));
+            } else {
+                const response = transferService.getAnnouncement('unavailable');
+                conversationManager.addMessage(callSid, 'assistant', response, { transfer: 'unavailable' });
+                twiml = await this.speakReply(callSid, response, baseUrl);
+            }
+
+            res.type('text/xml');
+            res.send(twiml);
+
+        } catch (error) {
+            logger.error('Error handling transfer result', {
+                error: error.message,
+                callSid: req.query.callSid
+            });
+
+            const errorTwiml = twilioService.generateError();
             res.type('text/xml');
             res.send(errorTwiml);
         }
@@ -148,7 +959,7 @@ class VoiceController {
      */
     async handleCallStatus(req, res) {
         try {
-            const { CallSid, CallStatus, Duration } = req.body;
+            const { CallSid, CallStatus, Duration, CallDuration } = req.body;
             
             logger.logCall('status_update', CallSid, {
                 status: CallStatus,
@@ -160,6 +971,15 @@ class VoiceController {
                 conversationManager.endSession(CallSid);
             }
 
+            const session = conversationManager.findSession(CallSid);
+
+            if (CallStatus === 'completed' && session) {
+                costTracker.recordCall(session, parseInt(CallDuration) || Math.round((session.endTime - session.startTime) / 1000));
+
+                // Text the caller a recap once the call is over (does not hold up the webhook)
+                costTracker.track(session, () => smsService.sendFollowUp(session));
+            }
+
             res.sendStatus(200);
 
         } catch (error) {
@@ -217,6 +1037,7 @@ class VoiceController {
             
             res.json({
                 activeSessions: activeSessions.length,
+                costs: costTracker.getDailySummary(),
                 sessions: activeSessions
             });
 
@@ -236,7 +1057,7 @@ class VoiceController {
      */
     async makeTestCall(req, res) {
         try {
-            const { to } = req.body;
+            const { to, name, purpose, machineDetection, persona } = req.body;
             
             if (!to) {
                 return res.status(400).json({
@@ -244,8 +1065,28 @@ class VoiceController {
                 });
             }
 
-            const webhookUrl = `${config.twilio.webhookUrl || 'http://localhost:3000/webhook/voice'}`;
-            const call = await twilioService.makeCall(to, webhookUrl);
+            if (persona && !personaService.has(persona)) {
+                return res.status(400).json({
+                    error: `Unknown persona: ${persona}`
+                });
+            }
+
+            const call = await twilioService.makeCall(to, getPublicBaseUrl(req), {
+                machineDetection: machineDetection === undefined ? undefined : String(machineDetection) !== 'false'
+            });
+
+            // What we know about the callee seeds the conversation and the voicemail
+            const session = conversationManager.createSession(call.sid, {
+                direction: 'outbound',
+                userName: name || null,
+                topic: purpose || null
+            });
+            session.callerNumber = to;
+
+            // Without a persona the call gets the one for our number when it connects
+            if (persona) {
+                conversationManager.setPersona(call.sid, personaService.get(persona));
+            }
 
             res.json({
                 success: true,
@@ -0,0 +1,50 @@
+/**
+ * API Key Middleware
+ * Protects sensitive /api endpoints (e.g. call recordings)
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Compare keys in constant time, so response timing doesn't reveal how much
+ * of a guess was right
+ */
+function keysMatch(providedKey, expectedKey) {
+    const provided = Buffer.from(providedKey);
+    const expected = Buffer.from(expectedKey);
+
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Require API_KEY as a Bearer token or X-API-Key header.
+ * Without API_KEY configured the endpoints stay open in development only.
+ */
+function requireApiKey(req, res, next) {
+    if (!config.server.apiKey) {
+        if (config.server.environment !== 'production') {
+            return next();
+        }
+
+        logger.warn('Rejected API request: API_KEY is not configured', { path: req.path });
+        return res.status(403).json({ error: 'API key not configured' });
+    }
+
+    const authorization = req.get('Authorization') || '';
+    const providedKey = req.get('X-API-Key') || authorization.replace(/^Bearer\s+/i, '');
+
+    if (keysMatch(providedKey, config.server.apiKey)) {
+        return next();
+    }
+
+    logger.warn('Rejected API request with invalid API key', {
+        path: req.path,
+        ip: req.ip
+    });
+
+    res.status(401).json({ error: 'Invalid API key' });
+}
+
+module.exports = requireApiKey;
@@ -0,0 +1,72 @@
+/**
+ * Twilio Signature Middleware
+ * Rejects webhook requests and Media Streams WebSocket upgrades that were not
+ * signed by Twilio
+ */
+
+const twilioService = require('../services/twilio');
+const { getRequestUrl, getUpgradeUrl } = require('../utils/twilioSignature');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+/**
+ * Signature checks can be turned off for local development, never in production
+ */
+function isValidationSkipped() {
+    return config.twilio.skipSignatureValidation && config.server.environment !== 'production';
+}
+
+/**
+ * Validate the X-Twilio-Signature header against the request URL and body
+ */
+function validateTwilioSignature(req, res, next) {
+    if (isValidationSkipped()) {
+        return next();
+    }
+
+    const signature = req.get('X-Twilio-Signature');
+    const url = getRequestUrl(req);
+    const params = req.body || {};
+
+    if (signature && twilioService.validateSignature(signature, url, params)) {
+        return next();
+    }
+
+    logger.warn('Rejected webhook with invalid Twilio signature', {
+        path: req.path,
+        url,
+        ip: req.ip,
+        hasSignature: !!signature,
+        callSid: params.CallSid
+    });
+
+    res.status(403).send('Invalid Twilio signature');
+}
+
+/**
+ * Validate the X-Twilio-Signature of a WebSocket upgrade (ws verifyClient).
+ * Twilio signs the wss:// URL of the <Stream> with no parameters.
+ */
+function validateUpgradeSignature(req) {
+    if (isValidationSkipped()) {
+        return true;
+    }
+
+    const signature = req.headers['x-twilio-signature'];
+    const url = getUpgradeUrl(req);
+
+    if (signature && twilioService.validateSignature(signature, url, {})) {
+        return true;
+    }
+
+    logger.warn('Rejected media stream with invalid Twilio signature', {
+        url,
+        ip: req.socket?.remoteAddress,
+        hasSignature: !!signature
+    });
+
+    return false;
+}
+
+module.exports = validateTwilioSignature;
+module.exports.validateUpgradeSignature = validateUpgradeSignature;
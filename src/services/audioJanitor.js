@@ -0,0 +1,293 @@
+/**
+ * Audio Janitor
+ * Keeps the assistant's audio files from piling up:
+ *
+ * - When a call ends its files are deleted, or moved to archive/ when the call
+ *   was recorded and RECORDING_RETENTION_DAYS is set.
+ * - A background sweep of the local audio directory deletes files older than
+ *   AUDIO_MAX_AGE_HOURS, archived files past their retention, and then the
+ *   oldest files until the directory is under AUDIO_MAX_SIZE_MB. The TTS cache
+ *   (cache/) manages its own size and is left alone.
+ * - Files of calls still in progress, and any file written in the last
+ *   AUDIO_FETCH_GRACE_MS, are never touched: Twilio may still be fetching them.
+ *
+ * With S3 storage, calls' files are deleted or archived the same way; the
+ * age and size limits are left to the bucket's lifecycle rules.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const audioStorage = require('./audioStorage');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const ARCHIVE_DIR = 'archive';
+
+// Ended calls remembered so files written after the end are still cleaned up
+const MAX_RELEASED_CALLS = 1000;
+
+class AudioJanitor {
+    constructor() {
+        // callSid -> Map of key -> time written, for calls that haven't ended
+        this.calls = new Map();
+        // Calls that have ended (callSid -> whether their audio is archived), for files written late
+        this.released = new Map();
+        this.timer = null;
+        this.sweeping = false;
+        this.stats = { deleted: 0, archived: 0, freedBytes: 0 };
+        this.usage = null;
+    }
+
+    /**
+     * Start the background sweep
+     */
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => this.sweep(), config.audioJanitor.intervalMs);
+        this.timer.unref();
+
+        this.sweep();
+    }
+
+    /**
+     * Stop the background sweep
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Remember a file written for a call, so it is cleaned up when the call ends
+     */
+    track(callSid, key) {
+        // Written after the call ended (e.g. a reply still being voiced) - goes the same way as the rest
+        if (this.released.has(callSid)) {
+            this.scheduleDispose(key, Date.now(), this.released.get(callSid), callSid);
+            return;
+        }
+
+        if (!this.calls.has(callSid)) {
+            this.calls.set(callSid, new Map());
+        }
+
+        this.calls.get(callSid).set(key, Date.now());
+    }
+
+    /**
+     * Check whether a file may still be fetched by Twilio
+     */
+    isProtected(key, writtenAt) {
+        if (Date.now() - writtenAt < config.audioJanitor.fetchGraceMs) {
+            return true;
+        }
+
+        return Array.from(this.calls.values()).some(files => files.has(key));
+    }
+
+    /**
+     * Check whether a storage key lies in the archive, which is kept for review and never served
+     */
+    isArchived(key) {
+        return key === ARCHIVE_DIR || key.startsWith(`${ARCHIVE_DIR}/`);
+    }
+
+    /**
+     * Whether a call's audio should be archived rather than deleted
+     */
+    shouldArchive(session) {
+        return config.recording.retentionDays > 0 &&
+            !!session?.recording &&
+            !session.recording.optedOut &&
+            !['failed', 'declined'].includes(session.recording.status);
+    }
+
+    /**
+     * A call ended: delete or archive its files, waiting out the fetch grace
+     * period for any that were only just written
+     */
+    releaseCall(session) {
+        const files = this.calls.get(session.callSid);
+        const archive = this.shouldArchive(session);
+
+        this.released.set(session.callSid, archive);
+        if (this.released.size > MAX_RELEASED_CALLS) {
+            this.released.delete(this.released.keys().next().value);
+        }
+
+        if (!files) return;
+        this.calls.delete(session.callSid);
+
+        files.forEach((writtenAt, key) => this.scheduleDispose(key, writtenAt, archive, session.callSid));
+
+        logger.logCall('audio_released', session.callSid, {
+            files: files.size,
+            action: archive ? 'archive' : 'delete'
+        });
+    }
+
+    /**
+     * Dispose of a file once its fetch grace period is over
+     */
+    scheduleDispose(key, writtenAt, archive, callSid) {
+        const delay = Math.max(0, writtenAt + config.audioJanitor.fetchGraceMs - Date.now());
+
+        setTimeout(() => this.dispose(key, archive, callSid), delay).unref();
+    }
+
+    /**
+     * Delete a file, or move it into the archive
+     */
+    async dispose(key, archive, callSid) {
+        try {
+            if (archive) {
+                await audioStorage.move(key, `${ARCHIVE_DIR}/${key}`);
+                this.stats.archived++;
+            } else {
+                await audioStorage.delete(key);
+                this.stats.deleted++;
+            }
+
+        } catch (error) {
+            logger.warn('Failed to clean up call audio', {
+                error: error.message,
+                key,
+                callSid
+            });
+        }
+    }
+
+    /**
+     * Files directly in a directory (subdirectories are skipped), oldest first
+     */
+    async listFiles(dir, prefix = '') {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const files = [];
+        for (const entry of entries.filter(item => item.isFile())) {
+            try {
+                const stats = await fs.promises.stat(path.join(dir, entry.name));
+                files.push({ key: `${prefix}${entry.name}`, size: stats.size, modifiedAt: stats.mtimeMs });
+            } catch (error) {
+                // Removed while we were looking - nothing to do
+            }
+        }
+
+        return files.sort((a, b) => a.modifiedAt - b.modifiedAt);
+    }
+
+    /**
+     * Delete a file found by the sweep
+     */
+    async remove(file, reason) {
+        try {
+            await audioStorage.delete(file.key);
+            this.stats.deleted++;
+            this.stats.freedBytes += file.size;
+            return true;
+
+        } catch (error) {
+            logger.warn('Failed to delete audio file', { error: error.message, key: file.key, reason });
+            return false;
+        }
+    }
+
+    /**
+     * Apply the age, retention and size limits to the local audio directory
+     */
+    async sweep() {
+        if (this.sweeping || !audioStorage.isLocal()) return;
+        this.sweeping = true;
+
+        try {
+            const { maxAgeHours, maxBytes } = config.audioJanitor;
+            const dir = config.storage.localDir;
+            const now = Date.now();
+            const before = { ...this.stats };
+
+            const files = await this.listFiles(dir);
+            const archived = await this.listFiles(path.join(dir, ARCHIVE_DIR), `${ARCHIVE_DIR}/`);
+
+            const expired = file => this.isArchived(file.key)
+                ? now - file.modifiedAt > config.recording.retentionDays * 24 * 60 * 60 * 1000
+                : now - file.modifiedAt > maxAgeHours * 60 * 60 * 1000;
+
+            // Oldest first, so the size limit removes the oldest of what's left
+            let remaining = [];
+            for (const file of [...files, ...archived].sort((a, b) => a.modifiedAt - b.modifiedAt)) {
+                if (!this.isProtected(file.key, file.modifiedAt) && expired(file) && await this.remove(file, 'age')) {
+                    continue;
+                }
+                remaining.push(file);
+            }
+
+            let bytes = remaining.reduce((sum, file) => sum + file.size, 0);
+            for (const file of remaining.filter(item => !this.isProtected(item.key, item.modifiedAt))) {
+                if (bytes <= maxBytes) break;
+
+                if (await this.remove(file, 'size')) {
+                    bytes -= file.size;
+                    remaining = remaining.filter(item => item !== file);
+                }
+            }
+
+            this.usage = {
+                files: remaining.filter(file => !this.isArchived(file.key)).length,
+                archivedFiles: remaining.filter(file => this.isArchived(file.key)).length,
+                bytes,
+                maxBytes,
+                disk: await this.getDiskSpace(dir),
+                sweptAt: new Date().toISOString()
+            };
+
+            if (this.stats.deleted > before.deleted) {
+                logger.info('Audio janitor removed old files', {
+                    deleted: this.stats.deleted - before.deleted,
+                    freedBytes: this.stats.freedBytes - before.freedBytes,
+                    bytes
+                });
+            }
+
+        } catch (error) {
+            logger.error('Audio janitor sweep failed', { error: error.message });
+        } finally {
+            this.sweeping = false;
+        }
+    }
+
+    /**
+     * Free and total space of the disk holding a directory (null if unknown)
+     */
+    async getDiskSpace(dir) {
+        try {
+            const stats = await fs.promises.statfs(dir);
+
+            return {
+                totalBytes: stats.blocks * stats.bsize,
+                freeBytes: stats.bavail * stats.bsize
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Disk usage as of the last sweep, for /health
+     */
+    getStats() {
+        return {
+            activeCalls: this.calls.size,
+            ...this.usage,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = new AudioJanitor();
@@ -0,0 +1,121 @@
+/**
+ * Audio Storage
+ * Where the audio Twilio plays with <Play> is kept, behind one interface so
+ * the backend can be swapped with AUDIO_STORAGE:
+ *
+ * - local: this server's disk, served on /audio (a single instance only)
+ * - s3: any S3-compatible bucket, served from the bucket (public or presigned URLs)
+ *
+ * A backend is a class constructed with its settings that implements:
+ *   put(key, buffer, contentType)  -> resolves once the file can be fetched
+ *   move(fromKey, toKey)           -> resolves once the file is under its new key
+ *   delete(key)                    -> resolves once it is gone
+ *   getUrl(key, baseUrl)           -> URL Twilio fetches the file from
+ * Keys are relative paths such as CA123_0_1700000000000.wav or cache/<hash>.wav.
+ */
+
+const path = require('path');
+const LocalStorage = require('./storage/local');
+const S3Storage = require('./storage/s3');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const BACKENDS = {
+    local: () => new LocalStorage({ dir: config.storage.localDir }),
+    s3: () => new S3Storage(config.storage.s3)
+};
+
+const CONTENT_TYPES = {
+    '.wav': 'audio/wav',
+    '.mp3': 'audio/mpeg'
+};
+
+class AudioStorage {
+    constructor() {
+        this.backend = null;
+    }
+
+    /**
+     * The configured backend (created on first use); falls back to local disk
+     * if it can't be set up
+     */
+    getBackend() {
+        if (this.backend) return this.backend;
+
+        try {
+            const createBackend = BACKENDS[config.storage.backend];
+            if (!createBackend) {
+                throw new Error(`Unknown audio storage backend: ${config.storage.backend}`);
+            }
+
+            this.backend = createBackend();
+
+        } catch (error) {
+            logger.error('Failed to set up audio storage, using local disk', {
+                error: error.message,
+                backend: config.storage.backend
+            });
+
+            this.backend = BACKENDS.local();
+        }
+
+        return this.backend;
+    }
+
+    /**
+     * Check whether files live on this server's disk
+     */
+    isLocal() {
+        return this.getBackend().name === 'local';
+    }
+
+    /**
+     * Store a file; resolves once Twilio can fetch it
+     */
+    async put(key, buffer) {
+        const contentType = CONTENT_TYPES[path.extname(key)] || 'application/octet-stream';
+
+        await this.getBackend().put(key, buffer, contentType);
+
+        logger.debug('Audio file stored', {
+            key,
+            size: buffer.length,
+            backend: this.getBackend().name
+        });
+    }
+
+    /**
+     * Move a file to another key (e.g. into archive/)
+     */
+    async move(fromKey, toKey) {
+        await this.getBackend().move(fromKey, toKey);
+    }
+
+    /**
+     * Delete a file
+     */
+    async delete(key) {
+        await this.getBackend().delete(key);
+    }
+
+    /**
+     * URL Twilio fetches a file from
+     */
+    getUrl(key, baseUrl) {
+        return this.getBackend().getUrl(key, baseUrl);
+    }
+
+    /**
+     * Backend in use, for /health
+     */
+    getStatus() {
+        const backend = this.getBackend();
+
+        return {
+            backend: backend.name,
+            bucket: backend.bucket || null
+        };
+    }
+}
+
+module.exports = new AudioStorage();
@@ -0,0 +1,338 @@
+/**
+ * Cost Accounting
+ * Adds up what each call and text thread costs, priced with the tables in
+ * src/config/pricing.json:
+ *
+ * - LLM tokens: every provider call, including summaries, recaps and embeddings
+ * - ElevenLabs characters
+ * - speech-to-text minutes (Media Streams)
+ * - Twilio minutes, once the call status webhook reports the duration
+ *   (estimated from the time on the line until then)
+ *
+ * Usage is charged to the session whose work is running (see track()) and to
+ * the day's total, which is kept in COST_LEDGER_FILE across restarts. Once a
+ * call or the day reaches its cap, turns are answered by a cheaper model
+ * or the call is wrapped up, depending on COST_CAP_ACTION (and on whether
+ * the LLM provider has a cheaper model to switch to).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const CATEGORIES = ['llm', 'tts', 'stt', 'telephony'];
+
+// Days of totals kept in the ledger file
+const LEDGER_DAYS = 30;
+
+// Usage is recorded several times a turn - write the ledger once it settles
+const SAVE_DELAY_MS = 5000;
+
+/**
+ * Round an amount for reporting (costs are fractions of a cent per call)
+ */
+function round(amount) {
+    return Math.round(amount * 1e6) / 1e6;
+}
+
+class CostTracker {
+    constructor() {
+        this.pricing = null;
+        this.days = null;
+        this.saveTimer = null;
+        this.scope = new AsyncLocalStorage();
+        this.unpriced = new Set();
+    }
+
+    /**
+     * Empty ledger for a new session
+     */
+    createLedger() {
+        return {
+            total: 0,
+            llm: { promptTokens: 0, completionTokens: 0, cost: 0 },
+            tts: { characters: 0, cost: 0 },
+            stt: { seconds: 0, cost: 0 },
+            telephony: { minutes: 0, cost: 0 },
+            direction: 'inbound',
+            // The cap that was reached ('call' or 'day') and what was done about it
+            cap: null,
+            capAction: null
+        };
+    }
+
+    /**
+     * Load the price tables (cached after the first call)
+     */
+    loadPricing() {
+        if (this.pricing) return this.pricing;
+
+        try {
+            this.pricing = JSON.parse(fs.readFileSync(config.costs.pricingPath, 'utf8'));
+        } catch (error) {
+            logger.error('Failed to load price tables, costs will read as zero', {
+                error: error.message,
+                path: config.costs.pricingPath
+            });
+
+            this.pricing = {};
+        }
+
+        return this.pricing;
+    }
+
+    /**
+     * Load the per-day totals from disk (cached after the first call)
+     */
+    loadDays() {
+        if (this.days) return this.days;
+
+        this.days = {};
+        try {
+            if (fs.existsSync(config.costs.ledgerFile)) {
+                this.days = JSON.parse(fs.readFileSync(config.costs.ledgerFile, 'utf8'));
+            }
+        } catch (error) {
+            logger.error('Failed to load cost ledger, starting today from zero', {
+                error: error.message,
+                path: config.costs.ledgerFile
+            });
+        }
+
+        return this.days;
+    }
+
+    /**
+     * Persist the per-day totals (the most recent LEDGER_DAYS days)
+     */
+    save() {
+        const days = this.loadDays();
+        Object.keys(days).sort().slice(0, -LEDGER_DAYS).forEach(date => delete days[date]);
+
+        try {
+            fs.mkdirSync(path.dirname(config.costs.ledgerFile), { recursive: true });
+            fs.writeFileSync(config.costs.ledgerFile, JSON.stringify(days, (key, value) =>
+                typeof value === 'number' ? round(value) : value, 2));
+        } catch (error) {
+            logger.error('Failed to save cost ledger', {
+                error: error.message,
+                path: config.costs.ledgerFile
+            });
+        }
+    }
+
+    /**
+     * Save the ledger shortly, once for all the usage recorded in the meantime
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save();
+        }, SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Today's totals (UTC day)
+     */
+    getToday() {
+        const days = this.loadDays();
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (!days[date]) {
+            days[date] = { total: 0, llm: 0, tts: 0, stt: 0, telephony: 0 };
+        }
+
+        return days[date];
+    }
+
+    /**
+     * Run fn with the usage it causes charged to a session (and to the day).
+     * Work started inside fn - streamed sentences, background summaries - is charged too.
+     */
+    track(session, fn) {
+        return this.scope.run(session || null, fn);
+    }
+
+    /**
+     * Price of a model from one of the tables: the longest name the model starts
+     * with (so dated versions match their family), otherwise the table's default
+     */
+    getPrice(table, model) {
+        const prices = this.loadPricing()[table] || {};
+        const name = Object.keys(prices)
+            .filter(key => !key.startsWith('_') && key !== 'default' && model?.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (name) return prices[name];
+
+        if (!this.unpriced.has(`${table}:${model}`)) {
+            this.unpriced.add(`${table}:${model}`);
+            logger.warn('No price for model, using the default price', { table, model });
+        }
+
+        return prices.default;
+    }
+
+    /**
+     * Charge usage to the day and to the session whose work is running
+     */
+    add(category, usage, cost, session = this.scope.getStore()) {
+        const today = this.getToday();
+        today[category] += cost;
+        today.total += cost;
+        this.scheduleSave();
+
+        if (!session?.costs) return;
+
+        const entry = session.costs[category];
+        Object.entries(usage).forEach(([key, value]) => {
+            entry[key] += value;
+        });
+        entry.cost += cost;
+        session.costs.total += cost;
+    }
+
+    /**
+     * LLM tokens from a completion or embeddings response (OpenAI usage format)
+     */
+    recordTokens(model, usage) {
+        if (!usage) return;
+
+        const price = this.getPrice('llm', model) || {};
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens || 0;
+        const cost = (promptTokens * (price.input || 0) + completionTokens * (price.output || 0)) / 1e6;
+
+        this.add('llm', { promptTokens, completionTokens }, cost);
+    }
+
+    /**
+     * Characters sent to ElevenLabs
+     */
+    recordCharacters(model, characters) {
+        const cost = characters * (this.getPrice('tts', model) || 0) / 1000;
+
+        this.add('tts', { characters }, cost);
+    }
+
+    /**
+     * Seconds of audio transcribed
+     */
+    recordTranscription(model, seconds) {
+        const cost = seconds * (this.getPrice('stt', model) || 0) / 60;
+
+        this.add('stt', { seconds }, cost);
+    }
+
+    /**
+     * Twilio minutes for a finished call (billed per started minute)
+     */
+    recordCall(session, seconds, direction = session.costs.direction) {
+        if (session.costs.telephony.minutes > 0) return;
+
+        const minutes = Math.ceil(seconds / 60);
+        const cost = minutes * (this.loadPricing().telephony?.[direction] || 0);
+
+        this.add('telephony', { minutes }, cost, session);
+    }
+
+    /**
+     * What a session has cost so far, including the Twilio minutes of a call in progress
+     */
+    getSessionCost(session) {
+        const ledger = session.costs;
+
+        if (session.channel !== 'voice' || ledger.telephony.minutes > 0) {
+            return ledger.total;
+        }
+
+        const minutes = Math.ceil((Date.now() - session.startTime) / 60000);
+        return ledger.total + minutes * (this.loadPricing().telephony?.[ledger.direction] || 0);
+    }
+
+    /**
+     * Check a session against the spending caps before its next turn.
+     * Returns null while it is under both, otherwise { cap, action } where action
+     * is 'downgrade' (answer with the provider's cheaper model) or 'wrap-up'.
+     * canDowngrade() says whether the session's provider has a cheaper model;
+     * without one, a 'downgrade' cap action wraps up instead.
+     */
+    checkBudget(session, canDowngrade = () => true) {
+        const { callCap, dailyCap } = config.costs;
+
+        let cap = null;
+        if (callCap > 0 && this.getSessionCost(session) >= callCap) {
+            cap = 'call';
+        } else if (dailyCap > 0 && this.getToday().total >= dailyCap) {
+            cap = 'day';
+        }
+
+        if (!cap) return null;
+
+        const downgradeUnavailable = config.costs.capAction !== 'wrap-up' && !canDowngrade();
+        const action = config.costs.capAction === 'wrap-up' || downgradeUnavailable ? 'wrap-up' : 'downgrade';
+
+        if (session.costs.cap !== cap) {
+            session.costs.cap = cap;
+            session.costs.capAction = action;
+
+            if (downgradeUnavailable) {
+                logger.warn('LLM provider has no cheaper model for the spending cap, wrapping up instead', {
+                    callSid: session.callSid,
+                    persona: session.persona || 'default'
+                });
+            }
+
+            logger.logConversation('cost_cap_reached', session.callSid, `${cap} spending cap reached`, {
+                action,
+                sessionCost: round(this.getSessionCost(session)),
+                dayCost: round(this.getToday().total)
+            });
+        }
+
+        return { cap, action };
+    }
+
+    /**
+     * A session's costs, for the stats API
+     */
+    summarize(session) {
+        const ledger = session.costs;
+
+        return {
+            currency: this.loadPricing().currency || 'USD',
+            total: round(this.getSessionCost(session)),
+            ...Object.fromEntries(CATEGORIES.map(category => [
+                category,
+                { ...ledger[category], cost: round(ledger[category].cost) }
+            ])),
+            cap: ledger.cap,
+            capAction: ledger.capAction
+        };
+    }
+
+    /**
+     * Today's spending and the caps, for the stats API
+     */
+    getDailySummary() {
+        const today = this.getToday();
+
+        return {
+            date: new Date().toISOString().slice(0, 10),
+            currency: this.loadPricing().currency || 'USD',
+            ...Object.fromEntries(Object.entries(today).map(([key, value]) => [key, round(value)])),
+            caps: {
+                call: config.costs.callCap || null,
+                day: config.costs.dailyCap || null,
+                action: config.costs.capAction
+            }
+        };
+    }
+}
+
+module.exports = new CostTracker();
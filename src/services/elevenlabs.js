@@ -1,20 +1,36 @@
 /**
  * ElevenLabs Service
  * Handles ElevenLabs API interactions for voice synthesis
+ *
+ * Phone audio is streamed as raw 8kHz μ-law (ulaw_8000), the format Twilio
+ * plays natively: the Media Streams bridge sends chunks to the caller as they
+ * arrive, and <Play> gets them wrapped in a WAV file instead of an MP3 that
+ * Twilio would have to fetch and transcode.
  */
 
 const axios = require('axios');
-const fs = require('fs');
 const path = require('path');
 const config = require('../config');
 const logger = require('../utils/logger');
+const resilience = require('../utils/resilience');
+const costTracker = require('./costs');
+const ttsCache = require('./ttsCache');
+const audioStorage = require('./audioStorage');
+const audioJanitor = require('./audioJanitor');
+const audio = require('../utils/audio');
+
+// Fastest model, used for everything said on a call
+const PHONE_MODEL = 'eleven_flash_v2_5';
 
 class ElevenLabsService {
     constructor() {
         this.apiKey = config.elevenlabs.apiKey;
         this.voiceId = config.elevenlabs.voiceId;
         this.model = config.elevenlabs.model;
-        this.baseUrl = 'https://api.elevenlabs.io';
+        this.baseUrl = config.elevenlabs.baseUrl;
+
+        // Phrases being voiced for the TTS cache (cache key -> promise), so each is voiced once
+        this.pendingPhrases = new Map();
         
         // Voice settings
         this.voiceSettings = {
@@ -23,23 +39,19 @@ class ElevenLabsService {
             style: config.elevenlabs.style,
             use_speaker_boost: config.elevenlabs.useSpeakerBoost
         };
-
-        // Create audio directory if it doesn't exist
-        this.audioDir = path.join(process.cwd(), 'temp', 'audio');
-        if (!fs.existsSync(this.audioDir)) {
-            fs.mkdirSync(this.audioDir, { recursive: true });
-        }
     }
 
     /**
      * Convert text to speech using ElevenLabs
+     * options: { voiceId, model, outputFormat, voiceSettings }
      */
     async textToSpeech(text, options = {}) {
         const startTime = Date.now();
+        const voiceId = options.voiceId || this.voiceId;
         
         try {
-            const response = await axios.post(
-                `${this.baseUrl}/v1/text-to-speech/${this.voiceId}`,
+            const response = await resilience.call('elevenlabs', attempt => axios.post(
+                `${this.baseUrl}/v1/text-to-speech/${voiceId}`,
                 {
                     text: text,
                     model_id: options.model || this.model,
@@ -53,9 +65,11 @@ class ElevenLabsService {
                         'xi-api-key': this.apiKey,
                         'Content-Type': 'application/json'
                     },
-                    responseType: 'arraybuffer'
+                    params: options.outputFormat ? { output_format: options.outputFormat } : undefined,
+                    responseType: 'arraybuffer',
+                    signal: attempt.signal
                 }
-            );
+            ), { timeoutMs: config.elevenlabs.timeoutMs });
 
             const duration = Date.now() - startTime;
             const audioBuffer = Buffer.from(response.data);
@@ -63,10 +77,13 @@ class ElevenLabsService {
             logger.logApiCall('elevenlabs', 'text-to-speech', duration, true, {
                 textLength: text.length,
                 audioSize: audioBuffer.length,
-                voiceId: this.voiceId,
-                model: options.model || this.model
+                voiceId,
+                model: options.model || this.model,
+                outputFormat: options.outputFormat || 'mp3'
             });
 
+            costTracker.recordCharacters(options.model || this.model, text.length);
+
             return {
                 audioBuffer,
                 duration,
@@ -86,26 +103,106 @@ class ElevenLabsService {
     }
 
     /**
-     * Save audio buffer to file and return URL
+     * Stream speech from ElevenLabs, passing audio to onChunk as it arrives
+     * (8kHz μ-law unless options.outputFormat says otherwise). Resolves to the
+     * whole clip once the stream ends.
+     * options: { voiceId, model, outputFormat, voiceSettings, optimizeStreamingLatency }
+     */
+    async streamSpeech(text, onChunk, options = {}) {
+        const startTime = Date.now();
+        const voiceId = options.voiceId || this.voiceId;
+        const model = options.model || this.model;
+        const outputFormat = options.outputFormat || 'ulaw_8000';
+        const chunks = [];
+
+        // Audio that has been passed on can't be taken back, so a failure after that is final
+        let started = false;
+
+        try {
+            await resilience.call('elevenlabs', async attempt => {
+                const response = await axios.post(
+                    `${this.baseUrl}/v1/text-to-speech/${voiceId}/stream`,
+                    {
+                        text: text,
+                        model_id: model,
+                        voice_settings: {
+                            ...this.voiceSettings,
+                            ...options.voiceSettings
+                        }
+                    },
+                    {
+                        headers: {
+                            'xi-api-key': this.apiKey,
+                            'Content-Type': 'application/json'
+                        },
+                        params: {
+                            output_format: outputFormat,
+                            optimize_streaming_latency: options.optimizeStreamingLatency ?? config.elevenlabs.optimizeStreamingLatency
+                        },
+                        responseType: 'stream',
+                        signal: attempt.signal
+                    }
+                );
+
+                for await (const data of response.data) {
+                    attempt.extend?.();
+                    started = true;
+                    chunks.push(data);
+                    onChunk?.(data);
+                }
+            }, {
+                timeoutMs: config.elevenlabs.timeoutMs,
+                canRetry: () => !started
+            });
+
+            const duration = Date.now() - startTime;
+            const audioBuffer = Buffer.concat(chunks);
+
+            logger.logApiCall('elevenlabs', 'text-to-speech/stream', duration, true, {
+                textLength: text.length,
+                audioSize: audioBuffer.length,
+                chunks: chunks.length,
+                voiceId,
+                model,
+                outputFormat
+            });
+
+            costTracker.recordCharacters(model, text.length);
+
+            return {
+                audioBuffer,
+                duration,
+                size: audioBuffer.length
+            };
+
+        } catch (error) {
+            const duration = Date.now() - startTime;
+
+            logger.logApiCall('elevenlabs', 'text-to-speech/stream', duration, false, {
+                error: error.message,
+                textLength: text.length,
+                streamed: started
+            });
+
+            throw new Error(`ElevenLabs TTS stream error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Save audio to the audio storage and return the URL Twilio fetches it from
      */
-    async saveAudioFile(audioBuffer, callSid, messageIndex) {
+    async saveAudioFile(audioBuffer, callSid, messageIndex, baseUrl, extension = 'mp3') {
         try {
-            const filename = `${callSid}_${messageIndex}_${Date.now()}.mp3`;
-            const filePath = path.join(this.audioDir, filename);
+            const filename = `${callSid}_${messageIndex}_${Date.now()}.${extension}`;
             
-            fs.writeFileSync(filePath, audioBuffer);
+            await audioStorage.put(filename, audioBuffer);
+            audioJanitor.track(callSid, filename);
             
             // Return URL that can be accessed by Twilio
-            const audioUrl = `http://localhost:${config.server.port}/audio/${filename}`;
-            
-            logger.debug('Audio file saved', {
-                filename,
-                size: audioBuffer.length,
-                url: audioUrl
-            });
+            const audioUrl = audioStorage.getUrl(filename, baseUrl);
 
             return {
-                filePath,
+                key: filename,
                 audioUrl,
                 filename
             };
@@ -122,29 +219,82 @@ class ElevenLabsService {
     }
 
     /**
-     * Generate speech for phone conversation
+     * Cache key for phone speech: the text and everything that changes how it sounds
      */
-    async generatePhoneSpeech(text, callSid, messageIndex = 0) {
+    getPhoneCacheKey(phoneOptimizedText, voiceId) {
+        return ttsCache.buildKey({
+            text: phoneOptimizedText,
+            voiceId: voiceId || this.voiceId,
+            model: PHONE_MODEL,
+            voiceSettings: this.voiceSettings,
+            optimizeStreamingLatency: config.elevenlabs.optimizeStreamingLatency,
+            format: 'ulaw_8000'
+        });
+    }
+
+    /**
+     * 8kHz μ-law speech for a phone call, from the TTS cache when the phrase has
+     * been said before (no ElevenLabs call), otherwise streamed. Pinned phrases
+     * and phrases voiced before are then cached; one-off replies are not.
+     * options: { voiceId, onChunk, pinned }
+     */
+    async synthesizePhoneSpeech(phoneOptimizedText, options = {}) {
+        const cacheKey = this.getPhoneCacheKey(phoneOptimizedText, options.voiceId);
+        const cached = await ttsCache.get(cacheKey);
+
+        if (cached) {
+            options.onChunk?.(cached);
+
+            return { audioBuffer: cached, duration: 0, size: cached.length, cacheKey, cached: true };
+        }
+
+        const ttsResult = await this.streamSpeech(phoneOptimizedText, options.onChunk, {
+            voiceId: options.voiceId,
+            model: PHONE_MODEL
+        });
+
+        if (ttsCache.shouldCache(cacheKey, options.pinned)) {
+            await ttsCache.put(cacheKey, ttsResult.audioBuffer, options.pinned);
+        }
+
+        return { ...ttsResult, cacheKey, cached: false };
+    }
+
+    /**
+     * Generate speech for phone conversation, saved as a μ-law WAV for <Play>
+     * options.voiceId: the persona's voice (default ELEVENLABS_VOICE_ID)
+     */
+    async generatePhoneSpeech(text, callSid, messageIndex = 0, baseUrl, options = {}) {
         try {
             // Optimize text for phone conversation
             const phoneOptimizedText = this.optimizeTextForPhone(text);
             
-            // Generate speech
-            const ttsResult = await this.textToSpeech(phoneOptimizedText, {
-                model: 'eleven_flash_v2_5' // Use fastest model for phone calls
-            });
-
-            // Save audio file
-            const audioFile = await this.saveAudioFile(ttsResult.audioBuffer, callSid, messageIndex);
+            // Generate speech (or reuse it)
+            const ttsResult = await this.synthesizePhoneSpeech(phoneOptimizedText, { voiceId: options.voiceId });
+
+            // Cached phrases are played straight from the cache (unless it is turned
+            // off and only stale files are left); anything else gets a file of its own
+            const cachedKey = ttsCache.getStorageKey(ttsResult.cacheKey);
+            const audioFile = ttsCache.isEnabled() && ttsCache.load().has(ttsResult.cacheKey)
+                ? {
+                    key: cachedKey,
+                    audioUrl: audioStorage.getUrl(cachedKey, baseUrl),
+                    filename: path.basename(cachedKey)
+                }
+                : await this.saveAudioFile(
+                    audio.mulawToWav(ttsResult.audioBuffer), callSid, messageIndex, baseUrl, 'wav'
+                );
 
             return {
                 audioUrl: audioFile.audioUrl,
-                filePath: audioFile.filePath,
+                key: audioFile.key,
                 filename: audioFile.filename,
                 originalText: text,
                 optimizedText: phoneOptimizedText,
                 duration: ttsResult.duration,
-                audioSize: ttsResult.size
+                durationMs: audio.mulawDurationMs(ttsResult.audioBuffer),
+                audioSize: ttsResult.size,
+                cached: ttsResult.cached
             };
 
         } catch (error) {
@@ -158,6 +308,111 @@ class ElevenLabsService {
         }
     }
 
+    /**
+     * Generate raw 8kHz μ-law speech for the Media Streams bridge
+     * options.voiceId: the persona's voice (default ELEVENLABS_VOICE_ID)
+     * options.onChunk: receives the audio as it arrives, to start playing it straight away
+     */
+    async generateStreamSpeech(text, options = {}) {
+        const phoneOptimizedText = this.optimizeTextForPhone(text);
+
+        const ttsResult = await this.synthesizePhoneSpeech(phoneOptimizedText, {
+            voiceId: options.voiceId,
+            onChunk: options.onChunk
+        });
+
+        return {
+            audioBuffer: ttsResult.audioBuffer,
+            originalText: text,
+            optimizedText: phoneOptimizedText,
+            duration: ttsResult.duration,
+            audioSize: ttsResult.size,
+            cached: ttsResult.cached
+        };
+    }
+
+    /**
+     * URL of a phrase's cached audio (for <Play> in TwiML), or null if it
+     * hasn't been voiced yet - it is then voiced in the background for next time
+     * (unless options.lookupOnly: one-off text such as a model reply isn't pinned)
+     * options: { voiceId, baseUrl, lookupOnly }
+     */
+    findCachedSpeech(text, options = {}) {
+        if (!ttsCache.isEnabled() || !text) return null;
+
+        const phoneOptimizedText = this.optimizeTextForPhone(text);
+        const cacheKey = this.getPhoneCacheKey(phoneOptimizedText, options.voiceId);
+
+        if (ttsCache.has(cacheKey)) {
+            return audioStorage.getUrl(ttsCache.getStorageKey(cacheKey), options.baseUrl);
+        }
+
+        if (!options.lookupOnly && !this.pendingPhrases.has(cacheKey)) {
+            this.cachePhrase(phoneOptimizedText, options.voiceId, cacheKey).catch(error => {
+                logger.warn('Failed to voice phrase for the TTS cache', {
+                    error: error.message,
+                    text: text.substring(0, 100)
+                });
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Voice a phrase into the cache (pinned); requests for a phrase that is
+     * already being voiced share that ElevenLabs call
+     */
+    cachePhrase(phoneOptimizedText, voiceId, cacheKey) {
+        if (!this.pendingPhrases.has(cacheKey)) {
+            const pending = this.synthesizePhoneSpeech(phoneOptimizedText, { voiceId, pinned: true })
+                .finally(() => this.pendingPhrases.delete(cacheKey));
+
+            this.pendingPhrases.set(cacheKey, pending);
+        }
+
+        return this.pendingPhrases.get(cacheKey);
+    }
+
+    /**
+     * Voice fixed phrases ahead of the first call, one at a time, and pin them in the cache
+     * phrases: [{ text, voiceId }]
+     */
+    async prewarm(phrases) {
+        if (!ttsCache.isEnabled() || !this.apiKey) return;
+
+        const startTime = Date.now();
+        let voiced = 0;
+        const seen = new Set();
+
+        for (const { text, voiceId } of phrases) {
+            const phoneOptimizedText = this.optimizeTextForPhone(text);
+            const cacheKey = this.getPhoneCacheKey(phoneOptimizedText, voiceId);
+
+            if (seen.has(cacheKey)) continue;
+            seen.add(cacheKey);
+
+            ttsCache.pin(cacheKey);
+            if (ttsCache.load().has(cacheKey)) continue;
+
+            try {
+                await this.cachePhrase(phoneOptimizedText, voiceId, cacheKey);
+                voiced++;
+            } catch (error) {
+                logger.warn('Failed to pre-warm phrase', {
+                    error: error.message,
+                    text: text.substring(0, 100)
+                });
+            }
+        }
+
+        logger.info('TTS cache pre-warmed', {
+            phrases: seen.size,
+            voiced,
+            duration: `${Date.now() - startTime}ms`
+        });
+    }
+
     /**
      * Optimize text for phone conversation
      */
@@ -269,41 +524,6 @@ class ElevenLabsService {
             };
         }
     }
-
-    /**
-     * Clean up old audio files
-     */
-    cleanupOldAudioFiles(maxAgeHours = 2) {
-        try {
-            const files = fs.readdirSync(this.audioDir);
-            const maxAge = maxAgeHours * 60 * 60 * 1000; // Convert to milliseconds
-            const now = Date.now();
-            let deletedCount = 0;
-
-            files.forEach(file => {
-                const filePath = path.join(this.audioDir, file);
-                const stats = fs.statSync(filePath);
-                
-                if (now - stats.mtime.getTime() > maxAge) {
-                    fs.unlinkSync(filePath);
-                    deletedCount++;
-                }
-            });
-
-            if (deletedCount > 0) {
-                logger.info(`Cleaned up ${deletedCount} old audio files`);
-            }
-
-            return deletedCount;
-
-        } catch (error) {
-            logger.error('Failed to cleanup audio files', {
-                error: error.message
-            });
-            
-            return 0;
-        }
-    }
 }
 
 module.exports = new ElevenLabsService();
@@ -0,0 +1,178 @@
+/**
+ * Guardrails
+ * Screens what callers say before it reaches the model, and what the model
+ * says before the caller hears it (see src/config/guardrails.json):
+ *
+ * - input:  pattern rules (prompt injection, blocked topics), then OpenAI moderation
+ * - output: pattern rules for disallowed content and promises the assistant
+ *           can't make (refunds, legal advice)
+ *
+ * A rule that matches answers with its scripted reply ("reply"), or hands the
+ * caller to a person ("escalate", when a transfer is possible). Every trigger
+ * is recorded on the session for review.
+ */
+
+const fs = require('fs');
+const openaiService = require('./openai');
+const conversationManager = require('../utils/conversation');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const STAGES = ['input', 'output'];
+const ACTIONS = ['reply', 'escalate'];
+
+// How much of the offending text is kept on the session
+const EXCERPT_LENGTH = 200;
+
+class GuardrailService {
+    constructor() {
+        this.definition = null;
+    }
+
+    /**
+     * Check whether guardrails are on
+     */
+    isEnabled() {
+        return config.guardrails.enabled;
+    }
+
+    /**
+     * Load the guardrail rules (cached after the first call)
+     * Rules that don't validate are skipped; the rest still apply
+     */
+    load() {
+        if (this.definition) return this.definition;
+
+        let definition = { moderation: { enabled: false }, rules: [] };
+        try {
+            definition = JSON.parse(fs.readFileSync(config.guardrails.path, 'utf8'));
+        } catch (error) {
+            logger.error('Failed to load guardrails, running without rules', {
+                error: error.message,
+                path: config.guardrails.path
+            });
+        }
+
+        const rules = (definition.rules || []).map(rule => {
+            try {
+                if (!rule.id) throw new Error('rule has no id');
+                if (!STAGES.includes(rule.stage)) throw new Error(`unknown stage "${rule.stage}"`);
+                if (!ACTIONS.includes(rule.action)) throw new Error(`unknown action "${rule.action}"`);
+                if (!rule.reply) throw new Error('rule has no reply');
+
+                return {
+                    ...rule,
+                    patterns: (rule.patterns || []).map(pattern => new RegExp(pattern, 'i'))
+                };
+
+            } catch (error) {
+                logger.error('Skipping guardrail rule', {
+                    rule: rule.id,
+                    error: error.message
+                });
+                return null;
+            }
+        }).filter(Boolean);
+
+        this.definition = {
+            moderation: {
+                enabled: false,
+                action: 'reply',
+                reply: 'I\'m not able to help with that. Is there something else I can do for you?',
+                ...definition.moderation
+            },
+            rules
+        };
+
+        logger.info('Guardrails loaded', {
+            moderation: this.definition.moderation.enabled,
+            rules: rules.map(rule => rule.id)
+        });
+
+        return this.definition;
+    }
+
+    /**
+     * The first rule for a stage whose patterns match the text
+     */
+    matchRule(stage, text) {
+        const rule = this.load().rules.find(candidate =>
+            candidate.stage === stage && candidate.patterns.some(pattern => pattern.test(text))
+        );
+
+        return rule
+            ? { stage, check: rule.id, action: rule.action, reply: rule.reply }
+            : null;
+    }
+
+    /**
+     * Screen what the caller said. Returns the trigger, or null if it's fine.
+     * Moderation failures are logged and let the turn through.
+     */
+    async checkInput(text, callSid) {
+        if (!this.isEnabled() || !text?.trim()) return null;
+
+        // Rules are free to check - moderation only runs when none of them match
+        const trigger = this.matchRule('input', text);
+        if (trigger) return trigger;
+
+        const { moderation } = this.load();
+
+        if (moderation.enabled) {
+            try {
+                const result = await openaiService.moderate(text, moderation.model);
+
+                if (result.flagged) {
+                    return {
+                        stage: 'input',
+                        check: 'moderation',
+                        categories: result.categories,
+                        action: moderation.action,
+                        reply: moderation.reply
+                    };
+                }
+
+            } catch (error) {
+                logger.warn('Moderation check failed, continuing without it', {
+                    error: error.message,
+                    callSid
+                });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Screen what the assistant is about to say (a sentence or a whole reply)
+     */
+    checkOutput(text) {
+        if (!this.isEnabled() || !text?.trim()) return null;
+
+        return this.matchRule('output', text);
+    }
+
+    /**
+     * Record a trigger on the session for review
+     */
+    record(callSid, trigger, text) {
+        const session = conversationManager.getSession(callSid);
+
+        session.guardrails.push({
+            stage: trigger.stage,
+            check: trigger.check,
+            categories: trigger.categories,
+            action: trigger.action,
+            text: text.substring(0, EXCERPT_LENGTH),
+            at: new Date()
+        });
+
+        logger.logConversation('guardrail_triggered', callSid, trigger.check, {
+            stage: trigger.stage,
+            action: trigger.action,
+            categories: trigger.categories
+        });
+    }
+}
+
+module.exports = new GuardrailService();
@@ -0,0 +1,323 @@
+/**
+ * Knowledge Base
+ * Grounds answers in our own documents (opening hours, prices, policies...).
+ * Markdown, text and PDF files in KNOWLEDGE_BASE_DIR are split into chunks,
+ * embedded with OpenAI and stored in a local JSON index. On each turn the
+ * chunks closest to what the caller said are added to the system prompt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const openaiService = require('./openai');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const SUPPORTED_EXTENSIONS = ['.md', '.markdown', '.txt', '.pdf'];
+
+// Bump when the index layout changes so old indexes are rebuilt
+const INDEX_VERSION = 1;
+
+/**
+ * Similarity of two embeddings. OpenAI embeddings are normalized to length 1,
+ * so the dot product is their cosine similarity.
+ */
+function similarity(a, b) {
+    let total = 0;
+    for (let i = 0; i < a.length; i++) {
+        total += a[i] * b[i];
+    }
+    return total;
+}
+
+class KnowledgeBaseService {
+    constructor() {
+        this.index = null;
+        this.indexing = null;
+    }
+
+    /**
+     * Check whether answers should use the knowledge base
+     */
+    isEnabled() {
+        return config.knowledgeBase.enabled;
+    }
+
+    /**
+     * Load the index at startup, building it on first run
+     */
+    initialize() {
+        if (!this.isEnabled() || this.loadIndex()) return;
+
+        logger.info('No knowledge base index yet, building it', {
+            dir: config.knowledgeBase.dir
+        });
+
+        this.reindex().catch(error => {
+            logger.error('Failed to build knowledge base index', { error: error.message });
+        });
+    }
+
+    /**
+     * Load the index from disk (cached after the first call)
+     * Returns null when it hasn't been built, or was built with another embedding model
+     */
+    loadIndex() {
+        if (this.index) return this.index;
+
+        const indexPath = config.knowledgeBase.indexPath;
+
+        try {
+            if (!fs.existsSync(indexPath)) return null;
+
+            const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+
+            if (index.version !== INDEX_VERSION || index.model !== config.knowledgeBase.embeddingModel) {
+                logger.warn('Knowledge base index is out of date, re-index to use it', {
+                    path: indexPath,
+                    model: index.model
+                });
+                return null;
+            }
+
+            this.index = index;
+
+        } catch (error) {
+            logger.error('Failed to load knowledge base index', {
+                error: error.message,
+                path: indexPath
+            });
+        }
+
+        return this.index;
+    }
+
+    /**
+     * Write the index to disk; the old one is replaced only once the new one is complete
+     */
+    saveIndex(index) {
+        const indexPath = config.knowledgeBase.indexPath;
+
+        fs.mkdirSync(path.dirname(indexPath), { recursive: true });
+        fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(index));
+        fs.renameSync(`${indexPath}.tmp`, indexPath);
+    }
+
+    /**
+     * Supported documents under a directory, including subdirectories
+     */
+    listFiles(dir = config.knowledgeBase.dir) {
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .flatMap(entry => {
+                const fullPath = path.join(dir, entry.name);
+
+                if (entry.isDirectory()) {
+                    return this.listFiles(fullPath);
+                }
+
+                return SUPPORTED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())
+                    ? [fullPath]
+                    : [];
+            });
+    }
+
+    /**
+     * Read a document as plain text
+     */
+    async extractText(filePath) {
+        if (path.extname(filePath).toLowerCase() === '.pdf') {
+            // Only loaded when there are PDFs to read
+            const pdfParse = require('pdf-parse');
+            const pdf = await pdfParse(fs.readFileSync(filePath));
+            return pdf.text;
+        }
+
+        return fs.readFileSync(filePath, 'utf8');
+    }
+
+    /**
+     * Split a document into chunks of about KNOWLEDGE_BASE_CHUNK_SIZE characters.
+     * Chunks break between paragraphs (or sentences, for long paragraphs) and
+     * repeat the last KNOWLEDGE_BASE_CHUNK_OVERLAP characters of the previous chunk.
+     */
+    chunkText(text) {
+        const { chunkSize, chunkOverlap } = config.knowledgeBase;
+
+        const pieces = text
+            .replace(/\r\n/g, '\n')
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .flatMap(paragraph => paragraph.length <= chunkSize
+                ? [paragraph]
+                : paragraph.split(/(?<=[.!?])\s+/));
+
+        const chunks = [];
+        let current = '';
+
+        pieces.forEach(piece => {
+            if (current && current.length + piece.length + 1 > chunkSize) {
+                chunks.push(current);
+
+                // Start the next chunk with the end of this one, from a word boundary
+                const overlap = chunkOverlap > 0 ? current.slice(-chunkOverlap) : '';
+                current = overlap.slice(overlap.indexOf(' ') + 1);
+            }
+
+            current = current ? `${current} ${piece}` : piece;
+        });
+
+        if (current) {
+            chunks.push(current);
+        }
+
+        return chunks;
+    }
+
+    /**
+     * Rebuild the index from the documents on disk
+     * Concurrent requests share one run
+     */
+    async reindex() {
+        if (!this.indexing) {
+            this.indexing = this.buildIndex().finally(() => {
+                this.indexing = null;
+            });
+        }
+
+        return this.indexing;
+    }
+
+    /**
+     * Chunk and embed every document. Chunks whose text hasn't changed keep
+     * their embeddings, so re-indexing only pays for new or edited text.
+     */
+    async buildIndex() {
+        const startTime = Date.now();
+        const { dir, embeddingModel } = config.knowledgeBase;
+
+        const embeddings = new Map(
+            (this.loadIndex()?.chunks || []).map(chunk => [chunk.hash, chunk.embedding])
+        );
+
+        const files = [];
+        const chunks = [];
+
+        for (const filePath of this.listFiles()) {
+            const source = path.relative(dir, filePath);
+
+            try {
+                const fileChunks = this.chunkText(await this.extractText(filePath));
+
+                fileChunks.forEach((text, position) => {
+                    chunks.push({
+                        id: `${source}#${position}`,
+                        source,
+                        text,
+                        hash: crypto.createHash('sha1').update(text).digest('hex')
+                    });
+                });
+
+                files.push({ source, chunks: fileChunks.length });
+
+            } catch (error) {
+                logger.error('Failed to read knowledge base document, skipping it', {
+                    error: error.message,
+                    file: source
+                });
+            }
+        }
+
+        const newChunks = chunks.filter(chunk => !embeddings.has(chunk.hash));
+        const newEmbeddings = await openaiService.createEmbeddings(newChunks.map(chunk => chunk.text), embeddingModel);
+
+        newChunks.forEach((chunk, i) => embeddings.set(chunk.hash, newEmbeddings[i]));
+        chunks.forEach(chunk => {
+            chunk.embedding = embeddings.get(chunk.hash);
+        });
+
+        const index = {
+            version: INDEX_VERSION,
+            model: embeddingModel,
+            builtAt: new Date().toISOString(),
+            files,
+            chunks
+        };
+
+        this.saveIndex(index);
+        this.index = index;
+
+        const stats = {
+            files: files.length,
+            chunks: chunks.length,
+            embedded: newChunks.length,
+            duration: Date.now() - startTime
+        };
+
+        logger.info('Knowledge base re-indexed', stats);
+
+        return stats;
+    }
+
+    /**
+     * Summary of the current index
+     */
+    getStatus() {
+        const index = this.loadIndex();
+
+        return {
+            enabled: this.isEnabled(),
+            indexing: !!this.indexing,
+            builtAt: index?.builtAt || null,
+            model: index?.model || null,
+            files: index?.files || [],
+            chunks: index?.chunks.length || 0
+        };
+    }
+
+    /**
+     * Find the passages most relevant to what the caller said
+     * Never fails the turn: errors are logged and no passages are returned
+     */
+    async retrieve(query, callSid) {
+        if (!this.isEnabled() || !query?.trim()) return [];
+
+        const index = this.loadIndex();
+        if (!index || index.chunks.length === 0) return [];
+
+        try {
+            const [embedding] = await openaiService.createEmbeddings([query], index.model);
+
+            const passages = index.chunks
+                .map(chunk => ({
+                    id: chunk.id,
+                    source: chunk.source,
+                    text: chunk.text,
+                    score: similarity(embedding, chunk.embedding)
+                }))
+                .filter(passage => passage.score >= config.knowledgeBase.minScore)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, config.knowledgeBase.topK);
+
+            logger.logConversation('knowledge_retrieved', callSid, query, {
+                chunks: passages.map(passage => passage.id),
+                scores: passages.map(passage => Math.round(passage.score * 1000) / 1000)
+            });
+
+            return passages;
+
+        } catch (error) {
+            logger.warn('Knowledge base lookup failed, answering without it', {
+                error: error.message,
+                callSid
+            });
+
+            return [];
+        }
+    }
+}
+
+module.exports = new KnowledgeBaseService();
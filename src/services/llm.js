@@ -0,0 +1,224 @@
+/**
+ * LLM Service
+ * Chat completions through pluggable providers, configured in
+ * src/config/llm-providers.json. Each persona has an ordered chain of
+ * providers: when one fails or times out the request is retried on the next,
+ * and only once every provider has failed does the caller get an error (and
+ * the conversation its canned "I'm having trouble" reply).
+ *
+ * Each provider call goes through the resilience policy (src/utils/resilience.js):
+ * a timeout capped by the turn deadline, retries for 429/5xx, and a circuit
+ * breaker per provider, so a provider that keeps failing is skipped straight away.
+ *
+ * A provider is a class constructed with (name, definition) that implements:
+ *   complete(request, attempt)         -> { response, message, toolCalls, usage, model, duration }
+ *   stream(request, onChunk, attempt)  -> the same, passing content to onChunk as it arrives
+ * where request is { messages, model, downgrade, maxTokens, temperature, responseFormat, tools,
+ * toolChoice } in the OpenAI chat format, and attempt is { signal, timeoutMs, extend() } from
+ * the resilience policy. Providers also expose timeoutMs, retries and fallbackModel (the
+ * cheaper model a downgrade request uses, or null if they can't switch).
+ *
+ * Token usage of every successful request is charged to the current session
+ * (src/services/costs.js).
+ */
+
+const fs = require('fs');
+const OpenAIProvider = require('./providers/openai');
+const AnthropicProvider = require('./providers/anthropic');
+const StubProvider = require('./providers/stub');
+const costTracker = require('./costs');
+const resilience = require('../utils/resilience');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const PROVIDER_TYPES = {
+    openai: OpenAIProvider,
+    'openai-compatible': OpenAIProvider,
+    azure: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    stub: StubProvider
+};
+
+class LlmService {
+    constructor() {
+        this.providers = null;
+        this.chains = {};
+    }
+
+    /**
+     * Load provider definitions and chains (cached after the first call)
+     */
+    load() {
+        if (this.providers) return;
+
+        let definitions;
+        try {
+            definitions = JSON.parse(fs.readFileSync(config.llm.providersPath, 'utf8'));
+        } catch (error) {
+            logger.error('Failed to load LLM providers, using OpenAI only', {
+                error: error.message,
+                path: config.llm.providersPath
+            });
+
+            definitions = { providers: { openai: { type: 'openai' } } };
+        }
+
+        this.providers = new Map();
+        this.chains = definitions.chains || {};
+
+        Object.entries(definitions.providers || {}).forEach(([name, definition]) => {
+            const Provider = PROVIDER_TYPES[definition.type];
+
+            try {
+                if (!Provider) {
+                    throw new Error(`Unknown provider type: ${definition.type}`);
+                }
+
+                this.providers.set(name, new Provider(name, definition));
+
+            } catch (error) {
+                logger.error('Skipping LLM provider', {
+                    provider: name,
+                    error: error.message
+                });
+            }
+        });
+    }
+
+    /**
+     * Providers to try, in order, for a persona: its own chain if it has one,
+     * otherwise LLM_PROVIDER_CHAIN, otherwise the "default" chain
+     */
+    getChain(persona) {
+        this.load();
+
+        const names = this.chains[persona] ||
+            (config.llm.chain.length > 0 ? config.llm.chain : null) ||
+            this.chains.default ||
+            ['openai'];
+
+        const chain = names
+            .filter(name => {
+                if (this.providers.has(name)) return true;
+
+                logger.warn('LLM chain names an unknown provider, skipping it', {
+                    provider: name,
+                    persona: persona || 'default'
+                });
+                return false;
+            })
+            .map(name => this.providers.get(name));
+
+        if (chain.length === 0) {
+            throw new Error(`No LLM providers available for persona "${persona || 'default'}"`);
+        }
+
+        return chain;
+    }
+
+    /**
+     * Check whether a persona's turns can move to a cheaper model: the first
+     * provider of its chain (the one that normally answers) has a fallbackModel
+     */
+    canDowngrade(persona) {
+        try {
+            return !!this.getChain(persona)[0].fallbackModel;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Generate a complete response
+     * options: { persona, model, downgrade, maxTokens, temperature, responseFormat, tools, toolChoice }
+     * model only applies to providers without a model of their own; downgrade
+     * switches providers to their fallbackModel
+     */
+    async complete(messages, options = {}) {
+        return this.runChain(
+            options.persona,
+            (provider, attempt) => provider.complete(this.buildRequest(messages, options), attempt)
+        );
+    }
+
+    /**
+     * Generate a streaming response. Once any content has been passed to
+     * onChunk a failure is final: a fallback provider would start the reply over.
+     */
+    async stream(messages, onChunk, options = {}) {
+        let started = false;
+        const forward = (chunk) => {
+            started = true;
+            onChunk(chunk);
+        };
+
+        return this.runChain(
+            options.persona,
+            (provider, attempt) => provider.stream(this.buildRequest(messages, options), forward, attempt),
+            () => !started
+        );
+    }
+
+    /**
+     * Provider request from the caller's options
+     */
+    buildRequest(messages, options) {
+        return {
+            messages,
+            model: options.model,
+            downgrade: options.downgrade,
+            maxTokens: options.maxTokens,
+            temperature: options.temperature,
+            responseFormat: options.responseFormat,
+            tools: options.tools,
+            toolChoice: options.toolChoice
+        };
+    }
+
+    /**
+     * Try each provider in the persona's chain until one succeeds
+     * canFallBack() false stops both retries and fallback
+     */
+    async runChain(persona, request, canFallBack = () => true) {
+        const chain = this.getChain(persona);
+        const failures = [];
+
+        for (const [position, provider] of chain.entries()) {
+            try {
+                const result = await resilience.call(provider.name, attempt => request(provider, attempt), {
+                    timeoutMs: provider.timeoutMs,
+                    retries: provider.retries,
+                    canRetry: canFallBack
+                });
+
+                costTracker.recordTokens(result.model, result.usage);
+
+                if (failures.length > 0) {
+                    logger.warn('LLM request served by fallback provider', {
+                        provider: provider.name,
+                        failed: failures.map(failure => failure.provider)
+                    });
+                }
+
+                return { ...result, provider: provider.name };
+
+            } catch (error) {
+                failures.push({ provider: provider.name, error: error.message });
+
+                const next = canFallBack() ? chain[position + 1] : null;
+
+                logger.warn('LLM provider failed', {
+                    provider: provider.name,
+                    error: error.message,
+                    fallback: next?.name || null
+                });
+
+                if (!next) break;
+            }
+        }
+
+        throw new Error(failures.map(failure => `${failure.provider}: ${failure.error}`).join('; '));
+    }
+}
+
+module.exports = new LlmService();
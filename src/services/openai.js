@@ -3,179 +3,233 @@
  * Handles OpenAI API interactions for conversation logic
  */
 
-const { OpenAI } = require('openai');
+const { OpenAI, toFile } = require('openai');
+const llmService = require('./llm');
+const costTracker = require('./costs');
 const config = require('../config');
 const logger = require('../utils/logger');
+const resilience = require('../utils/resilience');
+const { ReplyTextExtractor, SentenceSplitter } = require('../utils/sentenceStream');
+
+// Inputs per embeddings request when indexing documents
+const EMBEDDING_BATCH_SIZE = 100;
+
+// Used when a turn's analysis is missing or unreadable
+const DEFAULT_ANALYSIS = {
+    userName: null,
+    topic: 'general',
+    mood: 'neutral',
+    intent: 'conversation',
+    shouldEndCall: false
+};
+
+// Structured output for a conversation turn: the spoken reply plus the
+// analysis used to update the session context
+const PHONE_TURN_FORMAT = {
+    type: 'json_schema',
+    json_schema: {
+        name: 'phone_turn',
+        strict: true,
+        schema: {
+            type: 'object',
+            properties: {
+                reply: { type: 'string', description: 'What to say to the caller, including any control markers' },
+                userName: { type: ['string', 'null'], description: 'The caller\'s name if known, otherwise null' },
+                topic: { type: 'string', description: 'Main topic of the conversation' },
+                mood: { type: 'string', enum: ['positive', 'neutral', 'negative', 'frustrated'] },
+                intent: { type: 'string', description: 'What the caller seems to want' },
+                shouldEndCall: { type: 'boolean', description: 'True if the conversation seems to be ending' }
+            },
+            required: ['reply', 'userName', 'topic', 'mood', 'intent', 'shouldEndCall'],
+            additionalProperties: false
+        }
+    }
+};
 
 class OpenAIService {
     constructor() {
+        // Transcription, embeddings and model listing; chat completions go through llmService.
+        // Retries and timeouts for transcription and embeddings come from the resilience policy.
         this.client = new OpenAI({
-            apiKey: config.openai.apiKey
+            apiKey: config.openai.apiKey,
+            maxRetries: 0
         });
-        
-        this.defaultModel = config.openai.model;
-        this.maxTokens = config.openai.maxTokens;
-        this.temperature = config.openai.temperature;
     }
 
     /**
      * Generate AI response from conversation history
+     * Runs on the provider chain for options.persona (see src/services/llm.js)
      */
     async generateResponse(messages, options = {}) {
+        try {
+            return await llmService.complete(messages, options);
+        } catch (error) {
+            throw new Error(`LLM error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Generate a streaming response, passing content to onChunk as it arrives.
+     * Returns the same shape as generateResponse once the stream ends.
+     */
+    async generateStreamingResponse(messages, onChunk, options = {}) {
+        try {
+            return await llmService.stream(messages, onChunk, options);
+        } catch (error) {
+            throw new Error(`LLM streaming error: ${error.message}`);
+        }
+    }
+
+    /**
+     * Transcribe a caller utterance (WAV buffer) to text
+     * options.durationMs is the length of the audio, for cost accounting
+     */
+    async transcribeAudio(audioBuffer, options = {}) {
         const startTime = Date.now();
-        
+        const model = options.model || config.mediaStreams.sttModel;
+
         try {
-            const completion = await this.client.chat.completions.create({
-                model: options.model || this.defaultModel,
-                messages: messages,
-                max_tokens: options.maxTokens || this.maxTokens,
-                temperature: options.temperature || this.temperature,
-                stream: false
-            });
+            const transcription = await resilience.call('openai-transcription', async attempt =>
+                this.client.audio.transcriptions.create({
+                    file: await toFile(audioBuffer, options.filename || 'utterance.wav'),
+                    model,
+                    language: options.language
+                }, {
+                    signal: attempt.signal,
+                    timeout: attempt.timeoutMs
+                })
+            );
 
-            const response = completion.choices[0].message.content;
             const duration = Date.now() - startTime;
 
-            logger.logApiCall('openai', 'chat/completions', duration, true, {
-                model: completion.model,
-                tokens: completion.usage.total_tokens,
-                promptTokens: completion.usage.prompt_tokens,
-                completionTokens: completion.usage.completion_tokens
+            logger.logApiCall('openai', 'audio/transcriptions', duration, true, {
+                audioSize: audioBuffer.length,
+                textLength: transcription.text.length
             });
 
+            costTracker.recordTranscription(model, (options.durationMs || 0) / 1000);
+
             return {
-                response,
-                usage: completion.usage,
-                model: completion.model,
+                text: transcription.text.trim(),
                 duration
             };
 
         } catch (error) {
             const duration = Date.now() - startTime;
-            
-            logger.logApiCall('openai', 'chat/completions', duration, false, {
+
+            logger.logApiCall('openai', 'audio/transcriptions', duration, false, {
                 error: error.message
             });
 
-            throw new Error(`OpenAI API error: ${error.message}`);
+            throw new Error(`OpenAI transcription error: ${error.message}`);
         }
     }
 
     /**
-     * Generate streaming response (for future real-time implementation)
+     * Embed texts for similarity search, in batches of EMBEDDING_BATCH_SIZE
      */
-    async generateStreamingResponse(messages, onChunk, options = {}) {
-        const startTime = Date.now();
-        
-        try {
-            const stream = await this.client.chat.completions.create({
-                model: options.model || this.defaultModel,
-                messages: messages,
-                max_tokens: options.maxTokens || this.maxTokens,
-                temperature: options.temperature || this.temperature,
-                stream: true
-            });
+    async createEmbeddings(texts, model) {
+        const embeddings = [];
 
-            let fullResponse = '';
-            let totalTokens = 0;
+        for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+            const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+            const startTime = Date.now();
 
-            for await (const chunk of stream) {
-                const content = chunk.choices[0]?.delta?.content || '';
-                if (content) {
-                    fullResponse += content;
-                    onChunk(content);
-                }
-                
-                if (chunk.usage) {
-                    totalTokens = chunk.usage.total_tokens;
-                }
+            try {
+                const result = await resilience.call('openai-embeddings', attempt =>
+                    this.client.embeddings.create({ model, input: batch }, {
+                        signal: attempt.signal,
+                        timeout: attempt.timeoutMs
+                    })
+                );
+
+                logger.logApiCall('openai', 'embeddings', Date.now() - startTime, true, {
+                    model,
+                    inputs: batch.length,
+                    tokens: result.usage?.total_tokens
+                });
+
+                costTracker.recordTokens(model, result.usage);
+                embeddings.push(...result.data.map(item => item.embedding));
+
+            } catch (error) {
+                logger.logApiCall('openai', 'embeddings', Date.now() - startTime, false, {
+                    error: error.message
+                });
+
+                throw new Error(`OpenAI embeddings error: ${error.message}`);
             }
+        }
 
-            const duration = Date.now() - startTime;
+        return embeddings;
+    }
+
+    /**
+     * Run text through the OpenAI moderation endpoint
+     * Returns { flagged, categories } with the names of the flagged categories
+     */
+    async moderate(text, model = 'omni-moderation-latest') {
+        const startTime = Date.now();
 
-            logger.logApiCall('openai', 'chat/completions/stream', duration, true, {
-                model: this.defaultModel,
-                tokens: totalTokens,
-                responseLength: fullResponse.length
+        try {
+            const moderation = await resilience.call('openai-moderation', attempt =>
+                this.client.moderations.create({ model, input: text }, {
+                    signal: attempt.signal,
+                    timeout: attempt.timeoutMs
+                })
+            );
+
+            const result = moderation.results[0];
+            const categories = Object.keys(result.categories).filter(category => result.categories[category]);
+
+            logger.logApiCall('openai', 'moderations', Date.now() - startTime, true, {
+                flagged: result.flagged,
+                categories: categories.length ? categories : undefined
             });
 
-            return {
-                response: fullResponse,
-                duration,
-                tokens: totalTokens
-            };
+            return { flagged: result.flagged, categories };
 
         } catch (error) {
-            const duration = Date.now() - startTime;
-            
-            logger.logApiCall('openai', 'chat/completions/stream', duration, false, {
+            logger.logApiCall('openai', 'moderations', Date.now() - startTime, false, {
                 error: error.message
             });
 
-            throw new Error(`OpenAI streaming error: ${error.message}`);
+            throw new Error(`OpenAI moderation error: ${error.message}`);
         }
     }
 
     /**
-     * Analyze conversation context and extract insights
+     * Split a structured turn into the reply and the conversation analysis.
+     * Falls back to treating the whole output as the reply if it isn't valid JSON.
      */
-    async analyzeConversation(messages) {
+    parseTurn(content) {
         try {
-            const analysisPrompt = {
-                role: 'system',
-                content: `Analyze this conversation and extract key information in JSON format:
-                {
-                    "userName": "extracted name if mentioned, null otherwise",
-                    "topic": "main topic of conversation",
-                    "mood": "user's mood (positive, neutral, negative)",
-                    "intent": "what the user seems to want",
-                    "shouldEndCall": "true if conversation seems to be ending"
-                }`
-            };
-
-            const analysisMessages = [analysisPrompt, ...messages.slice(-5)]; // Last 5 messages for context
+            const { reply, ...analysis } = JSON.parse(content);
+            return { reply, analysis };
 
-            const result = await this.generateResponse(analysisMessages, {
-                maxTokens: 150,
-                temperature: 0.3
+        } catch (parseError) {
+            logger.warn('Failed to parse structured reply, using it as plain text', {
+                response: content.substring(0, 100),
+                error: parseError.message
             });
 
-            try {
-                return JSON.parse(result.response);
-            } catch (parseError) {
-                logger.warn('Failed to parse conversation analysis', {
-                    response: result.response,
-                    error: parseError.message
-                });
-                
-                return {
-                    userName: null,
-                    topic: 'general',
-                    mood: 'neutral',
-                    intent: 'conversation',
-                    shouldEndCall: false
-                };
-            }
-
-        } catch (error) {
-            logger.error('Conversation analysis failed', {
-                error: error.message
-            });
-            
             return {
-                userName: null,
-                topic: 'general',
-                mood: 'neutral',
-                intent: 'conversation',
-                shouldEndCall: false
+                reply: content,
+                analysis: { ...DEFAULT_ANALYSIS }
             };
         }
     }
 
     /**
      * Generate a phone-optimized response
+     * options.tools / options.context: tool registry the assistant may call
+     * (see src/services/tools.js) and the call it is acting on
+     * options.onSentence: stream the reply, calling this with each finished sentence
+     * options.persona: picks the LLM provider chain
+     * options.model / options.temperature / options.fallbackReply: the persona's settings
+     * options.downgrade: over a spending cap - providers answer with their cheaper model
      */
-    async generatePhoneResponse(conversationHistory, userInput) {
+    async generatePhoneResponse(conversationHistory, userInput, options = {}) {
         try {
             // Add the latest user input to conversation
             const messages = [
@@ -186,16 +240,38 @@ class OpenAIService {
                 }
             ];
 
-            // Generate AI response
-            const result = await this.generateResponse(messages);
+            // One call returns the reply and the conversation analysis together,
+            // running any tools the assistant calls along the way
+            const sentences = options.onSentence ? this.createSentenceStream(options.onSentence) : null;
+            const result = await this.runToolLoop(messages, options.tools, options.context, {
+                responseFormat: PHONE_TURN_FORMAT,
+                persona: options.persona,
+                model: options.model,
+                downgrade: options.downgrade,
+                temperature: options.temperature,
+                onChunk: sentences?.push
+            });
+            sentences?.flush();
+
+            const { reply, analysis } = this.parseTurn(result.response || '');
+            if (!reply) {
+                throw new Error('OpenAI returned an empty reply');
+            }
 
-            // Analyze conversation for context updates
-            const analysis = await this.analyzeConversation(messages);
+            // The assistant may ask for keypad digits, a transfer, or a follow-up text
+            const { text, keypad, transfer, sms } = this.extractControlMarkers(reply);
 
             return {
-                response: result.response,
+                response: text,
+                keypad,
+                transfer: transfer || result.actions.includes('transfer'),
+                endCall: result.actions.includes('end_call'),
+                sms,
+                toolCalls: result.toolCalls,
                 analysis,
                 usage: result.usage,
+                model: result.model,
+                provider: result.provider,
                 duration: result.duration
             };
 
@@ -207,20 +283,253 @@ class OpenAIService {
 
             // Fallback response
             return {
-                response: "I'm sorry, I'm having trouble processing that right now. Could you try asking in a different way?",
+                response: options.fallbackReply || "I'm sorry, I'm having trouble processing that right now. Could you try asking in a different way?",
                 analysis: {
-                    userName: null,
+                    ...DEFAULT_ANALYSIS,
                     topic: 'error',
-                    mood: 'neutral',
-                    intent: 'retry',
-                    shouldEndCall: false
+                    intent: 'retry'
                 },
+                keypad: null,
+                transfer: false,
+                endCall: false,
+                sms: null,
+                toolCalls: [],
                 usage: null,
+                model: null,
+                provider: null,
                 duration: 0
             };
         }
     }
 
+    /**
+     * Ask for a reply, executing tool calls and feeding their results back
+     * until the model answers in words (at most TOOLS_MAX_ROUNDS rounds of tools)
+     */
+    async runToolLoop(history, tools, context, options = {}) {
+        const messages = [...history];
+        const definitions = tools ? tools.getDefinitions(context) : [];
+        const toolCalls = [];
+        const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+        let duration = 0;
+        let rounds = 0;
+
+        for (;;) {
+            // Out of rounds - the model must answer without calling more tools
+            const requestOptions = {
+                persona: options.persona,
+                model: options.model,
+                downgrade: options.downgrade,
+                temperature: options.temperature,
+                responseFormat: options.responseFormat,
+                tools: definitions,
+                toolChoice: rounds >= config.tools.maxRounds ? 'none' : 'auto'
+            };
+
+            const result = options.onChunk
+                ? await this.generateStreamingResponse(messages, options.onChunk, requestOptions)
+                : await this.generateResponse(messages, requestOptions);
+
+            Object.keys(usage).forEach(key => { usage[key] += result.usage?.[key] || 0; });
+            duration += result.duration;
+
+            if (result.toolCalls.length === 0) {
+                return {
+                    response: result.response,
+                    toolCalls,
+                    actions: toolCalls.map(call => call.action).filter(Boolean),
+                    usage,
+                    model: result.model,
+                    provider: result.provider,
+                    duration
+                };
+            }
+
+            rounds++;
+            messages.push(result.message);
+
+            for (const call of result.toolCalls) {
+                const outcome = await tools.execute(call.function.name, call.function.arguments, context);
+                toolCalls.push(outcome);
+
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: call.id,
+                    content: JSON.stringify(outcome.result)
+                });
+            }
+        }
+    }
+
+    /**
+     * Feed streamed structured output in, get speakable sentences out
+     * (reply text only, control markers removed)
+     */
+    createSentenceStream(onSentence) {
+        const extractor = new ReplyTextExtractor();
+        const splitter = new SentenceSplitter();
+
+        const emit = (sentences) => sentences.forEach(sentence => {
+            const { text } = this.extractControlMarkers(sentence);
+            if (text) onSentence(text);
+        });
+
+        return {
+            push: (chunk) => emit(splitter.push(extractor.push(chunk))),
+            flush: () => emit(splitter.flush())
+        };
+    }
+
+    /**
+     * Strip control markers from a reply:
+     * [KEYPAD] / [KEYPAD:n] - collect keypad digits next turn
+     * [TRANSFER]            - hand the caller to a human agent
+     * [SMS: text]           - text the caller this after the call
+     */
+    extractControlMarkers(response) {
+        let text = response;
+        let keypad = null;
+
+        const keypadMatch = text.match(/\[KEYPAD(?::(\d+))?\]/i);
+        if (keypadMatch) {
+            keypad = {
+                numDigits: keypadMatch[1] ? parseInt(keypadMatch[1]) : null
+            };
+            text = text.replace(keypadMatch[0], '');
+        }
+
+        const transfer = /\[TRANSFER\]/i.test(text);
+        text = text.replace(/\[TRANSFER\]/gi, '');
+
+        const smsMatch = text.match(/\[SMS:\s*([^\]]+)\]/i);
+        const sms = smsMatch ? smsMatch[1].trim() : null;
+        if (smsMatch) {
+            text = text.replace(smsMatch[0], '');
+        }
+
+        return {
+            text: text.replace(/\s{2,}/g, ' ').trim(),
+            keypad,
+            transfer,
+            sms
+        };
+    }
+
+    /**
+     * Write a short personalized voicemail for an outbound call
+     */
+    async generateVoicemailMessage(context = {}, callbackNumber) {
+        const voicemailPrompt = {
+            role: 'system',
+            content: `You are an AI assistant leaving a voicemail after an outbound call went to an answering machine.
+Write the exact words to say: at most 3 short, friendly sentences, no placeholders, no markup.
+Mention who you are, why you called, and ask them to call back at ${callbackNumber}.`
+        };
+
+        const details = {
+            role: 'user',
+            content: `What we know about the person we called: ${JSON.stringify(context)}`
+        };
+
+        const result = await this.generateResponse([voicemailPrompt, details], {
+            maxTokens: 120,
+            temperature: 0.5
+        });
+
+        return result.response.trim();
+    }
+
+    /**
+     * Recap a finished call for the follow-up text: summary plus promised next steps
+     */
+    async generateCallRecap(messages) {
+        const recapPrompt = {
+            role: 'system',
+            content: `Summarize this phone call for a follow-up text message to the caller. Respond in JSON:
+{
+    "recap": "1-2 sentence recap addressed to the caller (\"you asked about...\")",
+    "nextSteps": ["each next step that was promised or agreed, empty if none"]
+}`
+        };
+
+        const transcript = {
+            role: 'user',
+            content: this.formatTranscript(messages)
+        };
+
+        const result = await this.generateResponse([recapPrompt, transcript], {
+            maxTokens: 250,
+            temperature: 0.3,
+            responseFormat: { type: 'json_object' }
+        });
+
+        const recap = JSON.parse(result.response);
+
+        return {
+            recap: recap.recap || '',
+            nextSteps: Array.isArray(recap.nextSteps) ? recap.nextSteps : []
+        };
+    }
+
+    /**
+     * Summarize a conversation for the agent who is about to take the call
+     */
+    async generateTransferSummary(messages, context = {}) {
+        const summaryPrompt = {
+            role: 'system',
+            content: `You are briefing a human support agent who is about to take over this phone call from an AI assistant.
+Summarize the conversation in at most 3 short spoken sentences: who the caller is (if known), what they need, what has already been tried, and their mood.
+Known context: ${JSON.stringify(context)}`
+        };
+
+        const transcript = {
+            role: 'user',
+            content: this.formatTranscript(messages)
+        };
+
+        const result = await this.generateResponse([summaryPrompt, transcript], {
+            maxTokens: 150,
+            temperature: 0.3
+        });
+
+        return result.response.trim();
+    }
+
+    /**
+     * Fold older messages into the running summary of a conversation
+     */
+    async generateConversationSummary(previousSummary, messages, maxTokens) {
+        const summaryPrompt = {
+            role: 'system',
+            content: `You keep a running summary of a customer conversation for an AI assistant that can no longer see the older messages.
+Update the summary with the new messages. Keep every detail the assistant may need later: the customer's name, account, order and reference numbers, why they got in touch, what has been done or promised, and anything still open.
+Write plain sentences, at most ${Math.round(maxTokens * 0.75)} words.`
+        };
+
+        const transcript = {
+            role: 'user',
+            content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New messages:\n${this.formatTranscript(messages)}`
+        };
+
+        const result = await this.generateResponse([summaryPrompt, transcript], {
+            maxTokens,
+            temperature: 0.3
+        });
+
+        return result.response.trim();
+    }
+
+    /**
+     * Render conversation messages as a plain-text transcript
+     */
+    formatTranscript(messages) {
+        const speakers = { user: 'Caller', assistant: 'Assistant', tool: 'Tool' };
+
+        return messages
+            .map(msg => `${speakers[msg.role] || 'Note'}: ${msg.content}`)
+            .join('\n');
+    }
+
     /**
      * Test OpenAI connection
      */
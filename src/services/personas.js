@@ -0,0 +1,270 @@
+/**
+ * Persona Service
+ * Who the assistant is on a call or text thread: system prompts, greeting,
+ * voice, model settings, tools and fallback messages, defined in YAML or JSON
+ * files in PERSONAS_DIR (one persona per file, named after the file).
+ *
+ * - Inbound calls and texts get the persona that lists the Twilio number in
+ *   `numbers`, otherwise "default". Outbound calls can name one.
+ * - Files are watched and reloaded without a restart. A file that fails to
+ *   load is skipped; a reload without a valid "default" keeps the old set.
+ * - Sessions keep the persona they started with, and record its version
+ *   (the file's `version`, or a hash of its contents when it has none).
+ * - Anything a persona leaves out comes from the default persona.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const SUPPORTED_EXTENSIONS = ['.yaml', '.yml', '.json'];
+
+// Edits usually arrive as several file events - reload once they settle
+const RELOAD_DEBOUNCE_MS = 250;
+
+// Used when the default persona doesn't set them
+const DEFAULT_MESSAGES = {
+    trouble: 'I\'m sorry, I\'m having trouble processing that right now. Could you try asking in a different way?',
+    didNotUnderstand: 'I\'m sorry, I had trouble understanding. Could you try again?',
+    wrapUp: 'I\'m sorry, I\'m not able to continue our conversation right now. Thank you for reaching out, and have a great day!'
+};
+
+class PersonaService {
+    constructor() {
+        this.personas = null;
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    /**
+     * Load personas and watch the directory for changes
+     */
+    initialize() {
+        this.load();
+
+        if (!config.personas.watch || this.watcher) return;
+
+        try {
+            this.watcher = fs.watch(config.personas.dir, () => {
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => {
+                    try {
+                        this.reload();
+                    } catch (error) {
+                        // Already logged - calls carry on with the previous personas
+                    }
+                }, RELOAD_DEBOUNCE_MS);
+            });
+            this.watcher.unref();
+
+        } catch (error) {
+            logger.warn('Cannot watch personas directory, edits need POST /api/personas/reload', {
+                error: error.message,
+                dir: config.personas.dir
+            });
+        }
+    }
+
+    /**
+     * Load the persona files (cached after the first call)
+     */
+    load() {
+        if (this.personas) return this.personas;
+
+        this.personas = this.readAll();
+        return this.personas;
+    }
+
+    /**
+     * Re-read the persona files. Sessions already running keep their version.
+     * Returns the new list, or throws (keeping the old set) if it is unusable.
+     */
+    reload() {
+        try {
+            const personas = this.readAll();
+            const previous = this.personas || new Map();
+
+            personas.forEach((persona, id) => {
+                const old = previous.get(id);
+                if (old && old.hash !== persona.hash && old.version === persona.version) {
+                    logger.warn('Persona changed without a version bump', { persona: id, version: persona.version });
+                }
+            });
+
+            this.personas = personas;
+
+            logger.info('Personas reloaded', {
+                personas: Array.from(personas.values()).map(persona => `${persona.id}@${persona.version}`)
+            });
+
+            return this.list();
+
+        } catch (error) {
+            logger.error('Persona reload failed, keeping the previous personas', { error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Read and validate every persona file in the directory
+     */
+    readAll() {
+        const dir = config.personas.dir;
+        const definitions = new Map();
+
+        const files = fs.readdirSync(dir)
+            .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort();
+
+        files.forEach(file => {
+            const id = path.basename(file, path.extname(file));
+
+            try {
+                const source = fs.readFileSync(path.join(dir, file), 'utf8');
+                const definition = path.extname(file).toLowerCase() === '.json'
+                    ? JSON.parse(source)
+                    : yaml.load(source);
+
+                if (!definition || typeof definition !== 'object') {
+                    throw new Error('file does not define an object');
+                }
+                if (definitions.has(id)) {
+                    throw new Error(`persona "${id}" is already defined by another file`);
+                }
+
+                definitions.set(id, { definition, file, hash: crypto.createHash('sha1').update(source).digest('hex') });
+
+            } catch (error) {
+                logger.error('Skipping persona file', { file, error: error.message });
+            }
+        });
+
+        if (!definitions.has('default')) {
+            throw new Error(`No default persona in ${dir}`);
+        }
+
+        const base = this.build('default', definitions.get('default'), null);
+        const personas = new Map([['default', base]]);
+        const numbers = new Map();
+
+        definitions.forEach((entry, id) => {
+            let persona = base;
+
+            if (id !== 'default') {
+                try {
+                    persona = this.build(id, entry, base);
+                } catch (error) {
+                    logger.error('Skipping persona file', { file: entry.file, error: error.message });
+                    return;
+                }
+            }
+
+            // A number can only be answered by one persona
+            persona.numbers = persona.numbers.filter(number => {
+                if (!numbers.has(number)) {
+                    numbers.set(number, id);
+                    return true;
+                }
+
+                logger.warn('Number already belongs to another persona', {
+                    number,
+                    persona: id,
+                    owner: numbers.get(number)
+                });
+                return false;
+            });
+
+            personas.set(id, persona);
+        });
+
+        return personas;
+    }
+
+    /**
+     * Build a persona from its file, filling gaps from the default persona
+     */
+    build(id, { definition, file, hash }, base) {
+        const persona = {
+            id,
+            version: definition.version !== undefined ? String(definition.version) : hash.slice(0, 8),
+            file,
+            hash,
+            name: definition.name || base?.name || id,
+            description: definition.description || null,
+            numbers: [].concat(definition.numbers || []).map(String),
+            greeting: definition.greeting ?? base?.greeting ?? null,
+            voiceId: definition.voiceId ?? base?.voiceId ?? null,
+            model: definition.model ?? base?.model ?? null,
+            temperature: definition.temperature ?? base?.temperature ?? null,
+            tools: definition.tools !== undefined ? definition.tools : (base ? base.tools : null),
+            prompts: { ...base?.prompts, ...definition.prompts },
+            messages: { ...DEFAULT_MESSAGES, ...base?.messages, ...definition.messages }
+        };
+
+        if (typeof persona.prompts.call !== 'string' || typeof persona.prompts.sms !== 'string') {
+            throw new Error(`Persona "${id}" needs prompts.call and prompts.sms (the default persona must set both)`);
+        }
+        if (persona.tools !== null && !Array.isArray(persona.tools)) {
+            throw new Error(`Persona "${id}" tools must be a list of tool names`);
+        }
+
+        return persona;
+    }
+
+    /**
+     * Get a persona by id (the default persona for unknown ids)
+     */
+    get(id) {
+        const personas = this.load();
+        return personas.get(id) || personas.get('default');
+    }
+
+    /**
+     * Check whether a persona exists
+     */
+    has(id) {
+        return this.load().has(id);
+    }
+
+    /**
+     * The persona that answers a Twilio number
+     */
+    forNumber(number) {
+        const persona = Array.from(this.load().values()).find(candidate => candidate.numbers.includes(number));
+        return persona || this.get('default');
+    }
+
+    /**
+     * Phrases each persona says word for word (greeting, fallback messages and
+     * the shared phrases in extra), with its voice - for pre-warming the TTS cache
+     */
+    getFixedPhrases(extra = []) {
+        return Array.from(this.load().values()).flatMap(persona =>
+            [persona.greeting, ...Object.values(persona.messages), ...extra]
+                .filter(text => typeof text === 'string' && text.trim())
+                .map(text => ({ text, voiceId: persona.voiceId }))
+        );
+    }
+
+    /**
+     * Summary of the loaded personas, for the API
+     */
+    list() {
+        return Array.from(this.load().values()).map(persona => ({
+            id: persona.id,
+            version: persona.version,
+            name: persona.name,
+            description: persona.description,
+            file: persona.file,
+            numbers: persona.numbers,
+            voiceId: persona.voiceId,
+            model: persona.model,
+            tools: persona.tools
+        }));
+    }
+}
+
+module.exports = new PersonaService();
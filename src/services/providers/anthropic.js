@@ -0,0 +1,275 @@
+/**
+ * Anthropic Provider
+ * Chat completions through the Anthropic Messages API. Requests and results
+ * are translated to and from the OpenAI chat format the rest of the app uses:
+ * system messages, tool calls and tool results, and JSON response formats.
+ */
+
+const axios = require('axios');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+
+class AnthropicProvider {
+    /**
+     * definition: { type: 'anthropic', model, fallbackModel, baseUrl,
+     *   apiKeyEnv (default ANTHROPIC_API_KEY), timeoutMs, maxRetries, maxTokens, temperature }
+     */
+    constructor(name, definition = {}) {
+        if (!definition.model) {
+            throw new Error('Anthropic providers need a model');
+        }
+
+        this.name = name;
+        this.model = definition.model;
+        // Cheaper model for turns over a spending cap, if there is one
+        this.fallbackModel = definition.fallbackModel || null;
+        this.baseUrl = definition.baseUrl || DEFAULT_BASE_URL;
+        this.apiKey = process.env[definition.apiKeyEnv || 'ANTHROPIC_API_KEY'];
+        this.timeoutMs = definition.timeoutMs || config.llm.timeoutMs;
+        this.retries = definition.maxRetries ?? config.resilience.retries;
+        this.maxTokens = definition.maxTokens || config.openai.maxTokens;
+        this.temperature = definition.temperature ?? config.openai.temperature;
+    }
+
+    /**
+     * Translate an OpenAI-style request into a Messages API body
+     */
+    buildBody(request) {
+        const system = [];
+        const messages = [];
+
+        // Consecutive messages from the same side are merged into one turn
+        const append = (role, blocks) => {
+            const last = messages[messages.length - 1];
+            if (last?.role === role) {
+                last.content.push(...blocks);
+            } else {
+                messages.push({ role, content: blocks });
+            }
+        };
+
+        request.messages.forEach(msg => {
+            if (msg.role === 'system') {
+                // Only the leading system prompt is a system prompt; later notes
+                // (earlier tool results, etc.) go inline
+                if (messages.length === 0) {
+                    system.push(msg.content);
+                } else {
+                    append('user', [{ type: 'text', text: `(Note: ${msg.content})` }]);
+                }
+            } else if (msg.role === 'tool') {
+                append('user', [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }]);
+            } else if (msg.role === 'assistant') {
+                const blocks = msg.content ? [{ type: 'text', text: msg.content }] : [];
+
+                (msg.tool_calls || []).forEach(call => {
+                    blocks.push({
+                        type: 'tool_use',
+                        id: call.id,
+                        name: call.function.name,
+                        input: JSON.parse(call.function.arguments || '{}')
+                    });
+                });
+
+                // The conversation has to open with the user (calls open with our greeting)
+                if (messages.length === 0) {
+                    append('user', [{ type: 'text', text: '(The call has connected.)' }]);
+                }
+                append('assistant', blocks);
+            } else {
+                append('user', [{ type: 'text', text: msg.content }]);
+            }
+        });
+
+        // No native JSON mode: describe the expected output instead
+        const format = request.responseFormat;
+        if (format?.type === 'json_schema') {
+            system.push(`Respond with only a JSON object matching this JSON schema, and no other text:\n${JSON.stringify(format.json_schema.schema)}`);
+        } else if (format?.type === 'json_object') {
+            system.push('Respond with only a JSON object, and no other text.');
+        }
+
+        const tools = request.tools?.length
+            ? request.tools.map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description,
+                input_schema: tool.function.parameters
+            }))
+            : undefined;
+
+        return {
+            model: (request.downgrade && this.fallbackModel) || this.model,
+            system: system.join('\n\n') || undefined,
+            messages,
+            max_tokens: request.maxTokens || this.maxTokens,
+            temperature: request.temperature ?? this.temperature,
+            tools,
+            tool_choice: tools ? { type: request.toolChoice === 'none' ? 'none' : 'auto' } : undefined
+        };
+    }
+
+    /**
+     * Build the OpenAI-style result from the reply text and tool calls
+     */
+    buildResult(text, toolCalls, usage, model, duration) {
+        return {
+            response: text,
+            message: {
+                role: 'assistant',
+                content: text || null,
+                tool_calls: toolCalls.length ? toolCalls : undefined
+            },
+            toolCalls,
+            usage: {
+                prompt_tokens: usage.input_tokens || 0,
+                completion_tokens: usage.output_tokens || 0,
+                total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+            },
+            model,
+            duration
+        };
+    }
+
+    /**
+     * Messages API request headers
+     */
+    getHeaders() {
+        return {
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION,
+            'content-type': 'application/json'
+        };
+    }
+
+    /**
+     * Generate a complete response
+     */
+    async complete(request, attempt = {}) {
+        const startTime = Date.now();
+
+        try {
+            const response = await axios.post(`${this.baseUrl}/messages`, this.buildBody(request), {
+                headers: this.getHeaders(),
+                signal: attempt.signal
+            });
+
+            const { content, usage, model } = response.data;
+            const text = content.filter(block => block.type === 'text').map(block => block.text).join('');
+            const toolCalls = content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({
+                    id: block.id,
+                    type: 'function',
+                    function: { name: block.name, arguments: JSON.stringify(block.input) }
+                }));
+
+            const result = this.buildResult(text, toolCalls, usage, model, Date.now() - startTime);
+
+            logger.logApiCall(this.name, 'messages', result.duration, true, {
+                model,
+                tokens: result.usage.total_tokens,
+                toolCalls: toolCalls.length || undefined
+            });
+
+            return result;
+
+        } catch (error) {
+            logger.logApiCall(this.name, 'messages', Date.now() - startTime, false, {
+                error: error.message,
+                status: error.response?.status
+            });
+
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a streaming response, passing text to onChunk as it arrives.
+     * Returns the same shape as complete() once the stream ends.
+     */
+    async stream(request, onChunk, attempt = {}) {
+        const startTime = Date.now();
+
+        try {
+            const response = await axios.post(`${this.baseUrl}/messages`, {
+                ...this.buildBody(request),
+                stream: true
+            }, {
+                headers: this.getHeaders(),
+                signal: attempt.signal,
+                responseType: 'stream'
+            });
+
+            let text = '';
+            let model = this.model;
+            const usage = {};
+
+            // Content blocks by index: text, or tool calls whose input arrives as JSON pieces
+            const blocks = [];
+            let buffer = '';
+
+            for await (const data of response.data) {
+                attempt.extend?.();
+                buffer += data.toString();
+
+                // Server-sent events: one JSON payload per "data:" line
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    if (!line.startsWith('data:')) continue;
+
+                    const event = JSON.parse(line.slice(5));
+
+                    if (event.type === 'message_start') {
+                        model = event.message.model;
+                        Object.assign(usage, event.message.usage);
+                    } else if (event.type === 'content_block_start') {
+                        blocks[event.index] = { ...event.content_block, json: '' };
+                    } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                        text += event.delta.text;
+                        onChunk(event.delta.text);
+                    } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+                        blocks[event.index].json += event.delta.partial_json;
+                    } else if (event.type === 'message_delta') {
+                        Object.assign(usage, event.usage);
+                    } else if (event.type === 'error') {
+                        throw new Error(event.error.message);
+                    }
+                }
+            }
+
+            const toolCalls = blocks
+                .filter(block => block?.type === 'tool_use')
+                .map(block => ({
+                    id: block.id,
+                    type: 'function',
+                    function: { name: block.name, arguments: block.json || '{}' }
+                }));
+
+            const result = this.buildResult(text, toolCalls, usage, model, Date.now() - startTime);
+
+            logger.logApiCall(this.name, 'messages/stream', result.duration, true, {
+                model,
+                tokens: result.usage.total_tokens,
+                responseLength: text.length,
+                toolCalls: toolCalls.length || undefined
+            });
+
+            return result;
+
+        } catch (error) {
+            logger.logApiCall(this.name, 'messages/stream', Date.now() - startTime, false, {
+                error: error.message,
+                status: error.response?.status
+            });
+
+            throw error;
+        }
+    }
+}
+
+module.exports = AnthropicProvider;
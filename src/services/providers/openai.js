@@ -0,0 +1,206 @@
+/**
+ * OpenAI Provider
+ * Chat completions through the OpenAI SDK. Covers api.openai.com, any
+ * OpenAI-compatible server (llama.cpp, vLLM, ...) via baseUrl, and Azure OpenAI.
+ */
+
+const { OpenAI, AzureOpenAI } = require('openai');
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+// Azure API version used when the provider definition doesn't set one
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+class OpenAIProvider {
+    /**
+     * definition: { type: 'openai' | 'openai-compatible' | 'azure', model, fallbackModel,
+     *   baseUrl, apiKeyEnv, timeoutMs, maxRetries, maxTokens, temperature,
+     *   endpoint, deployment, apiVersion (Azure only) }
+     */
+    constructor(name, definition = {}) {
+        this.name = name;
+
+        const apiKey = definition.apiKeyEnv
+            ? process.env[definition.apiKeyEnv]
+            : config.openai.apiKey;
+
+        // Timeouts and retries are handled by the resilience policy (see src/services/llm.js)
+        const clientOptions = { maxRetries: 0 };
+        this.timeoutMs = definition.timeoutMs || config.llm.timeoutMs;
+        this.retries = definition.maxRetries ?? config.resilience.retries;
+
+        if (definition.type === 'azure') {
+            this.client = new AzureOpenAI({
+                ...clientOptions,
+                apiKey,
+                endpoint: definition.endpoint,
+                deployment: definition.deployment,
+                apiVersion: definition.apiVersion || DEFAULT_AZURE_API_VERSION
+            });
+            this.model = definition.model || definition.deployment;
+        } else {
+            this.client = new OpenAI({
+                ...clientOptions,
+                // Local servers usually don't check the key, but the SDK requires one
+                apiKey: apiKey || (definition.baseUrl ? 'not-needed' : undefined),
+                baseURL: definition.baseUrl
+            });
+            this.model = definition.model || config.openai.model;
+        }
+
+        // Without a model of its own the provider uses OPENAI_MODEL, or the persona's model
+        this.usesRequestModel = definition.type !== 'azure' && !definition.model;
+
+        // Cheaper model for turns over a spending cap (COST_FALLBACK_MODEL unless the
+        // provider has a model of its own). An Azure deployment fixes the model.
+        this.fallbackModel = definition.type === 'azure'
+            ? null
+            : definition.fallbackModel || (this.usesRequestModel ? config.costs.fallbackModel : null);
+
+        this.maxTokens = definition.maxTokens || config.openai.maxTokens;
+        this.temperature = definition.temperature ?? config.openai.temperature;
+    }
+
+    /**
+     * Chat completion request body shared by complete() and stream()
+     */
+    buildBody(request) {
+        return {
+            model: (request.downgrade && this.fallbackModel) || (this.usesRequestModel && request.model) || this.model,
+            messages: request.messages,
+            max_tokens: request.maxTokens || this.maxTokens,
+            temperature: request.temperature ?? this.temperature,
+            response_format: request.responseFormat,
+            tools: request.tools?.length ? request.tools : undefined,
+            tool_choice: request.tools?.length ? request.toolChoice : undefined
+        };
+    }
+
+    /**
+     * Generate a complete response
+     */
+    async complete(request, attempt = {}) {
+        const startTime = Date.now();
+
+        try {
+            const completion = await this.client.chat.completions.create({
+                ...this.buildBody(request),
+                stream: false
+            }, {
+                signal: attempt.signal,
+                timeout: attempt.timeoutMs
+            });
+
+            const message = completion.choices[0].message;
+            const response = message.content;
+            const duration = Date.now() - startTime;
+
+            logger.logApiCall(this.name, 'chat/completions', duration, true, {
+                model: completion.model,
+                tokens: completion.usage?.total_tokens,
+                promptTokens: completion.usage?.prompt_tokens,
+                completionTokens: completion.usage?.completion_tokens,
+                toolCalls: message.tool_calls?.length || undefined
+            });
+
+            return {
+                response,
+                message,
+                toolCalls: message.tool_calls || [],
+                usage: completion.usage,
+                model: completion.model,
+                duration
+            };
+
+        } catch (error) {
+            logger.logApiCall(this.name, 'chat/completions', Date.now() - startTime, false, {
+                error: error.message
+            });
+
+            throw error;
+        }
+    }
+
+    /**
+     * Generate a streaming response, passing content to onChunk as it arrives.
+     * Returns the same shape as complete() once the stream ends.
+     */
+    async stream(request, onChunk, attempt = {}) {
+        const startTime = Date.now();
+
+        try {
+            const stream = await this.client.chat.completions.create({
+                ...this.buildBody(request),
+                stream: true,
+                stream_options: { include_usage: true }
+            }, {
+                signal: attempt.signal,
+                timeout: attempt.timeoutMs
+            });
+
+            let fullResponse = '';
+            let usage = null;
+            let model = this.model;
+
+            // Tool calls arrive in pieces, keyed by their index
+            const toolCalls = [];
+
+            for await (const chunk of stream) {
+                attempt.extend?.();
+                const delta = chunk.choices[0]?.delta || {};
+
+                if (delta.content) {
+                    fullResponse += delta.content;
+                    onChunk(delta.content);
+                }
+
+                (delta.tool_calls || []).forEach(part => {
+                    const call = toolCalls[part.index] ||
+                        (toolCalls[part.index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+
+                    if (part.id) call.id = part.id;
+                    if (part.function?.name) call.function.name += part.function.name;
+                    if (part.function?.arguments) call.function.arguments += part.function.arguments;
+                });
+
+                if (chunk.usage) {
+                    usage = chunk.usage;
+                }
+                if (chunk.model) {
+                    model = chunk.model;
+                }
+            }
+
+            const duration = Date.now() - startTime;
+
+            logger.logApiCall(this.name, 'chat/completions/stream', duration, true, {
+                model,
+                tokens: usage?.total_tokens,
+                responseLength: fullResponse.length,
+                toolCalls: toolCalls.length || undefined
+            });
+
+            return {
+                response: fullResponse,
+                message: {
+                    role: 'assistant',
+                    content: fullResponse || null,
+                    tool_calls: toolCalls.length ? toolCalls : undefined
+                },
+                toolCalls,
+                usage,
+                model,
+                duration
+            };
+
+        } catch (error) {
+            logger.logApiCall(this.name, 'chat/completions/stream', Date.now() - startTime, false, {
+                error: error.message
+            });
+
+            throw error;
+        }
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,91 @@
+/**
+ * Stub Provider
+ * Answers locally without any network calls, for development and tests.
+ * Replies are built from LLM_STUB_REPLY ({input} is the caller's last message);
+ * requests for structured output get a JSON object that matches the schema.
+ */
+
+const config = require('../../config');
+const logger = require('../../utils/logger');
+
+class StubProvider {
+    /**
+     * definition: { type: 'stub', reply }
+     */
+    constructor(name, definition = {}) {
+        this.name = name;
+        this.model = 'stub';
+        // Free either way, so it can always "downgrade"
+        this.fallbackModel = 'stub';
+        this.timeoutMs = null;
+        this.retries = 0;
+        this.reply = definition.reply || config.llm.stubReply;
+    }
+
+    /**
+     * Fill in a value of the right type for each schema property
+     */
+    buildObject(schema, reply) {
+        return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, property]) => {
+            const types = [].concat(property.type);
+
+            if (key === 'reply') return [key, reply];
+            if (property.enum) return [key, property.enum[0]];
+            if (types.includes('null')) return [key, null];
+            if (types.includes('boolean')) return [key, false];
+            if (types.includes('number') || types.includes('integer')) return [key, 0];
+            if (types.includes('array')) return [key, []];
+            if (types.includes('object')) return [key, this.buildObject(property, reply)];
+            return [key, ''];
+        }));
+    }
+
+    /**
+     * The text the stub "generates" for a request
+     */
+    buildResponse(request) {
+        const lastUserMessage = [...request.messages].reverse().find(msg => msg.role === 'user');
+        const reply = this.reply.replace('{input}', lastUserMessage?.content || '');
+
+        const format = request.responseFormat;
+        if (format?.type === 'json_schema') {
+            return JSON.stringify(this.buildObject(format.json_schema.schema, reply));
+        }
+        if (format?.type === 'json_object') {
+            return '{}';
+        }
+
+        return reply;
+    }
+
+    /**
+     * Generate a complete response
+     */
+    async complete(request) {
+        const response = this.buildResponse(request);
+
+        logger.logApiCall(this.name, 'stub', 0, true, { responseLength: response.length });
+
+        return {
+            response,
+            message: { role: 'assistant', content: response },
+            toolCalls: [],
+            usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+            model: this.model,
+            duration: 0
+        };
+    }
+
+    /**
+     * Stream the response a word at a time
+     */
+    async stream(request, onChunk) {
+        const result = await this.complete(request);
+
+        result.response.split(/(?<= )/).forEach(word => onChunk(word));
+
+        return result;
+    }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,148 @@
+/**
+ * Recording Service
+ * Call recording for QA: consent disclosure, start/stop, status tracking per session
+ */
+
+const twilioService = require('./twilio');
+const conversationManager = require('../utils/conversation');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Inbound calls may not be in-progress the instant we answer the webhook
+const START_ATTEMPTS = 3;
+const START_RETRY_MS = 1000;
+
+class RecordingService {
+    /**
+     * Check whether calls should be recorded
+     */
+    isEnabled() {
+        return config.recording.enabled;
+    }
+
+    /**
+     * Consent notice to read at the start of the call (null when not recording)
+     */
+    getDisclosure() {
+        return this.isEnabled() ? config.recording.disclosure : null;
+    }
+
+    /**
+     * Start recording a call, retrying while the call is still being answered
+     */
+    async start(callSid, baseUrl) {
+        const session = conversationManager.getSession(callSid);
+
+        session.recording = {
+            status: 'requested',
+            optedOut: false,
+            recordings: []
+        };
+
+        for (let attempt = 1; attempt <= START_ATTEMPTS; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, START_RETRY_MS));
+
+            // Caller may have hung up or opted out while we waited
+            if (!conversationManager.isActive(callSid) || session.recording.optedOut) {
+                return null;
+            }
+
+            try {
+                const recording = await twilioService.startCallRecording(callSid, baseUrl);
+                session.recording.status = 'in-progress';
+                return recording;
+            } catch (error) {
+                if (attempt === START_ATTEMPTS) {
+                    session.recording.status = 'failed';
+                    conversationManager.recordError(callSid, error, { source: 'recording' });
+                    return null;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether the caller asked not to be recorded
+     */
+    matchesOptOut(userText) {
+        const text = userText.toLowerCase().replace(/[’‘]/g, '\'');
+        return config.recording.optOutPhrases.some(phrase => text.includes(phrase.toLowerCase()));
+    }
+
+    /**
+     * Check whether there is a recording the caller can still opt out of
+     */
+    canOptOut(session) {
+        return !!session.recording && !session.recording.optedOut;
+    }
+
+    /**
+     * Stop recording at the caller's request
+     */
+    async optOut(callSid) {
+        const session = conversationManager.getSession(callSid);
+        session.recording.optedOut = true;
+
+        logger.logCall('recording_opt_out', callSid, {
+            status: session.recording.status
+        });
+
+        if (session.recording.status !== 'in-progress') {
+            session.recording.status = 'declined';
+            return;
+        }
+
+        try {
+            await twilioService.stopCallRecording(callSid);
+            session.recording.status = 'stopped';
+        } catch (error) {
+            conversationManager.recordError(callSid, error, { source: 'recording' });
+        }
+    }
+
+    /**
+     * Attach a recording status callback to the (possibly ended) session
+     */
+    handleStatus(params) {
+        const { CallSid, RecordingSid, RecordingUrl, RecordingStatus, RecordingDuration, RecordingChannels } = params;
+        const session = conversationManager.findSession(CallSid);
+
+        logger.logCall('recording_status', CallSid, {
+            recordingSid: RecordingSid,
+            status: RecordingStatus,
+            duration: RecordingDuration
+        });
+
+        if (!session) {
+            return null;
+        }
+
+        if (!session.recording) {
+            session.recording = { status: RecordingStatus, optedOut: false, recordings: [] };
+        }
+
+        let recording = session.recording.recordings.find(item => item.sid === RecordingSid);
+        if (!recording) {
+            recording = { sid: RecordingSid };
+            session.recording.recordings.push(recording);
+        }
+
+        Object.assign(recording, {
+            url: RecordingUrl,
+            status: RecordingStatus,
+            duration: RecordingDuration ? parseInt(RecordingDuration) : null,
+            channels: RecordingChannels ? parseInt(RecordingChannels) : null
+        });
+
+        // An opted-out call stays "stopped" even though Twilio completes the partial recording
+        if (!session.recording.optedOut) {
+            session.recording.status = RecordingStatus;
+        }
+
+        return recording;
+    }
+}
+
+module.exports = new RecordingService();
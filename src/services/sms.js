@@ -0,0 +1,175 @@
+/**
+ * SMS Service
+ * Texts the caller a recap of the conversation after the call ends:
+ * summary, agreed next steps, anything the assistant promised to send,
+ * and the links configured for the persona (see src/config/sms-templates.json)
+ */
+
+const fs = require('fs');
+const twilioService = require('./twilio');
+const openaiService = require('./openai');
+const smsOptOut = require('../utils/smsOptOut');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Twilio error code for a recipient that has replied STOP to our number
+const TWILIO_UNSUBSCRIBED = 21610;
+
+class SmsService {
+    constructor() {
+        this.templates = null;
+    }
+
+    /**
+     * Check whether post-call follow-ups are turned on
+     */
+    isEnabled() {
+        return config.sms.followUpEnabled;
+    }
+
+    /**
+     * Load message templates from disk (cached after the first call)
+     */
+    loadTemplates() {
+        if (this.templates) return this.templates;
+
+        try {
+            this.templates = JSON.parse(fs.readFileSync(config.sms.templatesPath, 'utf8'));
+        } catch (error) {
+            logger.error('Failed to load SMS templates, using built-in default', {
+                error: error.message,
+                path: config.sms.templatesPath
+            });
+
+            this.templates = {
+                default: {
+                    businessName: 'us',
+                    body: 'Thanks for calling {businessName}!\n\n{recap}{nextSteps}{promised}{links}\n\nReply STOP to opt out.',
+                    links: []
+                }
+            };
+        }
+
+        return this.templates;
+    }
+
+    /**
+     * Get the template for a persona, falling back to the default
+     */
+    getTemplate(persona) {
+        const templates = this.loadTemplates();
+        return templates[persona] || templates.default;
+    }
+
+    /**
+     * Remember something the assistant promised to text the caller
+     */
+    queueMessage(session, text) {
+        session.pendingSms.push(text);
+
+        logger.logCall('sms_queued', session.callSid, { length: text.length });
+    }
+
+    /**
+     * Work out whether a finished call should get a follow-up text
+     * Returns the reason to skip, or null to send
+     */
+    getSkipReason(session) {
+        if (!this.isEnabled()) return 'disabled';
+        if (session.followUp) return 'already-sent';
+        if (!session.callerNumber) return 'no-number';
+        if (smsOptOut.isOptedOut(session.callerNumber)) return 'opted-out';
+        if (session.amd?.voicemailLeft) return 'voicemail';
+        if (!session.messages.some(msg => msg.role === 'user')) return 'no-conversation';
+        return null;
+    }
+
+    /**
+     * Build the message body from the call recap and the persona's template
+     */
+    async buildMessage(session) {
+        const template = this.getTemplate(session.persona || 'default');
+
+        let recap = { recap: '', nextSteps: [] };
+        try {
+            recap = await openaiService.generateCallRecap(session.messages.map(msg => ({
+                role: msg.role,
+                content: msg.content
+            })));
+        } catch (error) {
+            logger.warn('Call recap failed, sending follow-up without it', {
+                error: error.message,
+                callSid: session.callSid
+            });
+        }
+
+        const list = (title, items) => items.length > 0
+            ? `\n\n${title}:\n${items.map(item => `- ${item}`).join('\n')}`
+            : '';
+
+        const links = (template.links || []).map(link => `${link.label}: ${link.url}`);
+
+        return template.body
+            .replace('{businessName}', template.businessName || 'us')
+            .replace('{recap}', recap.recap)
+            .replace('{nextSteps}', list('Next steps', recap.nextSteps))
+            .replace('{promised}', list('As promised', session.pendingSms))
+            .replace('{links}', list('Useful links', links))
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Text the caller a recap once the call has ended
+     */
+    async sendFollowUp(session) {
+        if (!session) return null;
+
+        const skipReason = this.getSkipReason(session);
+        if (skipReason) {
+            logger.debug('Skipping SMS follow-up', {
+                callSid: session.callSid,
+                reason: skipReason
+            });
+            return null;
+        }
+
+        session.followUp = { status: 'sending', sentAt: null, messageSid: null };
+
+        try {
+            const body = await this.buildMessage(session);
+            const message = await twilioService.sendSms(session.callerNumber, body);
+
+            session.followUp = {
+                status: 'sent',
+                sentAt: new Date(),
+                messageSid: message.sid
+            };
+
+            logger.logCall('sms_followup_sent', session.callSid, {
+                messageSid: message.sid,
+                promised: session.pendingSms.length
+            });
+
+        } catch (error) {
+            // The carrier already knows they opted out - remember it locally too
+            if (error.code === TWILIO_UNSUBSCRIBED) {
+                smsOptOut.optOut(session.callerNumber);
+            }
+
+            session.followUp = {
+                status: 'failed',
+                error: error.message
+            };
+
+            logger.error('SMS follow-up failed', {
+                error: error.message,
+                callSid: session.callSid
+            });
+        }
+
+        return session.followUp;
+    }
+}
+
+module.exports = new SmsService();
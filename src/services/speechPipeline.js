@@ -0,0 +1,93 @@
+/**
+ * Speech Pipeline
+ * Voices a reply sentence by sentence while the LLM is still writing it.
+ * Each sentence is sent to TTS as soon as it is complete; consumers take the
+ * audio back in order with nextBatch() and can start playing the first
+ * sentence while the rest is still being generated.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+class SpeechPipeline extends EventEmitter {
+    /**
+     * synthesize(text, index) resolves to the audio for one sentence; it is
+     * stored on the chunk as `audio` and should include a durationMs
+     */
+    constructor(callSid, synthesize) {
+        super();
+        this.callSid = callSid;
+        this.synthesize = synthesize;
+        this.chunks = [];
+        this.done = false;
+    }
+
+    /**
+     * Start voicing a finished sentence
+     */
+    addSentence(text) {
+        if (this.done) return;
+
+        const chunk = { index: this.chunks.length, text, audio: null, settled: false };
+
+        chunk.promise = this.synthesize(text, chunk.index)
+            .then(audio => {
+                chunk.audio = audio;
+            })
+            .catch(error => {
+                logger.error('Failed to voice reply sentence', {
+                    error: error.message,
+                    callSid: this.callSid,
+                    index: chunk.index
+                });
+            })
+            .finally(() => {
+                chunk.settled = true;
+                this.emit('change');
+            });
+
+        this.chunks.push(chunk);
+        this.emit('change');
+    }
+
+    /**
+     * No more sentences are coming
+     */
+    finish() {
+        this.done = true;
+        this.emit('change');
+    }
+
+    /**
+     * True once every sentence from index onwards has been handed out
+     */
+    isComplete(index) {
+        return this.done && index >= this.chunks.length;
+    }
+
+    /**
+     * Wait until the chunk at index is voiced (or the reply ends), then return
+     * it and any following chunks that are already voiced, in order
+     */
+    async nextBatch(index) {
+        while (!this.chunks[index]?.settled && !this.isComplete(index)) {
+            await new Promise(resolve => this.once('change', resolve));
+        }
+
+        const batch = [];
+        for (let i = index; this.chunks[i]?.settled; i++) {
+            batch.push(this.chunks[i]);
+        }
+
+        return batch;
+    }
+
+    /**
+     * Total playback length of the voiced chunks
+     */
+    getDurationMs(chunks = this.chunks) {
+        return chunks.reduce((total, chunk) => total + (chunk.audio?.durationMs || 0), 0);
+    }
+}
+
+module.exports = SpeechPipeline;
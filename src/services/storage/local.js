@@ -0,0 +1,71 @@
+/**
+ * Local Audio Storage
+ * Files on this server's disk (AUDIO_STORAGE_DIR), served by the /audio route.
+ * Only suitable for a single instance with a disk that outlives the call.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildPublicUrl } = require('../../utils/publicUrl');
+
+class LocalStorage {
+    /**
+     * settings: { dir }
+     */
+    constructor(settings = {}) {
+        this.name = 'local';
+        this.dir = settings.dir;
+    }
+
+    /**
+     * Path of a stored file on disk (keys can't leave the storage directory)
+     */
+    getFilePath(key) {
+        const filePath = path.resolve(this.dir, key);
+
+        if (!filePath.startsWith(path.resolve(this.dir) + path.sep)) {
+            throw new Error(`Invalid audio key: ${key}`);
+        }
+
+        return filePath;
+    }
+
+    /**
+     * Write a file; it only appears under its name once it is complete,
+     * so Twilio never fetches half a file
+     */
+    async put(key, buffer) {
+        const filePath = this.getFilePath(key);
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, buffer);
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    /**
+     * Move a file to another key
+     */
+    async move(fromKey, toKey) {
+        const toPath = this.getFilePath(toKey);
+
+        await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+        await fs.promises.rename(this.getFilePath(fromKey), toPath);
+    }
+
+    /**
+     * Delete a file (missing files are fine)
+     */
+    async delete(key) {
+        await fs.promises.rm(this.getFilePath(key), { force: true });
+    }
+
+    /**
+     * URL Twilio fetches the file from
+     */
+    getUrl(key, baseUrl) {
+        return buildPublicUrl(`/audio/${key}`, baseUrl);
+    }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,231 @@
+/**
+ * S3 Audio Storage
+ * Files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...), so
+ * every instance can serve every file and nothing depends on the local disk.
+ * Requests are signed with AWS Signature Version 4; Twilio gets the bucket's
+ * public URL (S3_PUBLIC_URL) or a presigned URL that expires.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const resilience = require('../../utils/resilience');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+
+/**
+ * SHA-256 of a string or buffer, hex encoded
+ */
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * HMAC-SHA256 (raw bytes, for the signing key chain)
+ */
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+/**
+ * URI-encode the way SigV4 expects (RFC 3986, slashes kept in paths)
+ */
+function encode(value, keepSlashes = false) {
+    const encoded = encodeURIComponent(value).replace(/[!'()*]/g, char =>
+        `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+class S3Storage {
+    /**
+     * settings: { endpoint, region, bucket, accessKeyId, secretAccessKey, prefix,
+     *   forcePathStyle, publicUrl, presignExpiresSeconds, timeoutMs }
+     */
+    constructor(settings = {}) {
+        if (!settings.bucket || !settings.accessKeyId || !settings.secretAccessKey) {
+            throw new Error('S3 audio storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+        }
+
+        this.name = 's3';
+        this.region = settings.region;
+        this.bucket = settings.bucket;
+        this.accessKeyId = settings.accessKeyId;
+        this.secretAccessKey = settings.secretAccessKey;
+        this.prefix = settings.prefix || '';
+        this.forcePathStyle = settings.forcePathStyle;
+        this.publicUrl = settings.publicUrl ? settings.publicUrl.replace(/\/+$/, '') : null;
+        this.presignExpiresSeconds = settings.presignExpiresSeconds;
+        this.timeoutMs = settings.timeoutMs;
+        this.endpoint = new URL(settings.endpoint || `https://s3.${settings.region}.amazonaws.com`);
+    }
+
+    /**
+     * Object URL for a key (path-style or virtual-hosted)
+     */
+    getObjectUrl(key) {
+        const objectPath = encode(`${this.prefix}${key}`, true);
+        const basePath = this.endpoint.pathname.replace(/\/+$/, '');
+
+        if (this.forcePathStyle) {
+            return new URL(`${this.endpoint.protocol}//${this.endpoint.host}${basePath}/${encode(this.bucket)}/${objectPath}`);
+        }
+
+        return new URL(`${this.endpoint.protocol}//${this.bucket}.${this.endpoint.host}${basePath}/${objectPath}`);
+    }
+
+    /**
+     * Credential scope and signing key for a request date (YYYYMMDD)
+     */
+    getSigningKey(date) {
+        const scope = `${date}/${this.region}/s3/aws4_request`;
+        const key = ['s3', 'aws4_request'].reduce(
+            (signingKey, part) => hmac(signingKey, part),
+            hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region)
+        );
+
+        return { scope, key };
+    }
+
+    /**
+     * Signature V4 over a request; headers must be lowercase and include host
+     */
+    sign(method, url, query, headers, payloadHash, amzDate) {
+        const { scope, key } = this.getSigningKey(amzDate.slice(0, 8));
+        const headerNames = Object.keys(headers).sort();
+
+        const canonicalRequest = [
+            method,
+            url.pathname,
+            Object.keys(query).sort().map(name => `${encode(name)}=${encode(query[name])}`).join('&'),
+            headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join(''),
+            headerNames.join(';'),
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = [ALGORITHM, amzDate, scope, sha256(canonicalRequest)].join('\n');
+
+        return {
+            scope,
+            signedHeaders: headerNames.join(';'),
+            signature: crypto.createHmac('sha256', key).update(stringToSign).digest('hex')
+        };
+    }
+
+    /**
+     * Timestamp in the format SigV4 uses (20240101T120000Z)
+     */
+    getAmzDate(now = new Date()) {
+        return now.toISOString().replace(/[:-]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Make a signed request to the bucket through the resilience policy
+     */
+    async request(method, key, body = null, extraHeaders = {}) {
+        const startTime = Date.now();
+        const url = this.getObjectUrl(key);
+        const payloadHash = body ? sha256(body) : sha256('');
+
+        try {
+            const response = await resilience.call('s3', attempt => {
+                const amzDate = this.getAmzDate();
+                // S3 wants every x-amz-* header signed
+                const amzHeaders = Object.fromEntries(Object.entries(extraHeaders)
+                    .filter(([name]) => name.toLowerCase().startsWith('x-amz-'))
+                    .map(([name, value]) => [name.toLowerCase(), value]));
+                const headers = {
+                    ...amzHeaders,
+                    host: url.host,
+                    'x-amz-content-sha256': payloadHash,
+                    'x-amz-date': amzDate
+                };
+                const { scope, signedHeaders, signature } = this.sign(method, url, {}, headers, payloadHash, amzDate);
+
+                return axios({
+                    method,
+                    url: url.toString(),
+                    data: body,
+                    headers: {
+                        ...extraHeaders,
+                        'x-amz-content-sha256': payloadHash,
+                        'x-amz-date': amzDate,
+                        Authorization: `${ALGORITHM} Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+                    },
+                    maxBodyLength: Infinity,
+                    signal: attempt.signal
+                });
+            }, { timeoutMs: this.timeoutMs });
+
+            logger.logApiCall('s3', `${method} object`, Date.now() - startTime, true, {
+                key,
+                size: body?.length
+            });
+
+            return response;
+
+        } catch (error) {
+            logger.logApiCall('s3', `${method} object`, Date.now() - startTime, false, {
+                key,
+                error: error.message,
+                status: error.response?.status
+            });
+
+            throw new Error(`S3 ${method} failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Upload a file
+     */
+    async put(key, buffer, contentType) {
+        await this.request('PUT', key, buffer, { 'Content-Type': contentType });
+    }
+
+    /**
+     * Move a file (S3 has no rename: copy, then delete the original)
+     */
+    async move(fromKey, toKey) {
+        await this.request('PUT', toKey, null, {
+            'x-amz-copy-source': `/${encode(this.bucket)}/${encode(`${this.prefix}${fromKey}`, true)}`
+        });
+        await this.delete(fromKey);
+    }
+
+    /**
+     * Delete a file (missing files are fine - S3 doesn't report them)
+     */
+    async delete(key) {
+        await this.request('DELETE', key);
+    }
+
+    /**
+     * URL Twilio fetches the file from: public, or presigned for S3_PRESIGN_EXPIRES_SECONDS
+     */
+    getUrl(key, baseUrl, now = new Date()) {
+        if (this.publicUrl) {
+            return `${this.publicUrl}/${encode(`${this.prefix}${key}`, true)}`;
+        }
+
+        const url = this.getObjectUrl(key);
+        const amzDate = this.getAmzDate(now);
+        const query = {
+            'X-Amz-Algorithm': ALGORITHM,
+            'X-Amz-Credential': `${this.accessKeyId}/${this.getSigningKey(amzDate.slice(0, 8)).scope}`,
+            'X-Amz-Date': amzDate,
+            'X-Amz-Expires': String(this.presignExpiresSeconds),
+            'X-Amz-SignedHeaders': 'host'
+        };
+        const { signature } = this.sign('GET', url, query, { host: url.host }, UNSIGNED_PAYLOAD, amzDate);
+
+        url.search = Object.keys(query)
+            .map(name => `${encode(name)}=${encode(query[name])}`)
+            .concat(`X-Amz-Signature=${signature}`)
+            .join('&');
+
+        return url.toString();
+    }
+}
+
+module.exports = S3Storage;
@@ -0,0 +1,178 @@
+/**
+ * Tool Registry
+ * Functions the assistant can call mid-conversation through OpenAI tool calling.
+ * Each tool has a JSON schema for its arguments and a handler that returns
+ * { result, action }: the result goes back to the model, the optional action
+ * ('end_call', 'transfer') is carried out by VoiceController.
+ */
+
+const axios = require('axios');
+const twilioService = require('./twilio');
+const transferService = require('./transfer');
+const smsOptOut = require('../utils/smsOptOut');
+const resilience = require('../utils/resilience');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Register a tool
+     * tool: { description, parameters (JSON schema), handler(args, context), isAvailable(context) }
+     */
+    register(name, tool) {
+        this.tools.set(name, {
+            isAvailable: () => true,
+            ...tool
+        });
+
+        return this;
+    }
+
+    /**
+     * Check whether the persona lets the assistant use a tool
+     * (context.allowedTools: tool names, or null for all of them)
+     */
+    isAllowed(name, context) {
+        return !context.allowedTools || context.allowedTools.includes(name);
+    }
+
+    /**
+     * OpenAI tool definitions for the tools usable in this conversation
+     */
+    getDefinitions(context) {
+        if (!config.tools.enabled) return [];
+
+        return Array.from(this.tools.entries())
+            .filter(([name, tool]) => this.isAllowed(name, context) && tool.isAvailable(context))
+            .map(([name, tool]) => ({
+                type: 'function',
+                function: {
+                    name,
+                    description: tool.description,
+                    parameters: tool.parameters
+                }
+            }));
+    }
+
+    /**
+     * Run a tool call from the model. Failures are returned to the model as
+     * { error } so it can tell the caller, rather than failing the turn.
+     */
+    async execute(name, rawArguments, context) {
+        const startTime = Date.now();
+        const tool = this.tools.get(name);
+        let args = {};
+
+        try {
+            if (!tool || !this.isAllowed(name, context)) {
+                throw new Error(`Unknown tool: ${name}`);
+            }
+
+            args = rawArguments ? JSON.parse(rawArguments) : {};
+            const { result, action = null } = await tool.handler(args, context);
+
+            logger.logCall('tool_called', context.callSid, {
+                tool: name,
+                action,
+                duration: Date.now() - startTime
+            });
+
+            return { name, args, result, action };
+
+        } catch (error) {
+            logger.error('Tool call failed', {
+                error: error.message,
+                tool: name,
+                callSid: context.callSid
+            });
+
+            return { name, args, result: { error: error.message }, action: null };
+        }
+    }
+}
+
+const toolRegistry = new ToolRegistry();
+
+toolRegistry.register('lookup_order', {
+    description: 'Look up the status of a customer order by its order number.',
+    parameters: {
+        type: 'object',
+        properties: {
+            orderNumber: { type: 'string', description: 'The order number, digits or letters as given by the caller' }
+        },
+        required: ['orderNumber']
+    },
+    isAvailable: () => !!config.tools.orderLookupUrl,
+    handler: async ({ orderNumber }) => {
+        const url = config.tools.orderLookupUrl.replace('{orderNumber}', encodeURIComponent(orderNumber));
+
+        try {
+            const response = await resilience.call('tools', attempt => axios.get(url, {
+                headers: config.tools.orderLookupToken
+                    ? { Authorization: `Bearer ${config.tools.orderLookupToken}` }
+                    : undefined,
+                signal: attempt.signal
+            }), { timeoutMs: 5000 });
+
+            return { result: response.data };
+
+        } catch (error) {
+            if (error.response?.status === 404) {
+                return { result: { found: false, orderNumber } };
+            }
+            throw new Error(`Order lookup failed: ${error.message}`);
+        }
+    }
+});
+
+toolRegistry.register('end_call', {
+    description: 'Hang up after your reply, once the caller has said goodbye or has nothing else they need.',
+    parameters: {
+        type: 'object',
+        properties: {
+            reason: { type: 'string', description: 'Why the call is ending' }
+        }
+    },
+    handler: async ({ reason }) => ({
+        result: { ending: true, reason: reason || null },
+        action: 'end_call'
+    })
+});
+
+toolRegistry.register('transfer_call', {
+    description: 'Connect the caller to a human member of the team after your reply. Use when they ask for a person or you cannot help them.',
+    parameters: {
+        type: 'object',
+        properties: {
+            reason: { type: 'string', description: 'What the caller needs help with' }
+        },
+        required: ['reason']
+    },
+    isAvailable: ({ session }) => transferService.canTransfer(session),
+    handler: async ({ reason }) => ({
+        result: { transferring: true, reason },
+        action: 'transfer'
+    })
+});
+
+toolRegistry.register('send_sms', {
+    description: 'Text the caller right now, e.g. an address, link or confirmation number they asked for.',
+    parameters: {
+        type: 'object',
+        properties: {
+            message: { type: 'string', description: 'The exact text message to send' }
+        },
+        required: ['message']
+    },
+    isAvailable: ({ session }) => !!session.callerNumber && !smsOptOut.isOptedOut(session.callerNumber),
+    handler: async ({ message }, { session }) => {
+        const sent = await twilioService.sendSms(session.callerNumber, message);
+        return { result: { sent: true, messageSid: sent.sid } };
+    }
+});
+
+module.exports = toolRegistry;
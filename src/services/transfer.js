@@ -0,0 +1,175 @@
+/**
+ * Transfer Service
+ * Decides when to hand a caller to a human agent and prepares the
+ * AI-generated whisper summary the agent hears before being bridged
+ */
+
+const openaiService = require('./openai');
+const conversationManager = require('../utils/conversation');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// How long the whisper waits for the summary before using a simple fallback
+const SUMMARY_WAIT_MS = 5000;
+
+class TransferService {
+    constructor() {
+        // Summary generation runs while the agent's phone rings
+        this.pendingSummaries = new Map();
+
+        this.announcements = {
+            keyword: 'Of course. Let me connect you with a member of our team. Please hold.',
+            frustration: 'I\'m sorry this has been frustrating. Let me connect you with a member of our team who can help. Please hold.',
+            ivr: 'Please hold while I connect you with a member of our team.',
+            guardrail: 'That\'s something a member of our team should help you with. Please hold while I connect you.',
+            unavailable: 'I\'m sorry, nobody is available to take your call right now. Can I take a message and have someone call you back?'
+        };
+    }
+
+    /**
+     * Check whether an agent number is configured
+     */
+    isEnabled() {
+        return config.transfer.agentNumbers.length > 0;
+    }
+
+    /**
+     * Only one transfer attempt per call - after that the AI takes a message
+     */
+    canTransfer(session) {
+        return this.isEnabled() && !session.transfer;
+    }
+
+    /**
+     * Check whether the caller explicitly asked for a person
+     */
+    matchesKeyword(userText) {
+        const text = userText.toLowerCase();
+        return config.transfer.keywords.some(keyword => text.includes(keyword.toLowerCase()));
+    }
+
+    /**
+     * Work out whether an AI reply should trigger a transfer
+     * Returns 'assistant', 'frustration' or null
+     */
+    detectTrigger(aiResult) {
+        if (aiResult.transfer) {
+            return 'assistant';
+        }
+
+        if (config.transfer.onFrustration && aiResult.analysis?.mood === 'frustrated') {
+            return 'frustration';
+        }
+
+        return null;
+    }
+
+    /**
+     * What the caller hears before the transfer
+     */
+    getAnnouncement(reason) {
+        return this.announcements[reason] || this.announcements.ivr;
+    }
+
+    /**
+     * Record the transfer on the session and start building the whisper summary
+     */
+    start(callSid, reason) {
+        const session = conversationManager.getSession(callSid);
+
+        session.transfer = {
+            reason,
+            status: 'dialing',
+            startedAt: new Date(),
+            summary: null,
+            dialStatus: null
+        };
+
+        const summaryPromise = this.buildSummary(session)
+            .then(summary => {
+                session.transfer.summary = summary;
+                return summary;
+            })
+            .finally(() => this.pendingSummaries.delete(callSid));
+
+        this.pendingSummaries.set(callSid, summaryPromise);
+
+        logger.logCall('transfer_started', callSid, {
+            reason,
+            agents: config.transfer.agentNumbers.length
+        });
+
+        return session.transfer;
+    }
+
+    /**
+     * Summarize the transcript for the agent (falls back to the last thing the caller said)
+     */
+    async buildSummary(session) {
+        const userMessages = session.messages.filter(msg => msg.role === 'user');
+
+        if (userMessages.length === 0) {
+            return 'The caller asked to speak with a person from the phone menu.';
+        }
+
+        try {
+            const transcript = session.messages.map(msg => ({
+                role: msg.role,
+                content: msg.content
+            }));
+
+            return await openaiService.generateTransferSummary(transcript, session.context);
+
+        } catch (error) {
+            logger.warn('Transfer summary failed, using last caller message', {
+                error: error.message,
+                callSid: session.callSid
+            });
+
+            return `The caller's last words were: ${userMessages[userMessages.length - 1].content}`;
+        }
+    }
+
+    /**
+     * Get the whisper summary, waiting briefly if it is still being generated
+     */
+    async getSummary(callSid) {
+        const session = conversationManager.getSession(callSid);
+
+        if (session.transfer?.summary) {
+            return session.transfer.summary;
+        }
+
+        const pending = this.pendingSummaries.get(callSid);
+        if (pending) {
+            const timeout = new Promise(resolve => setTimeout(() => resolve(null), SUMMARY_WAIT_MS));
+            const summary = await Promise.race([pending, timeout]);
+            if (summary) return summary;
+        }
+
+        return 'No summary is available for this caller.';
+    }
+
+    /**
+     * Record the outcome of the <Dial>. Returns true if an agent took the call.
+     */
+    handleDialResult(callSid, dialStatus) {
+        const session = conversationManager.getSession(callSid);
+        const connected = dialStatus === 'completed' || dialStatus === 'answered';
+
+        if (session.transfer) {
+            session.transfer.status = connected ? 'connected' : 'unavailable';
+            session.transfer.dialStatus = dialStatus;
+            session.transfer.endedAt = new Date();
+        }
+
+        logger.logCall('transfer_result', callSid, {
+            dialStatus,
+            connected
+        });
+
+        return connected;
+    }
+}
+
+module.exports = new TransferService();
@@ -0,0 +1,254 @@
+/**
+ * TTS Cache
+ * Phone audio that has already been synthesized, stored as μ-law WAV files
+ * named after a hash of everything that shapes the audio (text, voice, model,
+ * voice settings, format). A phrase is only sent to ElevenLabs the first time
+ * it is said; later calls play the file.
+ *
+ * - Only phrases that come up again are cached: pinned ones (greetings,
+ *   fillers, scripted replies) straight away, anything else the second time
+ *   it is voiced. One-off AI replies never make it in.
+ * - The least recently used files are removed once the cache grows past
+ *   TTS_CACHE_MAX_MB or TTS_CACHE_MAX_ENTRIES. Pre-warmed phrases (greetings,
+ *   reprompts, apologies) are pinned and never removed.
+ * - Hits and misses are counted for /health.
+ * - The files stay on local disk for the Media Streams bridge; with a remote
+ *   audio storage backend they are uploaded there too, for <Play>.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const audio = require('../utils/audio');
+const audioStorage = require('./audioStorage');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// μ-law WAV header written in front of the cached audio (see audio.mulawToWav)
+const WAV_HEADER_BYTES = 44;
+
+class TtsCache {
+    constructor() {
+        this.entries = null;
+        this.bytes = 0;
+        this.pinned = new Set();
+        // Phrases voiced once but not cached (key -> time), oldest first
+        this.seen = new Map();
+        this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+    }
+
+    /**
+     * Check whether the cache is on
+     */
+    isEnabled() {
+        return config.ttsCache.enabled;
+    }
+
+    /**
+     * Index the files already in the cache directory (cached after the first call)
+     */
+    load() {
+        if (this.entries) return this.entries;
+
+        this.entries = new Map();
+        this.bytes = 0;
+
+        try {
+            fs.mkdirSync(config.ttsCache.dir, { recursive: true });
+
+            fs.readdirSync(config.ttsCache.dir)
+                .filter(file => file.endsWith('.wav'))
+                .forEach(file => {
+                    const stats = fs.statSync(path.join(config.ttsCache.dir, file));
+                    this.entries.set(path.basename(file, '.wav'), { size: stats.size, lastUsed: stats.mtimeMs });
+                    this.bytes += stats.size;
+                });
+
+        } catch (error) {
+            logger.error('Failed to read TTS cache directory', {
+                error: error.message,
+                dir: config.ttsCache.dir
+            });
+        }
+
+        return this.entries;
+    }
+
+    /**
+     * Cache key for a phrase and everything that affects how it sounds
+     */
+    buildKey(parts) {
+        return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+    }
+
+    /**
+     * Path of a cached file on disk
+     */
+    getFilePath(key) {
+        return path.join(config.ttsCache.dir, `${key}.wav`);
+    }
+
+    /**
+     * Key of a cached file in the audio storage (locally, the /audio/cache route)
+     */
+    getStorageKey(key) {
+        return `cache/${key}.wav`;
+    }
+
+    /**
+     * Check whether a phrase is cached, counting the hit or miss
+     */
+    has(key) {
+        if (!this.isEnabled()) return false;
+
+        const entry = this.load().get(key);
+
+        if (!entry) {
+            this.stats.misses++;
+            return false;
+        }
+
+        this.stats.hits++;
+        entry.lastUsed = Date.now();
+        return true;
+    }
+
+    /**
+     * The cached μ-law audio for a phrase, or null (a miss)
+     */
+    async get(key) {
+        if (!this.has(key)) return null;
+
+        try {
+            return (await fs.promises.readFile(this.getFilePath(key))).subarray(WAV_HEADER_BYTES);
+        } catch (error) {
+            // Removed behind our back - forget it and synthesize again
+            logger.warn('Cached speech file is missing', { key, error: error.message });
+            this.remove(key);
+            this.stats.hits--;
+            this.stats.misses++;
+            return null;
+        }
+    }
+
+    /**
+     * Store μ-law audio for a phrase; pinned phrases are never evicted
+     */
+    async put(key, mulawBuffer, pinned = false) {
+        if (!this.isEnabled()) return;
+
+        const entries = this.load();
+        const wav = audio.mulawToWav(mulawBuffer);
+        const filePath = this.getFilePath(key);
+        const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        try {
+            // Written to a temporary file first so Twilio never fetches half a file
+            await fs.promises.writeFile(tempPath, wav);
+            await fs.promises.rename(tempPath, filePath);
+
+            if (!audioStorage.isLocal()) {
+                await audioStorage.put(this.getStorageKey(key), wav);
+            }
+
+        } catch (error) {
+            // Not cached - the phrase is synthesized again next time
+            logger.error('Failed to write TTS cache file', { key, error: error.message });
+            fs.rm(tempPath, { force: true }, () => {});
+            if (!entries.has(key)) {
+                fs.rm(filePath, { force: true }, () => {});
+            }
+            return;
+        }
+
+        this.bytes += wav.length - (entries.get(key)?.size || 0);
+        entries.set(key, { size: wav.length, lastUsed: Date.now() });
+        this.stats.writes++;
+
+        if (pinned) {
+            this.pin(key);
+        }
+
+        this.evict();
+    }
+
+    /**
+     * Whether a phrase that was just voiced should be cached: pinned phrases
+     * always, anything else only once it has been voiced before
+     */
+    shouldCache(key, pinned = false) {
+        if (!this.isEnabled()) return false;
+        if (pinned || this.pinned.has(key)) return true;
+
+        if (this.seen.delete(key)) return true;
+
+        // Remember about as many phrases as the cache holds
+        this.seen.set(key, Date.now());
+        if (this.seen.size > config.ttsCache.maxEntries) {
+            this.seen.delete(this.seen.keys().next().value);
+        }
+
+        return false;
+    }
+
+    /**
+     * Keep a phrase in the cache whatever the size limits
+     */
+    pin(key) {
+        this.pinned.add(key);
+    }
+
+    /**
+     * Delete a cached phrase
+     */
+    remove(key) {
+        const entry = this.load().get(key);
+        if (!entry) return;
+
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+
+        fs.rm(this.getFilePath(key), { force: true }, error => {
+            if (error) {
+                logger.warn('Failed to delete TTS cache file', { key, error: error.message });
+            }
+        });
+    }
+
+    /**
+     * Remove the least recently used phrases until the cache is within its limits
+     * (phrases used in the last AUDIO_FETCH_GRACE_MS may still be being played, so they stay)
+     */
+    evict() {
+        const { maxBytes, maxEntries } = config.ttsCache;
+        const usedBefore = Date.now() - config.audioJanitor.fetchGraceMs;
+        const candidates = Array.from(this.load().entries())
+            .filter(([key, entry]) => !this.pinned.has(key) && entry.lastUsed < usedBefore)
+            .sort(([, a], [, b]) => a.lastUsed - b.lastUsed);
+
+        while ((this.bytes > maxBytes || this.entries.size > maxEntries) && candidates.length > 0) {
+            const [key] = candidates.shift();
+            this.remove(key);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Size and hit rate, for /health
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+
+        return {
+            enabled: this.isEnabled(),
+            entries: this.isEnabled() ? this.load().size : 0,
+            pinned: this.pinned.size,
+            bytes: this.bytes,
+            maxBytes: config.ttsCache.maxBytes,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null
+        };
+    }
+}
+
+module.exports = new TtsCache();
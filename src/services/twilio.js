@@ -4,92 +4,349 @@
  */
 
 const twilio = require('twilio');
+const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
+const elevenLabsService = require('./elevenlabs');
+const { buildPublicUrl, buildWebSocketUrl } = require('../utils/publicUrl');
+
+// Said when the persona doesn't set its own
+const PHRASES = {
+    greeting: 'Hello! I\'m your AI assistant. Please speak after the tone, and I\'ll respond to you.',
+    streamGreeting: 'Hello! I\'m your AI assistant. How can I help you today?',
+    streamNoResponse: 'I didn\'t hear a response. Thank you for calling!',
+    error: 'I\'m sorry, something went wrong. Please try again later.',
+    goodbye: 'Thank you for calling. Goodbye!'
+};
 
 class TwilioService {
     constructor() {
         this.client = twilio(config.twilio.accountSid, config.twilio.authToken);
         this.VoiceResponse = twilio.twiml.VoiceResponse;
+        this.MessagingResponse = twilio.twiml.MessagingResponse;
     }
 
     /**
      * Generate TwiML for initial call greeting
+     * options.disclosure: recording consent notice read before the greeting
+     * options.greeting: the persona's greeting, replacing the built-in one
+     * options.voiceId: the persona's voice, for phrases in the TTS cache
      */
-    generateGreeting() {
+    generateGreeting(baseUrl, options = {}) {
         const twiml = new this.VoiceResponse();
+        const voice = { voiceId: options.voiceId, baseUrl };
         
-        twiml.say({
-            voice: 'alice'
-        }, 'Hello! I\'m your AI assistant. Please speak after the tone, and I\'ll respond to you.');
+        this.sayDisclosure(twiml, options.disclosure, voice);
+        
+        this.sayPhrase(twiml, options.greeting || PHRASES.greeting, voice);
+        
+        // Gather speech or keypad input
+        twiml.gather(this.gatherOptions(baseUrl));
         
-        // Gather speech input
+        // No input - the no-input policy decides what happens next
+        twiml.redirect(buildPublicUrl('/webhook/process-speech', baseUrl));
+        
+        return twiml.toString();
+    }
+
+    /**
+     * Read the recording consent notice, if there is one
+     */
+    sayDisclosure(twiml, disclosure, voice) {
+        if (disclosure) {
+            this.sayPhrase(twiml, disclosure, voice);
+        }
+    }
+
+    /**
+     * The built-in phrases, for pre-warming the TTS cache
+     */
+    getBuiltInPhrases() {
+        return Object.values(PHRASES);
+    }
+
+    /**
+     * Say a fixed phrase in the ElevenLabs voice if it is in the TTS cache
+     * (pre-warmed at startup or said before), otherwise with Twilio's voice
+     * voice: { voiceId, baseUrl, lookupOnly } (see elevenLabsService.findCachedSpeech)
+     */
+    sayPhrase(verb, text, voice = {}) {
+        const cachedUrl = voice.baseUrl && elevenLabsService.findCachedSpeech(text, voice);
+
+        if (cachedUrl) {
+            verb.play(cachedUrl);
+        } else {
+            verb.say({
+                voice: 'alice'
+            }, text);
+        }
+    }
+
+    /**
+     * Build <Gather> attributes for a conversation turn (speech or keypad)
+     */
+    gatherOptions(baseUrl, options = {}) {
+        const gatherOptions = {
+            input: 'speech dtmf',
+            timeout: config.noInput.timeout,
+            speechTimeout: 'auto',
+            finishOnKey: '#',
+            action: buildPublicUrl('/webhook/process-speech', baseUrl),
+            method: 'POST'
+        };
+
+        // The assistant asked for exact digits - give the caller time to type them
+        if (options.keypad) {
+            gatherOptions.timeout = 15;
+
+            if (options.keypad.numDigits) {
+                gatherOptions.numDigits = options.keypad.numDigits;
+            }
+        }
+
+        return gatherOptions;
+    }
+
+    /**
+     * Generate TwiML for an IVR keypad menu
+     */
+    generateMenu(menuId, menu, baseUrl, attempt = 1, notice = null) {
+        const twiml = new this.VoiceResponse();
+        const menuUrl = (nextAttempt) => buildPublicUrl(
+            `/webhook/menu?menu=${encodeURIComponent(menuId)}&attempt=${nextAttempt}`,
+            baseUrl
+        );
+
+        if (notice) {
+            twiml.say({
+                voice: 'alice'
+            }, notice);
+        }
+
+        // Prompt is nested so callers can press a key without waiting for it to finish
         const gather = twiml.gather({
-            input: 'speech',
-            timeout: 10,
+            input: 'dtmf speech',
+            numDigits: 1,
+            timeout: menu.timeout || 6,
             speechTimeout: 'auto',
-            action: 'https://web-production-cb494.up.railway.app/webhook/process-speech',
+            action: menuUrl(attempt),
             method: 'POST'
         });
-        
-        // If no speech detected, prompt again
+
+        gather.say({
+            voice: 'alice'
+        }, menu.prompt);
+
+        // No key pressed - the menu's noInput option (or a reprompt) decides
+        twiml.redirect({ method: 'POST' }, menuUrl(attempt + 1));
+
+        return twiml.toString();
+    }
+
+    /**
+     * Generate TwiML for an IVR "message" option: recorded audio or spoken text,
+     * then back to a menu or hang up
+     */
+    generateMenuMessage(option, baseUrl) {
+        const twiml = new this.VoiceResponse();
+
+        if (option.audioUrl) {
+            twiml.play(option.audioUrl);
+        } else {
+            twiml.say({
+                voice: 'alice'
+            }, option.message);
+        }
+
+        if (option.next) {
+            twiml.redirect({ method: 'POST' }, buildPublicUrl(
+                `/webhook/menu?menu=${encodeURIComponent(option.next)}`,
+                baseUrl
+            ));
+        } else {
+            twiml.hangup();
+        }
+
+        return twiml.toString();
+    }
+
+    /**
+     * Generate TwiML for a warm transfer: announce, then ring the agent(s).
+     * Each agent hears a whisper summary before being bridged; if nobody
+     * answers, the <Dial> action brings the caller back to the AI.
+     */
+    generateWarmTransfer(baseUrl, callSid, announcement = {}, numbers = config.transfer.agentNumbers) {
+        const twiml = new this.VoiceResponse();
+        const query = `callSid=${encodeURIComponent(callSid)}`;
+
+        if (announcement.segments) {
+            this.playSegments(twiml, announcement.segments);
+        } else if (announcement.audioUrl) {
+            twiml.play(announcement.audioUrl);
+        } else if (announcement.text) {
+            twiml.say({
+                voice: 'alice'
+            }, announcement.text);
+        }
+
+        const dial = twiml.dial({
+            action: buildPublicUrl(`/webhook/transfer-complete?${query}`, baseUrl),
+            method: 'POST',
+            timeout: config.transfer.timeout,
+            callerId: config.transfer.callerId
+        });
+
+        numbers.forEach(number => {
+            dial.number({
+                url: buildPublicUrl(`/webhook/transfer-whisper?${query}`, baseUrl),
+                method: 'POST'
+            }, number);
+        });
+
+        return twiml.toString();
+    }
+
+    /**
+     * Generate the whisper the agent hears before being connected
+     */
+    generateWhisper(summary) {
+        const twiml = new this.VoiceResponse();
+
         twiml.say({
             voice: 'alice'
-        }, 'I didn\'t hear anything. Please try speaking again.');
-        
-        twiml.redirect('https://web-production-cb494.up.railway.app/webhook/voice');
-        
+        }, `Incoming transfer from the AI assistant. ${summary}`);
+
+        return twiml.toString();
+    }
+
+    /**
+     * Check whether a Twilio number is opted in to the Media Streams bridge
+     */
+    isStreamingNumber(phoneNumber) {
+        return !!phoneNumber && config.mediaStreams.numbers.includes(phoneNumber);
+    }
+
+    /**
+     * Generate TwiML that connects the call to the Media Streams WebSocket
+     */
+    generateMediaStream(baseUrl, parameters = {}, options = {}) {
+        const twiml = new this.VoiceResponse();
+        const voice = { voiceId: options.voiceId, baseUrl };
+
+        this.sayDisclosure(twiml, options.disclosure, voice);
+
+        this.sayPhrase(twiml, options.greeting || PHRASES.streamGreeting, voice);
+
+        const connect = twiml.connect();
+        const stream = connect.stream({
+            url: buildWebSocketUrl(config.mediaStreams.path, baseUrl)
+        });
+
+        Object.entries(parameters).forEach(([name, value]) => {
+            stream.parameter({ name, value });
+        });
+
+        // <Connect> only returns if the stream drops - fall back to the <Gather> flow
+        twiml.gather(this.gatherOptions(baseUrl));
+
+        this.sayPhrase(twiml, PHRASES.streamNoResponse, voice);
+
+        twiml.hangup();
+
         return twiml.toString();
     }
 
     /**
      * Generate TwiML to play AI response audio
      */
-    generateAudioResponse(audioUrl) {
+    generateAudioResponse(audioUrl, baseUrl, options = {}) {
+        return this.generateSegmentedResponse([{ audioUrl }], baseUrl, options);
+    }
+
+    /**
+     * Generate TwiML to play a reply made of segments ({ audioUrl } or { text }
+     * for Twilio TTS) and gather the caller's next input
+     */
+    generateSegmentedResponse(segments, baseUrl, options = {}) {
         const twiml = new this.VoiceResponse();
         
-        // Play the AI-generated audio
-        twiml.play(audioUrl);
+        // The assistant ended the call - play the reply and hang up
+        if (options.hangup) {
+            this.playSegments(twiml, segments);
+            twiml.hangup();
+            return twiml.toString();
+        }
         
-        // After playing, gather next input
-        const gather = twiml.gather({
-            input: 'speech',
-            timeout: 10,
-            speechTimeout: 'auto',
-            action: 'https://web-production-cb494.up.railway.app/webhook/process-speech',
-            method: 'POST'
-        });
+        // With barge-in the reply plays inside <Gather>, so speech or a key press cuts it off
+        if (config.bargeIn.enabled) {
+            this.playSegments(twiml.gather(this.gatherOptions(baseUrl, options)), segments);
+        } else {
+            this.playSegments(twiml, segments);
+            twiml.gather(this.gatherOptions(baseUrl, options));
+        }
         
-        // If no response, prompt for more input instead of ending
-        twiml.say({
-            voice: 'alice'
-        }, 'I didn\'t hear anything. Please speak again or say goodbye if you\'d like to end the call.');
+        // No input - the no-input policy decides what happens next
+        twiml.redirect(buildPublicUrl('/webhook/process-speech', baseUrl));
+        
+        return twiml.toString();
+    }
+
+    /**
+     * Generate TwiML for part of a streamed reply: play what is ready, then
+     * come back for the next sentences
+     */
+    generateReplySegments(segments, baseUrl) {
+        const twiml = new this.VoiceResponse();
         
-        // Redirect back to continue conversation instead of hanging up
-        twiml.redirect('https://web-production-cb494.up.railway.app/webhook/process-speech');
+        this.playSegments(twiml, segments);
+        twiml.redirect({ method: 'POST' }, buildPublicUrl('/webhook/reply-continue', baseUrl));
         
         return twiml.toString();
     }
 
+    /**
+     * Add <Play> (or <Say> for segments without audio) for each reply segment
+     */
+    playSegments(verb, segments) {
+        segments.forEach(segment => {
+            if (segment.audioUrl) {
+                verb.play(segment.audioUrl);
+            } else {
+                verb.say({
+                    voice: 'alice'
+                }, segment.text);
+            }
+        });
+    }
+
     /**
      * Generate TwiML for conversation continuation
+     * options.voiceId: the persona's voice, for prompts in the TTS cache
      */
-    generateContinueConversation() {
+    generateContinueConversation(baseUrl, prompt = null, options = {}) {
         const twiml = new this.VoiceResponse();
         
+        if (prompt) {
+            this.sayPhrase(twiml, prompt, { voiceId: options.voiceId, baseUrl });
+        }
+        
         // Gather next speech input
-        const gather = twiml.gather({
-            input: 'speech',
-            timeout: 10,
-            speechTimeout: 'auto',
-            action: 'https://web-production-cb494.up.railway.app/webhook/process-speech',
-            method: 'POST'
-        });
+        twiml.gather(this.gatherOptions(baseUrl));
         
-        // If no input, end conversation
-        twiml.say({
-            voice: 'alice'
-        }, 'I didn\'t hear a response. Thank you for calling!');
+        // No input - the no-input policy decides what happens next
+        twiml.redirect(buildPublicUrl('/webhook/process-speech', baseUrl));
+        
+        return twiml.toString();
+    }
+
+    /**
+     * Generate TwiML for error scenarios
+     * voice: { voiceId, baseUrl } to play the message from the TTS cache
+     */
+    generateError(message = PHRASES.error, voice = {}) {
+        const twiml = new this.VoiceResponse();
+        
+        this.sayPhrase(twiml, message, voice);
         
         twiml.hangup();
         
@@ -97,68 +354,121 @@ class TwilioService {
     }
 
     /**
-     * Generate TwiML for error scenarios
+     * Generate TwiML to leave a voicemail and hang up
+     */
+    generateVoicemail(message = {}) {
+        const twiml = new this.VoiceResponse();
+
+        if (message.audioUrl) {
+            twiml.play(message.audioUrl);
+        } else {
+            twiml.say({
+                voice: 'alice'
+            }, message.text);
+        }
+
+        twiml.hangup();
+
+        return twiml.toString();
+    }
+
+    /**
+     * Generate TwiML to hang up without saying anything
      */
-    generateError(message = 'I\'m sorry, something went wrong. Please try again later.') {
+    generateHangup() {
         const twiml = new this.VoiceResponse();
         
-        twiml.say({
-            voice: 'alice'
-        }, message);
+        twiml.hangup();
+        
+        return twiml.toString();
+    }
+
+    /**
+     * Generate TwiML to say goodbye and hang up
+     * voice: { voiceId, baseUrl } to play the message from the TTS cache
+     */
+    generateGoodbye(message = PHRASES.goodbye, voice = {}) {
+        const twiml = new this.VoiceResponse();
+        
+        this.sayPhrase(twiml, message, voice);
         
         twiml.hangup();
         
         return twiml.toString();
     }
 
+    /**
+     * Generate messaging TwiML replying to an inbound SMS (no reply when text is empty)
+     */
+    generateSmsReply(text = null) {
+        const twiml = new this.MessagingResponse();
+        
+        if (text) {
+            twiml.message(text);
+        }
+        
+        return twiml.toString();
+    }
+
     /**
      * Generate TwiML to say text directly (fallback)
      */
-    generateTextResponse(text) {
+    generateTextResponse(text, baseUrl, options = {}) {
         const twiml = new this.VoiceResponse();
         
-        // Say the text directly using Twilio's TTS
-        twiml.say({
-            voice: 'alice'
-        }, text);
-        
-        // Continue conversation
-        const gather = twiml.gather({
-            input: 'speech',
-            timeout: 10,
-            speechTimeout: 'auto',
-            action: '/webhook/process-speech',
-            method: 'POST'
-        });
+        // The assistant ended the call - say the reply and hang up, in the
+        // persona's voice when it is a cached phrase (e.g. the wrap-up message)
+        if (options.hangup) {
+            return this.generateGoodbye(text, { voiceId: options.voiceId, baseUrl, lookupOnly: true });
+        }
         
-        // If no response, prompt for more input
-        twiml.say({
-            voice: 'alice'
-        }, 'Is there anything else I can help you with?');
+        // Say the text directly using Twilio's TTS (inside <Gather> when barge-in is on)
+        if (config.bargeIn.enabled) {
+            twiml.gather(this.gatherOptions(baseUrl, options)).say({
+                voice: 'alice'
+            }, text);
+        } else {
+            twiml.say({
+                voice: 'alice'
+            }, text);
+            twiml.gather(this.gatherOptions(baseUrl, options));
+        }
         
-        // Redirect to continue conversation instead of hanging up
-        twiml.redirect('/webhook/process-speech');
+        // No input - the no-input policy decides what happens next
+        twiml.redirect(buildPublicUrl('/webhook/process-speech', baseUrl));
         
         return twiml.toString();
     }
 
     /**
-     * Make an outbound call (for testing)
+     * Make an outbound call
+     * With answering-machine detection on, Twilio only requests /webhook/voice
+     * once it knows who answered and passes the result as AnsweredBy
      */
-    async makeCall(to, webhookUrl) {
+    async makeCall(to, baseUrl, options = {}) {
+        const machineDetection = options.machineDetection ?? config.amd.enabled;
+
         try {
-            const call = await this.client.calls.create({
-                url: webhookUrl,
+            const callOptions = {
+                url: buildPublicUrl('/webhook/voice', baseUrl),
                 to: to,
                 from: config.twilio.phoneNumber,
-                statusCallback: '/webhook/status',
+                statusCallback: buildPublicUrl('/webhook/status', baseUrl),
                 statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
                 statusCallbackMethod: 'POST'
-            });
+            };
+
+            if (machineDetection) {
+                callOptions.machineDetection = config.amd.mode;
+                callOptions.machineDetectionTimeout = config.amd.timeout;
+            }
+
+            const call = await this.client.calls.create(callOptions);
 
             logger.logCall('outbound_initiated', call.sid, {
                 to,
-                from: config.twilio.phoneNumber
+                from: config.twilio.phoneNumber,
+                machineDetection: machineDetection ? config.amd.mode : false
             });
 
             return call;
@@ -172,6 +482,161 @@ class TwilioService {
         }
     }
 
+    /**
+     * Replace the TwiML of a live call (used by the Media Streams bridge)
+     */
+    async redirectCall(callSid, twiml) {
+        try {
+            const call = await this.client.calls(callSid).update({ twiml });
+
+            logger.logCall('redirected', callSid);
+
+            return call;
+        } catch (error) {
+            logger.error('Failed to redirect call', {
+                error: error.message,
+                callSid
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Send an SMS from our Twilio number
+     */
+    async sendSms(to, body) {
+        try {
+            const message = await this.client.messages.create({
+                to,
+                from: config.twilio.phoneNumber,
+                body
+            });
+
+            logger.info('SMS sent', {
+                messageSid: message.sid,
+                to,
+                length: body.length
+            });
+
+            return message;
+        } catch (error) {
+            logger.error('Failed to send SMS', {
+                error: error.message,
+                code: error.code,
+                to
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Start recording a live call (dual channel: caller and AI on separate tracks)
+     */
+    async startCallRecording(callSid, baseUrl) {
+        try {
+            const recording = await this.client.calls(callSid).recordings.create({
+                recordingChannels: config.recording.channels,
+                recordingStatusCallback: buildPublicUrl('/webhook/recording-status', baseUrl),
+                recordingStatusCallbackEvent: ['in-progress', 'completed', 'absent'],
+                recordingStatusCallbackMethod: 'POST'
+            });
+
+            logger.logCall('recording_started', callSid, {
+                recordingSid: recording.sid,
+                channels: config.recording.channels
+            });
+
+            return recording;
+        } catch (error) {
+            logger.error('Failed to start call recording', {
+                error: error.message,
+                callSid
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Stop the active recording on a live call
+     */
+    async stopCallRecording(callSid) {
+        try {
+            const recording = await this.client.calls(callSid)
+                .recordings('Twilio.CURRENT')
+                .update({ status: 'stopped' });
+
+            logger.logCall('recording_stopped', callSid, {
+                recordingSid: recording.sid
+            });
+
+            return recording;
+        } catch (error) {
+            logger.error('Failed to stop call recording', {
+                error: error.message,
+                callSid
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * List recordings for a call
+     */
+    async listRecordings(callSid) {
+        try {
+            return await this.client.recordings.list({ callSid });
+        } catch (error) {
+            logger.error('Failed to list recordings', {
+                error: error.message,
+                callSid
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Get recording details
+     */
+    async getRecording(recordingSid) {
+        try {
+            return await this.client.recordings(recordingSid).fetch();
+        } catch (error) {
+            logger.error('Failed to fetch recording', {
+                error: error.message,
+                recordingSid
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Download recording audio as a stream (media URLs need account credentials)
+     */
+    async downloadRecording(recordingSid, format = 'mp3') {
+        const url = `https://api.twilio.com/2010-04-01/Accounts/${config.twilio.accountSid}/Recordings/${recordingSid}.${format}`;
+
+        try {
+            const response = await axios.get(url, {
+                auth: {
+                    username: config.twilio.accountSid,
+                    password: config.twilio.authToken
+                },
+                responseType: 'stream'
+            });
+
+            return {
+                stream: response.data,
+                contentType: response.headers['content-type'] || (format === 'wav' ? 'audio/wav' : 'audio/mpeg')
+            };
+        } catch (error) {
+            logger.error('Failed to download recording', {
+                error: error.message,
+                recordingSid
+            });
+            throw error;
+        }
+    }
+
     /**
      * Get call details
      */
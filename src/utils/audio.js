@@ -0,0 +1,146 @@
+/**
+ * Audio Utilities
+ * Helpers for the 8kHz μ-law audio used by Twilio Media Streams
+ */
+
+const SAMPLE_RATE = 8000;
+
+// Twilio sends 20ms frames: 160 μ-law bytes at 8kHz
+const FRAME_BYTES = 160;
+const FRAME_MS = 20;
+
+// Average speaking rate used to estimate how long speech lasts
+const SPEECH_MS_PER_WORD = 400;
+
+/**
+ * Decode a single μ-law byte to a 16-bit linear PCM sample
+ */
+function decodeMulawSample(byte) {
+    const value = ~byte & 0xff;
+    const sign = value & 0x80;
+    const exponent = (value >> 4) & 0x07;
+    const mantissa = value & 0x0f;
+    const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+
+    return sign ? -magnitude : magnitude;
+}
+
+// Lookup table so decoding a frame is a simple indexed read
+const MULAW_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+    MULAW_TABLE[i] = decodeMulawSample(i);
+}
+
+/**
+ * Decode a μ-law buffer to 16-bit little-endian PCM
+ */
+function mulawToPcm16(mulawBuffer) {
+    const pcm = Buffer.alloc(mulawBuffer.length * 2);
+
+    for (let i = 0; i < mulawBuffer.length; i++) {
+        pcm.writeInt16LE(MULAW_TABLE[mulawBuffer[i]], i * 2);
+    }
+
+    return pcm;
+}
+
+/**
+ * Root-mean-square energy of a μ-law buffer (0 - 32767)
+ */
+function mulawEnergy(mulawBuffer) {
+    if (mulawBuffer.length === 0) return 0;
+
+    let sum = 0;
+    for (let i = 0; i < mulawBuffer.length; i++) {
+        const sample = MULAW_TABLE[mulawBuffer[i]];
+        sum += sample * sample;
+    }
+
+    return Math.sqrt(sum / mulawBuffer.length);
+}
+
+/**
+ * Wrap 16-bit mono PCM in a WAV container (for speech-to-text APIs)
+ */
+function pcm16ToWav(pcmBuffer, sampleRate = SAMPLE_RATE) {
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcmBuffer.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);            // PCM chunk size
+    header.writeUInt16LE(1, 20);             // Audio format: PCM
+    header.writeUInt16LE(1, 22);             // Channels: mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate * 2, 28); // Byte rate
+    header.writeUInt16LE(2, 32);             // Block align
+    header.writeUInt16LE(16, 34);            // Bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(pcmBuffer.length, 40);
+
+    return Buffer.concat([header, pcmBuffer]);
+}
+
+/**
+ * Wrap 8kHz μ-law audio in a WAV container (for <Play>, which Twilio plays without transcoding)
+ */
+function mulawToWav(mulawBuffer, sampleRate = SAMPLE_RATE) {
+    const header = Buffer.alloc(44);
+
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + mulawBuffer.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);            // Format chunk size
+    header.writeUInt16LE(7, 20);             // Audio format: μ-law
+    header.writeUInt16LE(1, 22);             // Channels: mono
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate, 28);    // Byte rate
+    header.writeUInt16LE(1, 32);             // Block align
+    header.writeUInt16LE(8, 34);             // Bits per sample
+    header.write('data', 36);
+    header.writeUInt32LE(mulawBuffer.length, 40);
+
+    return Buffer.concat([header, mulawBuffer]);
+}
+
+/**
+ * Split a μ-law buffer into Twilio-sized 20ms frames
+ */
+function splitFrames(mulawBuffer, frameBytes = FRAME_BYTES) {
+    const frames = [];
+
+    for (let offset = 0; offset < mulawBuffer.length; offset += frameBytes) {
+        frames.push(mulawBuffer.subarray(offset, offset + frameBytes));
+    }
+
+    return frames;
+}
+
+/**
+ * Playback length of 8kHz μ-law audio in milliseconds
+ */
+function mulawDurationMs(mulawBuffer) {
+    return mulawBuffer.length / (SAMPLE_RATE / 1000);
+}
+
+/**
+ * Rough time it takes to say some text out loud (~150 words per minute)
+ */
+function estimateSpeechMs(text) {
+    return text.split(/\s+/).filter(Boolean).length * SPEECH_MS_PER_WORD;
+}
+
+module.exports = {
+    SAMPLE_RATE,
+    FRAME_BYTES,
+    FRAME_MS,
+    mulawToPcm16,
+    mulawEnergy,
+    pcm16ToWav,
+    mulawToWav,
+    splitFrames,
+    mulawDurationMs,
+    estimateSpeechMs
+};
@@ -3,38 +3,86 @@
  * Manages conversation sessions and context for each call
  */
 
+const openaiService = require('../services/openai');
+const personaService = require('../services/personas');
+const costTracker = require('../services/costs');
+const audioJanitor = require('../services/audioJanitor');
 const logger = require('./logger');
 const config = require('../config');
 
+// Rough token count for budgeting (~4 characters per token for English text)
+const CHARS_PER_TOKEN = 4;
+
 class ConversationManager {
     constructor() {
         // In-memory storage for conversation sessions
         // In production, this should be replaced with Redis or a database
         this.sessions = new Map();
         
+        // Ended sessions are kept for a while so late webhooks (recording
+        // status, etc.) can still attach data to them
+        this.endedSessions = new Map();
+        
         // Clean up old sessions every 30 minutes
         setInterval(() => {
             this.cleanupOldSessions();
-        }, 30 * 60 * 1000);
+        }, 30 * 60 * 1000).unref();
     }
 
     /**
      * Create a new conversation session
+     * Outbound calls pass what we already know about the callee as initial context
+     * Text conversations use channel 'sms' and are keyed by the sender's number
      */
-    createSession(callSid) {
+    createSession(callSid, initialContext = {}, channel = 'voice') {
         const session = {
             callSid,
+            channel,
             startTime: new Date(),
             lastActivity: new Date(),
+            // Full transcript; only the messages after summary.messageCount are sent to OpenAI
             messages: [],
+            summary: {
+                text: null,
+                messageCount: 0,
+                updatedAt: null,
+                pending: false
+            },
             context: {
                 userName: null,
                 topic: null,
-                mood: 'neutral'
+                mood: 'neutral',
+                ...initialContext
+            },
+            callerNumber: null,
+            // Persona id: picks the prompts, voice, LLM provider chain and SMS template (null = default).
+            // The session keeps the definition it started with, even if the file is reloaded.
+            persona: null,
+            personaVersion: null,
+            personaDefinition: null,
+            // Knowledge base passages retrieved for the current turn
+            knowledge: [],
+            // Guardrail triggers, for review: { stage, check, categories, action, text, at }
+            guardrails: [],
+            // What the session has cost so far (see src/services/costs.js)
+            costs: costTracker.createLedger(),
+            transfer: null,
+            amd: null,
+            recording: null,
+            pendingSms: [],
+            followUp: null,
+            playback: null,
+            noInput: {
+                consecutive: 0,
+                total: 0,
+                maxConsecutive: 0,
+                offer: null,
+                outcome: null
             },
             metadata: {
                 totalMessages: 0,
                 averageResponseTime: 0,
+                timeToFirstAudio: [],
                 errors: 0
             }
         };
@@ -60,6 +108,36 @@ class ConversationManager {
         return session;
     }
 
+    /**
+     * Get the text conversation for a phone number
+     * Texting is asynchronous, so a thread stays open for SMS_SESSION_TIMEOUT_HOURS
+     * of silence before the next message starts a fresh conversation
+     */
+    getTextSession(phoneNumber) {
+        const session = this.sessions.get(phoneNumber);
+
+        if (session && session.lastActivity < this.getExpiryCutoff(session)) {
+            this.endSession(phoneNumber);
+        } else if (session) {
+            session.lastActivity = new Date();
+            return session;
+        }
+
+        const textSession = this.createSession(phoneNumber, {}, 'sms');
+        textSession.callerNumber = phoneNumber;
+
+        return textSession;
+    }
+
+    /**
+     * Sessions idle since before this time have expired
+     * (calls after an hour, text threads after SMS_SESSION_TIMEOUT_HOURS)
+     */
+    getExpiryCutoff(session) {
+        const timeoutHours = session.channel === 'sms' ? config.sms.sessionTimeoutHours : 1;
+        return new Date(Date.now() - timeoutHours * 60 * 60 * 1000);
+    }
+
     /**
      * Add message to conversation history
      */
@@ -67,7 +145,7 @@ class ConversationManager {
         const session = this.getSession(callSid);
         
         const message = {
-            role, // 'user' or 'assistant'
+            role, // 'user', 'assistant' or 'tool'
             content,
             timestamp: new Date(),
             metadata
@@ -77,20 +155,93 @@ class ConversationManager {
         session.metadata.totalMessages++;
         session.lastActivity = new Date();
 
-        // Keep only the last N messages to manage memory and context
-        if (session.messages.length > config.app.maxConversationLength) {
-            session.messages = session.messages.slice(-config.app.maxConversationLength);
-        }
-
         logger.logConversation('message_added', callSid, content, {
             role,
             messageCount: session.messages.length,
             ...metadata
         });
 
+        this.summarizeIfNeeded(session);
+
         return message;
     }
 
+    /**
+     * Rough token count of a message as it is sent to OpenAI
+     */
+    estimateTokens(message) {
+        return Math.ceil(this.formatMessage(message).content.length / CHARS_PER_TOKEN);
+    }
+
+    /**
+     * Messages not yet covered by the summary
+     * If summarizing falls behind (or fails), the oldest are left out once
+     * they pass twice the token budget so the prompt cannot grow unbounded
+     */
+    getRecentMessages(session) {
+        const recent = session.messages.slice(session.summary.messageCount);
+        const limit = config.history.tokenBudget * 2;
+
+        let tokens = 0;
+        let start = recent.length;
+        while (start > 0 && tokens + this.estimateTokens(recent[start - 1]) <= limit) {
+            tokens += this.estimateTokens(recent[start - 1]);
+            start--;
+        }
+
+        // Always keep the latest message, however long
+        return recent.slice(Math.min(start, recent.length - 1));
+    }
+
+    /**
+     * Fold the oldest messages into the running summary once the recent ones
+     * exceed the token budget. Runs in the background; until it finishes the
+     * messages are still sent in full.
+     */
+    summarizeIfNeeded(session) {
+        const summary = session.summary;
+        if (summary.pending) return;
+
+        const recent = session.messages.slice(summary.messageCount);
+        let remaining = recent.reduce((total, msg) => total + this.estimateTokens(msg), 0);
+        if (remaining <= config.history.tokenBudget) return;
+
+        // Fold until what's left fits in half the budget, so this runs every
+        // few turns rather than on every message
+        let count = 0;
+        while (count < recent.length - 1 && remaining > config.history.tokenBudget / 2) {
+            remaining -= this.estimateTokens(recent[count]);
+            count++;
+        }
+
+        summary.pending = true;
+
+        openaiService.generateConversationSummary(
+            summary.text,
+            recent.slice(0, count).map(msg => this.formatMessage(msg, false)),
+            config.history.summaryMaxTokens
+        )
+            .then(text => {
+                summary.text = text;
+                summary.messageCount += count;
+                summary.updatedAt = new Date();
+
+                logger.logConversation('summary_updated', session.callSid, text, {
+                    summarizedMessages: summary.messageCount,
+                    recentTokens: remaining
+                });
+            })
+            .catch(error => {
+                logger.warn('Conversation summary failed, keeping messages in full', {
+                    error: error.message,
+                    callSid: session.callSid
+                });
+            })
+            .finally(() => {
+                summary.pending = false;
+            });
+    }
+
     /**
      * Get conversation history for OpenAI
      */
@@ -103,27 +254,100 @@ class ConversationManager {
             content: this.getSystemPrompt(session)
         };
 
-        const conversationMessages = session.messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-        }));
+        const conversationMessages = this.getRecentMessages(session).map(msg => this.formatMessage(msg));
 
         return [systemMessage, ...conversationMessages];
     }
 
     /**
-     * Generate system prompt based on conversation context
+     * Assign a persona to the conversation, recording the version in use
+     */
+    setPersona(callSid, persona) {
+        const session = this.getSession(callSid);
+
+        session.persona = persona.id;
+        session.personaVersion = persona.version;
+        session.personaDefinition = persona;
+
+        logger.logConversation('persona_assigned', callSid, persona.id, { version: persona.version });
+    }
+
+    /**
+     * The persona a conversation runs as (the default persona until one is assigned)
+     */
+    getPersona(session) {
+        return session.personaDefinition || personaService.get('default');
+    }
+
+    /**
+     * Set the knowledge base passages the next reply should draw on
+     */
+    setKnowledge(callSid, passages) {
+        this.getSession(callSid).knowledge = passages;
+    }
+
+    /**
+     * Format a stored message for OpenAI
+     * Tool calls from earlier turns are replayed as notes so the model remembers their results
+     */
+    formatMessage(msg, replayTools = true) {
+        return {
+            role: msg.role === 'tool' && replayTools ? 'system' : msg.role,
+            content: msg.metadata.interrupted
+                ? `${msg.metadata.heardText}... (the caller interrupted you here and did not hear the rest)`
+                : msg.content
+        };
+    }
+
+    /**
+     * Generate system prompt based on conversation context, followed by
+     * knowledge base passages for this turn and the summary of any older messages
      */
     getSystemPrompt(session) {
-        const basePrompt = `You are a helpful AI assistant speaking with someone over the phone. 
+        let prompt = session.channel === 'sms'
+            ? this.getTextSystemPrompt(session)
+            : this.getCallSystemPrompt(session);
+
+        if (session.knowledge.length > 0) {
+            const passages = session.knowledge
+                .map(passage => `[${passage.source}] ${passage.text}`)
+                .join('\n\n');
+
+            prompt += `
 
-Key guidelines:
-- Keep responses conversational and natural
-- Responses should be 1-3 sentences maximum
-- Speak as if you're having a phone conversation
-- Be friendly, helpful, and engaging
-- If asked about your capabilities, mention you can help with questions, provide information, and have conversations
-- If the conversation seems to be ending, politely wrap up
+Reference information from our knowledge base. Use it for questions about the business (hours, prices, policies...); if the answer isn't here, say you're not sure rather than guessing:
+${passages}`;
+        }
+
+        if (session.summary.text) {
+            prompt += `
+
+Summary of the earlier conversation (these messages are no longer shown):
+${session.summary.text}`;
+        }
+
+        return prompt;
+    }
+
+    /**
+     * System prompt for phone calls
+     */
+    getCallSystemPrompt(session) {
+        let guidelines = '\n- If you need exact digits (account number, PIN, order number), ask the caller to type them on their keypad followed by the pound key, and end your reply with [KEYPAD] (or [KEYPAD:n] when you need exactly n digits)';
+
+        if (config.transfer.agentNumbers.length > 0 && !session.transfer) {
+            guidelines += '\n- If the caller asks for a person, or you cannot help them, tell them you will connect them with a member of the team and end your reply with [TRANSFER]';
+        }
+
+        if (session.transfer?.status === 'unavailable') {
+            guidelines += '\n- A transfer to a person failed because nobody was available. Take a message: get the caller\'s name, callback number and message, then read it back to confirm';
+        }
+
+        if (config.sms.followUpEnabled) {
+            guidelines += '\n- If you promise to text the caller something (an address, a link, a confirmation number), end your reply with [SMS: the exact text to send]';
+        }
+
+        const basePrompt = `${this.getPersona(session).prompts.call}${guidelines}
 
 Current conversation context:
 - Call started: ${session.startTime.toLocaleTimeString()}
@@ -141,6 +365,120 @@ Current conversation context:
         return basePrompt;
     }
 
+    /**
+     * System prompt for text message conversations
+     */
+    getTextSystemPrompt(session) {
+        let prompt = `${this.getPersona(session).prompts.sms}
+
+Current conversation context:
+- Conversation started: ${session.startTime.toLocaleString()}
+- Messages exchanged: ${session.metadata.totalMessages}`;
+
+        if (session.context.userName) {
+            prompt += `\n- Customer's name: ${session.context.userName}`;
+        }
+
+        if (session.context.topic) {
+            prompt += `\n- Current topic: ${session.context.topic}`;
+        }
+
+        return prompt;
+    }
+
+    /**
+     * Count a turn where the caller said nothing
+     */
+    recordNoInput(callSid) {
+        const noInput = this.getSession(callSid).noInput;
+
+        noInput.consecutive++;
+        noInput.total++;
+        noInput.maxConsecutive = Math.max(noInput.maxConsecutive, noInput.consecutive);
+
+        logger.logConversation('no_input', callSid, 'Caller said nothing', {
+            consecutive: noInput.consecutive,
+            total: noInput.total
+        });
+
+        return noInput;
+    }
+
+    /**
+     * The caller responded - clear the silent streak, noting how it ended
+     */
+    resetNoInput(callSid, outcome = 'resumed') {
+        const noInput = this.getSession(callSid).noInput;
+
+        if (noInput.consecutive > 0) {
+            noInput.outcome = outcome;
+        }
+
+        noInput.consecutive = 0;
+        noInput.offer = null;
+    }
+
+    /**
+     * Note that the caller is now hearing an assistant reply
+     */
+    startPlayback(callSid, text, durationMs, elapsedMs = 0) {
+        const session = this.getSession(callSid);
+
+        session.playback = {
+            message: this.findReply(session, text),
+            durationMs,
+            // Streamed replies may already be partly played by the time they are complete
+            startedAt: Date.now() - elapsedMs
+        };
+    }
+
+    /**
+     * Playback ended after heardMs (Infinity when it played to the end)
+     * If the caller cut it off, record on the reply how much of it they heard
+     */
+    stopPlayback(callSid, heardMs = Infinity) {
+        const session = this.getSession(callSid);
+        const playback = session.playback;
+        session.playback = null;
+
+        if (!playback?.message || heardMs >= playback.durationMs) {
+            return null;
+        }
+
+        return this.markInterrupted(callSid, playback.message, heardMs, playback.durationMs);
+    }
+
+    /**
+     * Find the latest assistant message with this text
+     */
+    findReply(session, text) {
+        const message = [...session.messages].reverse().find(msg => msg.role === 'assistant');
+        return message?.content === text ? message : null;
+    }
+
+    /**
+     * Record on a reply that the caller only heard the first heardMs of it
+     */
+    markInterrupted(callSid, message, heardMs, durationMs) {
+        const words = message.content.split(/\s+/);
+        const heardWords = Math.min(words.length, Math.round(words.length * Math.max(0, heardMs) / durationMs));
+        const heardText = words.slice(0, heardWords).join(' ');
+
+        Object.assign(message.metadata, {
+            interrupted: true,
+            heardText,
+            heardMs: Math.max(0, Math.round(heardMs)),
+            playbackMs: Math.round(durationMs)
+        });
+
+        logger.logConversation('barge_in', callSid, heardText, {
+            heardWords,
+            totalWords: words.length
+        });
+
+        return message;
+    }
+
     /**
      * Update conversation context
      */
@@ -173,6 +511,21 @@ Current conversation context:
         });
     }
 
+    /**
+     * Record how long the caller waited for the first audio of a reply
+     */
+    recordTimeToFirstAudio(callSid, timeToFirstAudio) {
+        const session = this.getSession(callSid);
+
+        session.metadata.timeToFirstAudio.push(timeToFirstAudio);
+
+        logger.debug('Time to first audio recorded', {
+            callSid,
+            timeToFirstAudio: `${timeToFirstAudio}ms`,
+            turn: session.metadata.timeToFirstAudio.length
+        });
+    }
+
     /**
      * Record error for analytics
      */
@@ -205,24 +558,50 @@ Current conversation context:
                 errors: session.metadata.errors
             });
             
+            session.endTime = new Date();
             this.sessions.delete(callSid);
+            this.endedSessions.set(callSid, session);
+
+            // The call's audio isn't needed any more (archived if the call was recorded)
+            audioJanitor.releaseCall(session);
         }
     }
 
     /**
-     * Clean up old sessions (older than 1 hour)
+     * Check whether a call still has an active session
+     */
+    isActive(callSid) {
+        return this.sessions.has(callSid);
+    }
+
+    /**
+     * Find an active or recently ended session without creating one
+     */
+    findSession(callSid) {
+        return this.sessions.get(callSid) || this.endedSessions.get(callSid) || null;
+    }
+
+    /**
+     * Clean up old sessions (calls idle for an hour, text threads after their longer timeout)
      */
     cleanupOldSessions() {
         const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
         let cleanedCount = 0;
 
         for (const [callSid, session] of this.sessions.entries()) {
-            if (session.lastActivity < oneHourAgo) {
+            if (session.lastActivity < this.getExpiryCutoff(session)) {
                 this.sessions.delete(callSid);
+                audioJanitor.releaseCall(session);
                 cleanedCount++;
             }
         }
 
+        for (const [callSid, session] of this.endedSessions.entries()) {
+            if (session.endTime < oneHourAgo) {
+                this.endedSessions.delete(callSid);
+            }
+        }
+
         if (cleanedCount > 0) {
             logger.info(`Cleaned up ${cleanedCount} old conversation sessions`);
         }
@@ -242,14 +621,29 @@ Current conversation context:
         
         return {
             callSid,
+            channel: session.channel,
+            persona: session.persona,
+            personaVersion: session.personaVersion,
             duration: Math.round(duration / 1000),
             totalMessages: session.metadata.totalMessages,
             averageResponseTime: Math.round(session.metadata.averageResponseTime),
+            averageTimeToFirstAudio: this.average(session.metadata.timeToFirstAudio),
             errors: session.metadata.errors,
+            summarizedMessages: session.summary.messageCount,
+            guardrails: session.guardrails,
+            costs: costTracker.summarize(session),
             lastActivity: session.lastActivity
         };
     }
 
+    /**
+     * Rounded mean of a list of numbers (null when empty)
+     */
+    average(values) {
+        if (values.length === 0) return null;
+        return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+    }
+
     /**
      * Get all active sessions (for monitoring)
      */
@@ -0,0 +1,126 @@
+/**
+ * IVR Menu Definitions
+ * Loads and validates the declarative keypad menu (see src/config/ivr-menu.json)
+ *
+ * Each option maps a key to an action:
+ * - conversation: hand the caller to the AI assistant
+ * - menu:         go to another menu ({ "menu": "billing" })
+ * - message:      play a recorded message ({ "audioUrl": "..." }) or say text ({ "message": "..." }),
+ *                 then go to "next" menu or hang up
+ * - transfer:     warm transfer to a person ({ "number": "+1..." }, defaults to TRANSFER_AGENT_NUMBERS)
+ */
+
+const fs = require('fs');
+const logger = require('./logger');
+const config = require('../config');
+
+const ACTIONS = ['conversation', 'menu', 'message', 'transfer'];
+
+class IvrMenu {
+    constructor() {
+        this.definition = null;
+    }
+
+    /**
+     * Load the menu definition from disk (cached after the first call)
+     */
+    load(menuPath = config.ivr.menuPath) {
+        if (this.definition) return this.definition;
+
+        try {
+            const definition = JSON.parse(fs.readFileSync(menuPath, 'utf8'));
+            this.validate(definition);
+            this.definition = definition;
+
+            logger.info('IVR menu loaded', {
+                path: menuPath,
+                menus: Object.keys(definition.menus)
+            });
+
+            return definition;
+
+        } catch (error) {
+            logger.error('Failed to load IVR menu', {
+                error: error.message,
+                path: menuPath
+            });
+
+            throw new Error(`Failed to load IVR menu: ${error.message}`);
+        }
+    }
+
+    /**
+     * Check that every menu and option is well formed
+     */
+    validate(definition) {
+        const problems = [];
+        const menus = definition.menus || {};
+
+        if (!menus[definition.start]) {
+            problems.push(`start menu "${definition.start}" is not defined`);
+        }
+
+        Object.entries(menus).forEach(([menuId, menu]) => {
+            if (!menu.prompt) {
+                problems.push(`menu "${menuId}" has no prompt`);
+            }
+
+            const entries = Object.entries(menu.options || {});
+            if (menu.noInput) entries.push(['noInput', menu.noInput]);
+
+            entries.forEach(([key, option]) => {
+                const label = `menu "${menuId}" option "${key}"`;
+
+                if (!ACTIONS.includes(option.action)) {
+                    problems.push(`${label} has unknown action "${option.action}"`);
+                }
+                if (option.action === 'menu' && !menus[option.menu]) {
+                    problems.push(`${label} points to unknown menu "${option.menu}"`);
+                }
+                if (option.action === 'message' && !option.message && !option.audioUrl) {
+                    problems.push(`${label} needs a message or audioUrl`);
+                }
+                if (option.next && !menus[option.next]) {
+                    problems.push(`${label} has unknown next menu "${option.next}"`);
+                }
+            });
+        });
+
+        if (problems.length > 0) {
+            throw new Error(problems.join('; '));
+        }
+
+        return true;
+    }
+
+    /**
+     * Get the first menu callers hear
+     */
+    getStartMenuId() {
+        return this.load().start;
+    }
+
+    /**
+     * Get a menu by id
+     */
+    getMenu(menuId) {
+        return this.load().menus[menuId] || null;
+    }
+
+    /**
+     * Resolve the option for a key press (or no input) on a menu
+     */
+    resolveOption(menuId, digits) {
+        const menu = this.getMenu(menuId);
+        if (!menu) return null;
+
+        if (!digits) {
+            return menu.noInput || null;
+        }
+
+        return (menu.options || {})[digits] || null;
+    }
+}
+
+// Export singleton instance
+module.exports = new IvrMenu();
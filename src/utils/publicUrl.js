@@ -0,0 +1,88 @@
+/**
+ * Public URL Resolver
+ * Single source of truth for the externally reachable base URL that Twilio
+ * uses for TwiML actions, redirects, status callbacks and audio files
+ */
+
+const config = require('../config');
+
+/**
+ * Origin of the incoming request, honouring proxy headers
+ * (Railway, ngrok and most load balancers terminate TLS in front of us)
+ */
+function getRequestOrigin(req) {
+    const forwardedProto = req.get('X-Forwarded-Proto');
+    const forwardedHost = req.get('X-Forwarded-Host');
+
+    const protocol = forwardedProto ? forwardedProto.split(',')[0].trim() : req.protocol;
+    const host = forwardedHost ? forwardedHost.split(',')[0].trim() : req.get('Host');
+
+    return `${protocol}://${host}`;
+}
+
+/**
+ * Origin of a raw WebSocket upgrade request (no Express helpers), given as the
+ * http(s) origin so it can be used like getRequestOrigin()
+ */
+function getUpgradeOrigin(req) {
+    const forwardedProto = req.headers['x-forwarded-proto'];
+    const forwardedHost = req.headers['x-forwarded-host'];
+
+    const secure = forwardedProto
+        ? ['https', 'wss'].includes(forwardedProto.split(',')[0].trim())
+        : !!req.socket?.encrypted;
+    const host = forwardedHost ? forwardedHost.split(',')[0].trim() : req.headers.host;
+
+    return `${secure ? 'https' : 'http'}://${host}`;
+}
+
+/**
+ * Resolve the public base URL (no trailing slash)
+ * Priority: PUBLIC_BASE_URL -> forwarded/host headers of the request -> TWILIO_WEBHOOK_URL origin
+ */
+function getPublicBaseUrl(req = null) {
+    if (config.server.publicBaseUrl) {
+        return config.server.publicBaseUrl.replace(/\/+$/, '');
+    }
+
+    if (req && req.get('Host')) {
+        return getRequestOrigin(req);
+    }
+
+    return new URL(config.twilio.webhookUrl).origin;
+}
+
+/**
+ * Resolve the public base URL for a WebSocket upgrade request
+ * Priority: PUBLIC_BASE_URL -> forwarded/host headers of the upgrade
+ */
+function getUpgradeBaseUrl(req) {
+    if (config.server.publicBaseUrl) {
+        return getPublicBaseUrl();
+    }
+
+    return getUpgradeOrigin(req);
+}
+
+/**
+ * Build an absolute URL for a path on this server
+ */
+function buildPublicUrl(path, baseUrl = getPublicBaseUrl()) {
+    return `${baseUrl}${path.startsWith('/') ? path : `/${path}`}`;
+}
+
+/**
+ * Build the WebSocket (ws/wss) URL for a path on this server
+ */
+function buildWebSocketUrl(path, baseUrl = getPublicBaseUrl()) {
+    return buildPublicUrl(path, baseUrl).replace(/^http/, 'ws');
+}
+
+module.exports = {
+    getRequestOrigin,
+    getUpgradeOrigin,
+    getPublicBaseUrl,
+    getUpgradeBaseUrl,
+    buildPublicUrl,
+    buildWebSocketUrl
+};
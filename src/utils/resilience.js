@@ -0,0 +1,287 @@
+/**
+ * Resilience Policy
+ * Shared timeout, retry and circuit-breaker handling for outbound API calls
+ * (LLM providers, ElevenLabs, OpenAI audio/embeddings).
+ *
+ * - Deadlines: a conversation turn runs inside withDeadline(RESPONSE_TIMEOUT),
+ *   and every call made during it gets at most the time left in the turn, so
+ *   a hung API can't push the webhook past Twilio's timeout. Streamed replies
+ *   release the deadline once their first sentence is playing.
+ * - Retries: timeouts, network errors, 429 and 5xx are retried with jittered
+ *   exponential backoff while there is time left.
+ * - Circuit breakers: one per service. After CIRCUIT_BREAKER_THRESHOLD
+ *   consecutive failures calls fail fast for CIRCUIT_BREAKER_RESET_MS, then a
+ *   single trial call decides whether the breaker closes again.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const logger = require('./logger');
+const config = require('../config');
+
+// Network errors worth another attempt
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ECONNABORTED', 'TIMEOUT'];
+
+/**
+ * HTTP status of an API error (OpenAI SDK, axios or plain)
+ */
+function getStatus(error) {
+    return error.status || error.response?.status || null;
+}
+
+/**
+ * Provider-side failures: worth retrying, and counted by the circuit breaker
+ */
+function isRetryable(error) {
+    const status = getStatus(error);
+
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    // The OpenAI SDK reports network failures as "Connection error."
+    return RETRYABLE_CODES.includes(error.code) || /connection error|socket hang up/i.test(error.message);
+}
+
+class CircuitBreaker {
+    constructor(name) {
+        this.name = name;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.lastError = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Throw if calls are currently blocked; lets a single trial call through once the reset time has passed
+     */
+    check() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= config.resilience.breakerResetMs) {
+            this.state = 'half-open';
+            this.trialInFlight = false;
+        }
+
+        if (this.state === 'closed') return;
+
+        if (this.state === 'half-open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return;
+        }
+
+        const error = new Error(`${this.name} circuit breaker is open`);
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
+    }
+
+    /**
+     * A call went through - close the breaker
+     */
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            logger.info('Circuit breaker closed', { service: this.name });
+        }
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * A call failed on the provider's side - open the breaker after too many in a row
+     */
+    recordFailure(error) {
+        this.failures++;
+        this.lastError = error.message;
+
+        if (this.state === 'half-open' || this.failures >= config.resilience.breakerThreshold) {
+            if (this.state !== 'open') {
+                logger.warn('Circuit breaker opened', {
+                    service: this.name,
+                    failures: this.failures,
+                    error: error.message
+                });
+            }
+
+            this.state = 'open';
+            this.openedAt = Date.now();
+            this.trialInFlight = false;
+        }
+    }
+
+    /**
+     * State for /health
+     */
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+class ResiliencePolicy {
+    constructor() {
+        this.breakers = new Map();
+        this.deadlines = new AsyncLocalStorage();
+    }
+
+    /**
+     * Run fn with a deadline that every call() made inside it respects
+     */
+    withDeadline(budgetMs, fn) {
+        return this.deadlines.run({ expiresAt: Date.now() + budgetMs }, fn);
+    }
+
+    /**
+     * Lift the current deadline once the caller has been answered (e.g. the
+     * first sentence of a streamed reply is playing): the rest of the turn's
+     * calls no longer have to fit in the webhook's budget
+     */
+    releaseDeadline() {
+        const deadline = this.deadlines.getStore();
+        if (deadline) {
+            deadline.expiresAt = Infinity;
+        }
+    }
+
+    /**
+     * Milliseconds left before the current deadline (Infinity outside one)
+     */
+    getRemainingMs(deadline = this.deadlines.getStore()) {
+        return deadline ? deadline.expiresAt - Date.now() : Infinity;
+    }
+
+    /**
+     * Get (or create) the circuit breaker for a service
+     */
+    getBreaker(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(name));
+        }
+
+        return this.breakers.get(name);
+    }
+
+    /**
+     * Breaker state per service, for /health
+     */
+    getBreakerStates() {
+        return Object.fromEntries(
+            Array.from(this.breakers.entries()).map(([name, breaker]) => [name, breaker.getState()])
+        );
+    }
+
+    /**
+     * Backoff before retry number `attempt` (0-based): exponential, with a
+     * random delay between half and all of it so retries don't arrive together
+     */
+    getRetryDelay(attempt) {
+        const ceiling = Math.min(config.resilience.retryMaxMs, config.resilience.retryBaseMs * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    /**
+     * Call an outbound API through the breaker for `name`, with a timeout per
+     * attempt and retries for provider-side failures.
+     *
+     * fn(attempt) makes one attempt and should pass attempt.signal (and
+     * attempt.timeoutMs) on to the request. Streaming calls can call
+     * attempt.extend() as data arrives: the timeout then limits the wait for
+     * the next piece of data rather than the whole response.
+     *
+     * options: { timeoutMs, retries, canRetry(error) }
+     */
+    async call(name, fn, options = {}) {
+        const breaker = this.getBreaker(name);
+        const retries = options.retries ?? config.resilience.retries;
+        const canRetry = options.canRetry || (() => true);
+
+        const idleTimeoutMs = options.timeoutMs || config.resilience.timeoutMs;
+
+        // Held on to so extend() - called from stream callbacks - still sees
+        // this turn's deadline, including a releaseDeadline()
+        const deadline = this.deadlines.getStore();
+
+        for (let attempt = 0; ; attempt++) {
+            const remainingMs = this.getRemainingMs(deadline);
+            if (remainingMs <= 0) {
+                const error = new Error(`No time left in the turn for ${name}`);
+                error.code = 'DEADLINE_EXCEEDED';
+                throw error;
+            }
+
+            breaker.check();
+
+            const controller = new AbortController();
+            let timer;
+            let rejectTimeout;
+            const timedOut = new Promise((resolve, reject) => {
+                rejectTimeout = reject;
+            });
+
+            const arm = (ms) => {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                    const error = new Error(`${name} timed out after ${ms}ms`);
+                    error.code = 'TIMEOUT';
+                    controller.abort();
+                    rejectTimeout(error);
+                }, ms);
+            };
+
+            const timeoutMs = Math.min(idleTimeoutMs, remainingMs);
+            arm(timeoutMs);
+
+            const attemptContext = {
+                number: attempt + 1,
+                signal: controller.signal,
+                timeoutMs,
+                // Data arriving never buys time past the turn's deadline
+                extend: () => arm(Math.min(idleTimeoutMs, Math.max(0, this.getRemainingMs(deadline))))
+            };
+
+            try {
+                const result = await Promise.race([fn(attemptContext), timedOut]);
+                breaker.recordSuccess();
+                return result;
+
+            } catch (error) {
+                const retryable = isRetryable(error);
+
+                if (retryable) {
+                    breaker.recordFailure(error);
+                } else if (breaker.state === 'half-open') {
+                    // The trial reached the service - it is up, even if it didn't like the request
+                    breaker.recordSuccess();
+                }
+
+                const delay = this.getRetryDelay(attempt);
+                const willRetry = retryable &&
+                    attempt < retries &&
+                    breaker.state === 'closed' &&
+                    canRetry(error) &&
+                    delay < this.getRemainingMs(deadline);
+
+                if (!willRetry) throw error;
+
+                logger.warn('Retrying API call', {
+                    service: name,
+                    attempt: attempt + 1,
+                    delay,
+                    error: error.message,
+                    status: getStatus(error) || undefined
+                });
+
+                await new Promise(resolve => setTimeout(resolve, delay));
+
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    }
+}
+
+module.exports = new ResiliencePolicy();
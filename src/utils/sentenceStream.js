@@ -0,0 +1,141 @@
+/**
+ * Sentence Streaming
+ * Turns streamed LLM output into speakable sentences as soon as each one is complete
+ */
+
+// Shorter sentences are merged with the next one to avoid choppy audio
+const MIN_SENTENCE_CHARS = 20;
+
+// JSON string escapes that map to a single character
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Pulls the "reply" string out of a streamed structured-output turn
+ * ({"reply": "...", "mood": ...}) while it is still being generated.
+ * Output that isn't a JSON object is passed through as plain text.
+ */
+class ReplyTextExtractor {
+    constructor(field = 'reply') {
+        this.field = field;
+        this.buffer = '';
+        this.position = 0;
+        this.state = 'start';
+    }
+
+    /**
+     * Feed a chunk of model output, get back any newly decoded reply text
+     */
+    push(chunk) {
+        this.buffer += chunk;
+        let text = '';
+
+        if (this.state === 'start') {
+            const trimmed = this.buffer.trimStart();
+            if (!trimmed) return '';
+
+            if (trimmed[0] !== '{') {
+                this.state = 'plain';
+            } else {
+                this.state = 'key';
+            }
+        }
+
+        if (this.state === 'plain') {
+            text = this.buffer.slice(this.position);
+            this.position = this.buffer.length;
+            return text;
+        }
+
+        if (this.state === 'key') {
+            const match = this.buffer.match(new RegExp(`"${this.field}"\\s*:\\s*"`));
+            if (!match) return '';
+
+            this.position = match.index + match[0].length;
+            this.state = 'value';
+        }
+
+        while (this.state === 'value' && this.position < this.buffer.length) {
+            const char = this.buffer[this.position];
+
+            if (char === '"') {
+                this.state = 'done';
+            } else if (char !== '\\') {
+                text += char;
+                this.position++;
+                continue;
+            } else {
+                // Escape sequence - wait for the rest of it if it was split across chunks
+                const next = this.buffer[this.position + 1];
+                if (next === undefined) break;
+
+                if (next === 'u') {
+                    const hex = this.buffer.slice(this.position + 2, this.position + 6);
+                    if (hex.length < 4) break;
+
+                    text += String.fromCharCode(parseInt(hex, 16));
+                    this.position += 6;
+                } else {
+                    text += ESCAPES[next] ?? next;
+                    this.position += 2;
+                }
+            }
+        }
+
+        return text;
+    }
+}
+
+/**
+ * Splits streamed text into sentences. Text inside [brackets] is never split
+ * so control markers like [SMS: ...] reach the caller's code in one piece.
+ */
+class SentenceSplitter {
+    constructor(minChars = MIN_SENTENCE_CHARS) {
+        this.minChars = minChars;
+        this.buffer = '';
+    }
+
+    /**
+     * Add text, get back the sentences it completed
+     */
+    push(text) {
+        this.buffer += text;
+
+        const sentences = [];
+        let depth = 0;
+        let start = 0;
+
+        for (let i = 0; i < this.buffer.length; i++) {
+            const char = this.buffer[i];
+
+            if (char === '[') depth++;
+            if (char === ']') depth = Math.max(0, depth - 1);
+
+            const endsSentence = depth === 0 &&
+                /[.!?]/.test(char) &&
+                /\s/.test(this.buffer[i + 1] || '');
+
+            if (endsSentence && i + 1 - start >= this.minChars) {
+                sentences.push(this.buffer.slice(start, i + 1).trim());
+                start = i + 1;
+            }
+        }
+
+        this.buffer = this.buffer.slice(start);
+        return sentences;
+    }
+
+    /**
+     * Whatever is left once the stream has ended
+     */
+    flush() {
+        const rest = this.buffer.trim();
+        this.buffer = '';
+        return rest ? [rest] : [];
+    }
+}
+
+module.exports = {
+    ReplyTextExtractor,
+    SentenceSplitter
+};
@@ -0,0 +1,104 @@
+/**
+ * SMS Opt-Out List
+ * Numbers that replied STOP; persisted to a small JSON file so it survives restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+const config = require('../config');
+
+// Carrier-standard opt-out / opt-in keywords
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'YES', 'UNSTOP'];
+
+// Twilio's STOP confirmation is the only reply these need; CANCEL, END and QUIT
+// are also everyday answers, so those opt-outs are confirmed in our own words
+const SILENT_OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE'];
+const OPT_OUT_CONFIRMATION = 'You have been unsubscribed and will not receive any more messages from us. Reply START to resubscribe.';
+
+class SmsOptOut {
+    constructor() {
+        this.filePath = config.sms.optOutFile;
+        this.numbers = new Set();
+        this.load();
+    }
+
+    /**
+     * Load opted-out numbers from disk
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.numbers = new Set(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+            }
+        } catch (error) {
+            logger.error('Failed to load SMS opt-out list', {
+                error: error.message,
+                path: this.filePath
+            });
+        }
+    }
+
+    /**
+     * Persist opted-out numbers to disk
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify([...this.numbers]));
+        } catch (error) {
+            logger.error('Failed to save SMS opt-out list', {
+                error: error.message,
+                path: this.filePath
+            });
+        }
+    }
+
+    /**
+     * Classify an inbound message body: 'opt-out', 'opt-in' or null
+     */
+    classify(body = '') {
+        const keyword = body.trim().toUpperCase();
+
+        if (OPT_OUT_KEYWORDS.includes(keyword)) return 'opt-out';
+        if (OPT_IN_KEYWORDS.includes(keyword)) return 'opt-in';
+        return null;
+    }
+
+    /**
+     * Our reply to an opt-out keyword (null when Twilio's confirmation is enough)
+     */
+    getOptOutReply(body = '') {
+        return SILENT_OPT_OUT_KEYWORDS.includes(body.trim().toUpperCase()) ? null : OPT_OUT_CONFIRMATION;
+    }
+
+    /**
+     * Check whether a number replied STOP
+     */
+    isOptedOut(phoneNumber) {
+        return this.numbers.has(phoneNumber);
+    }
+
+    /**
+     * Stop texting a number
+     */
+    optOut(phoneNumber) {
+        this.numbers.add(phoneNumber);
+        this.save();
+        logger.info('SMS opt-out recorded', { phoneNumber });
+    }
+
+    /**
+     * Resume texting a number (START)
+     */
+    optIn(phoneNumber) {
+        if (this.numbers.delete(phoneNumber)) {
+            this.save();
+            logger.info('SMS opt-in recorded', { phoneNumber });
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new SmsOptOut();
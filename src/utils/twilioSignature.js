@@ -0,0 +1,47 @@
+/**
+ * Twilio Signature Utilities
+ * Rebuilds the URL Twilio signed and signs requests for local test scripts
+ */
+
+const twilio = require('twilio');
+const config = require('../config');
+const { getRequestOrigin, getUpgradeBaseUrl, buildWebSocketUrl } = require('./publicUrl');
+
+/**
+ * Rebuild the public URL Twilio requested, honouring proxy headers
+ */
+function getRequestUrl(req) {
+    return `${getRequestOrigin(req)}${req.originalUrl}`;
+}
+
+/**
+ * Rebuild the wss:// URL Twilio signed when opening a Media Streams WebSocket
+ * (a raw upgrade request, not an Express one)
+ */
+function getUpgradeUrl(req) {
+    return buildWebSocketUrl(req.url, getUpgradeBaseUrl(req));
+}
+
+/**
+ * Compute the X-Twilio-Signature header value for a request
+ */
+function signRequest(url, params = {}, authToken = config.twilio.authToken) {
+    return twilio.getExpectedTwilioSignature(authToken, url, params);
+}
+
+/**
+ * Headers for simulating a signed Twilio webhook POST (used by test-*.js scripts)
+ */
+function getSignedHeaders(url, params = {}, authToken = config.twilio.authToken) {
+    return {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'X-Twilio-Signature': signRequest(url, params, authToken)
+    };
+}
+
+module.exports = {
+    getRequestUrl,
+    getUpgradeUrl,
+    signRequest,
+    getSignedHeaders
+};
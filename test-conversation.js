@@ -7,6 +7,7 @@
 
 const axios = require('axios');
 const readline = require('readline');
+const { getSignedHeaders } = require('./src/utils/twilioSignature');
 
 const SERVER_URL = 'http://localhost:3000';
 
@@ -32,6 +33,16 @@ function log(message, color = 'reset') {
     console.log(`${colors[color]}${message}${colors.reset}`);
 }
 
+/**
+ * POST a webhook signed the way Twilio would sign it
+ */
+function postWebhook(path, params) {
+    const url = `${SERVER_URL}${path}`;
+    return axios.post(url, params, {
+        headers: getSignedHeaders(url, params)
+    });
+}
+
 /**
  * Simulate processing speech input
  */
@@ -40,14 +51,10 @@ async function processSpeechInput(text, callSid) {
         log(`\n🎤 You said: "${text}"`, 'cyan');
         log('🤖 AI is thinking...', 'yellow');
         
-        const response = await axios.post(`${SERVER_URL}/webhook/process-speech`, {
+        const response = await postWebhook('/webhook/process-speech', {
             CallSid: callSid,
             SpeechResult: text,
             Confidence: '0.95'
-        }, {
-            headers: {
-                'Content-Type': 'application/x-www-form-urlencoded'
-            }
         });
 
         // Parse TwiML response to extract what the AI said
@@ -93,7 +100,7 @@ async function startConversation() {
     // Simulate incoming call
     try {
         log('📞 Simulating incoming call...', 'blue');
-        const response = await axios.post(`${SERVER_URL}/webhook/voice`, {
+        const response = await postWebhook('/webhook/voice', {
             CallSid: callSid,
             From: '+1234567890',
             To: '+15075166292'
@@ -114,7 +121,7 @@ async function startConversation() {
                 
                 // Simulate call end
                 try {
-                    await axios.post(`${SERVER_URL}/webhook/status`, {
+                    await postWebhook('/webhook/status', {
                         CallSid: callSid,
                         CallStatus: 'completed',
                         Duration: '120'
@@ -8,6 +8,7 @@
 
 require('dotenv').config();
 const axios = require('axios');
+const { getSignedHeaders } = require('./src/utils/twilioSignature');
 
 const SERVER_URL = 'http://localhost:3000';
 
@@ -40,7 +41,7 @@ async function testWebhookDirectly() {
     try {
         console.log('🎤 Step 1: Simulating incoming call webhook...');
         const callResponse = await axios.post(`${SERVER_URL}/webhook/voice`, incomingCallData, {
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            headers: getSignedHeaders(`${SERVER_URL}/webhook/voice`, incomingCallData)
         });
         
         console.log('✅ Incoming call handled successfully!');
@@ -56,7 +57,7 @@ async function testWebhookDirectly() {
         };
         
         const speechResponse = await axios.post(`${SERVER_URL}/webhook/voice`, speechData, {
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            headers: getSignedHeaders(`${SERVER_URL}/webhook/voice`, speechData)
         });
         
         console.log('✅ Speech processed successfully!');
@@ -72,7 +73,7 @@ async function testWebhookDirectly() {
         };
         
         const followupResponse = await axios.post(`${SERVER_URL}/webhook/voice`, followupData, {
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            headers: getSignedHeaders(`${SERVER_URL}/webhook/voice`, followupData)
         });
         
         console.log('✅ Follow-up conversation handled successfully!');
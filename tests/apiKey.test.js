@@ -0,0 +1,30 @@
+const express = require('express');
+const request = require('supertest');
+const config = require('../src/config');
+const requireApiKey = require('../src/middleware/apiKey');
+
+describe('requireApiKey', () => {
+    const app = express();
+    app.get('/api/recordings', requireApiKey, (req, res) => res.json({ ok: true }));
+
+    const originalKey = config.server.apiKey;
+
+    beforeAll(() => {
+        config.server.apiKey = 'secret-key';
+    });
+
+    afterAll(() => {
+        config.server.apiKey = originalKey;
+    });
+
+    test('accepts the key as a Bearer token or X-API-Key header', async () => {
+        await request(app).get('/api/recordings').set('Authorization', 'Bearer secret-key').expect(200);
+        await request(app).get('/api/recordings').set('X-API-Key', 'secret-key').expect(200);
+    });
+
+    test('rejects wrong keys of any length', async () => {
+        await request(app).get('/api/recordings').set('X-API-Key', 'secret-kez').expect(401);
+        await request(app).get('/api/recordings').set('X-API-Key', 'secret').expect(401);
+        await request(app).get('/api/recordings').expect(401);
+    });
+});
@@ -0,0 +1,60 @@
+const audio = require('../src/utils/audio');
+
+describe('μ-law audio', () => {
+    test('decodes bytes to the G.711 μ-law levels', () => {
+        const pcm = audio.mulawToPcm16(Buffer.from([0x00, 0x0f, 0x70, 0x7e, 0x7f, 0xff, 0xfe, 0x80]));
+        const samples = Array.from({ length: pcm.length / 2 }, (_, i) => pcm.readInt16LE(i * 2));
+
+        expect(samples).toEqual([-32124, -16764, -120, -8, 0, 0, 8, 32124]);
+    });
+
+    test('positive and negative codes mirror each other', () => {
+        const codes = Buffer.from(Array.from({ length: 128 }, (_, i) => i));
+        const negative = audio.mulawToPcm16(codes);
+        const positive = audio.mulawToPcm16(Buffer.from(codes.map(code => code | 0x80)));
+
+        for (let i = 0; i < 128; i++) {
+            expect(negative.readInt16LE(i * 2) + positive.readInt16LE(i * 2)).toBe(0);
+        }
+    });
+
+    test('silence has no energy and a full-scale signal has the most', () => {
+        expect(audio.mulawEnergy(Buffer.alloc(160, 0xff))).toBe(0);
+        expect(audio.mulawEnergy(Buffer.alloc(0))).toBe(0);
+        expect(audio.mulawEnergy(Buffer.from([0x00, 0x80]))).toBe(32124);
+    });
+
+    test('wraps μ-law in a WAV header Twilio plays as-is', () => {
+        const mulaw = Buffer.alloc(800, 0xff);
+        const wav = audio.mulawToWav(mulaw);
+
+        expect(wav.length).toBe(44 + 800);
+        expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+        expect(wav.readUInt32LE(4)).toBe(36 + 800);
+        expect(wav.toString('ascii', 8, 16)).toBe('WAVEfmt ');
+        expect(wav.readUInt16LE(20)).toBe(7);     // μ-law
+        expect(wav.readUInt16LE(22)).toBe(1);     // mono
+        expect(wav.readUInt32LE(24)).toBe(8000);  // sample rate
+        expect(wav.readUInt32LE(28)).toBe(8000);  // byte rate
+        expect(wav.readUInt16LE(34)).toBe(8);     // bits per sample
+        expect(wav.toString('ascii', 36, 40)).toBe('data');
+        expect(wav.readUInt32LE(40)).toBe(800);
+        expect(wav.subarray(44).equals(mulaw)).toBe(true);
+    });
+
+    test('wraps decoded PCM in a 16-bit WAV header', () => {
+        const wav = audio.pcm16ToWav(audio.mulawToPcm16(Buffer.alloc(160, 0xff)));
+
+        expect(wav.readUInt16LE(20)).toBe(1);     // PCM
+        expect(wav.readUInt32LE(28)).toBe(16000); // byte rate
+        expect(wav.readUInt16LE(34)).toBe(16);
+        expect(wav.readUInt32LE(40)).toBe(320);
+    });
+
+    test('splits audio into 20ms frames, keeping the remainder', () => {
+        const frames = audio.splitFrames(Buffer.alloc(400));
+
+        expect(frames.map(frame => frame.length)).toEqual([160, 160, 80]);
+        expect(audio.mulawDurationMs(Buffer.alloc(400))).toBe(50);
+    });
+});
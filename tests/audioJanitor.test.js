@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const request = require('supertest');
+const { app } = require('../src/app');
+const audioJanitor = require('../src/services/audioJanitor');
+const elevenLabsService = require('../src/services/elevenlabs');
+const conversationManager = require('../src/utils/conversation');
+const config = require('../src/config');
+
+describe('audioJanitor', () => {
+    const baseUrl = 'https://assistant.example.com';
+    const dir = config.storage.localDir;
+    let server;
+    let sequence = 0;
+
+    /**
+     * Resolve once a check passes, polling for up to a second
+     */
+    async function eventually(check) {
+        for (let i = 0; i < 50 && !check(); i++) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        expect(check()).toBe(true);
+    }
+
+    const exists = key => fs.existsSync(path.join(dir, key));
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'audio/basic' });
+            res.end(Buffer.alloc(800, 0x7f));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        elevenLabsService.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        config.audioJanitor.fetchGraceMs = 50;
+        config.recording.retentionDays = 0;
+    });
+
+    /**
+     * A call in progress that has been sent a reply of its own
+     */
+    async function callWithReply() {
+        const callSid = `CA_janitor_${++sequence}`;
+        conversationManager.createSession(callSid);
+        const speech = await elevenLabsService.generatePhoneSpeech(`Reply number ${sequence} for this caller.`, callSid, 1, baseUrl);
+
+        return { callSid, key: speech.key };
+    }
+
+    test('deletes a call\'s audio once the call has ended', async () => {
+        const { callSid, key } = await callWithReply();
+        expect(exists(key)).toBe(true);
+
+        conversationManager.endSession(callSid);
+
+        // Kept while Twilio may still be fetching it
+        expect(exists(key)).toBe(true);
+        await eventually(() => !exists(key));
+        expect(audioJanitor.calls.has(callSid)).toBe(false);
+    });
+
+    test('archives the audio of recorded calls when retention is set', async () => {
+        config.recording.retentionDays = 30;
+        const { callSid, key } = await callWithReply();
+        conversationManager.findSession(callSid).recording = { status: 'in-progress', optedOut: false };
+
+        conversationManager.endSession(callSid);
+
+        await eventually(() => exists(`archive/${key}`));
+        expect(exists(key)).toBe(false);
+    });
+
+    test('deletes recorded audio when the caller opted out', async () => {
+        config.recording.retentionDays = 30;
+        const { callSid, key } = await callWithReply();
+        conversationManager.findSession(callSid).recording = { status: 'stopped', optedOut: true };
+
+        conversationManager.endSession(callSid);
+
+        await eventually(() => !exists(key));
+        expect(exists(`archive/${key}`)).toBe(false);
+    });
+
+    test('cleans up audio written after the call ended', async () => {
+        const callSid = `CA_janitor_${++sequence}`;
+        conversationManager.createSession(callSid);
+        conversationManager.endSession(callSid);
+
+        const { key } = await elevenLabsService.saveAudioFile(Buffer.alloc(100), callSid, 2, baseUrl, 'wav');
+
+        expect(audioJanitor.calls.has(callSid)).toBe(false);
+        await eventually(() => !exists(key));
+    });
+
+    test('the sweep removes old files but not those of calls in progress or the cache', async () => {
+        const { key: active } = await callWithReply();
+        const stale = 'CA_unknown_0_1.wav';
+        const cached = 'cache/stale-phrase.wav';
+        fs.mkdirSync(path.join(dir, 'cache'), { recursive: true });
+        [stale, cached].forEach(key => fs.writeFileSync(path.join(dir, key), Buffer.alloc(100)));
+
+        const old = new Date(Date.now() - (config.audioJanitor.maxAgeHours + 1) * 60 * 60 * 1000);
+        [active, stale, cached].forEach(key => fs.utimesSync(path.join(dir, key), old, old));
+
+        await audioJanitor.sweep();
+
+        expect(exists(stale)).toBe(false);
+        expect(exists(active)).toBe(true);
+        expect(exists(cached)).toBe(true);
+    });
+
+    test('archived audio is not served on the public audio route', async () => {
+        const key = `CA_janitor_${++sequence}_1.wav`;
+        fs.mkdirSync(path.join(dir, 'archive'), { recursive: true });
+        [key, `archive/${key}`].forEach(file => fs.writeFileSync(path.join(dir, file), Buffer.alloc(100)));
+
+        try {
+            await request(app).get(`/audio/${key}`).expect(200);
+            for (const url of [`/audio/archive/${key}`, `/audio/%61rchive/${key}`, `/audio//archive/${key}`,
+                `/audio/cache/../archive/${key}`, `/audio/./archive/${key}`, '/audio/archive/']) {
+                await request(app).get(url).expect(404);
+            }
+            await request(app).get('/audio/%E0%A4%A').expect(404);
+        } finally {
+            [key, `archive/${key}`].forEach(file => fs.rmSync(path.join(dir, file), { force: true }));
+        }
+    });
+});
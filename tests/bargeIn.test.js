@@ -0,0 +1,66 @@
+const voiceController = require('../src/controllers/voice');
+const conversationManager = require('../src/utils/conversation');
+const twilioService = require('../src/services/twilio');
+const config = require('../src/config');
+
+describe('barge-in', () => {
+    const callSid = 'CA_barge_in';
+    const reply = 'Your order shipped on Monday and should arrive by Thursday afternoon.';
+
+    beforeEach(() => {
+        conversationManager.createSession(callSid);
+        conversationManager.addMessage(callSid, 'user', 'Where is my order?');
+        conversationManager.addMessage(callSid, 'assistant', reply);
+    });
+
+    afterEach(() => {
+        conversationManager.endSession(callSid);
+        config.bargeIn.enabled = true;
+    });
+
+    test('plays replies inside <Gather> so the caller can cut them off', () => {
+        expect(twilioService.generateAudioResponse('https://example.com/a.wav', 'https://example.com'))
+            .toMatch(/<Gather[^>]*><Play>https:\/\/example.com\/a.wav<\/Play><\/Gather>/);
+
+        config.bargeIn.enabled = false;
+        expect(twilioService.generateAudioResponse('https://example.com/a.wav', 'https://example.com'))
+            .toMatch(/<Play>https:\/\/example.com\/a.wav<\/Play><Gather[^>]*\/>/);
+    });
+
+    test('records how much of the reply the caller heard before pressing a key', () => {
+        // 10 second reply, key pressed 6 seconds in (600ms of that was the key press)
+        conversationManager.startPlayback(callSid, reply, 10000, 6000);
+
+        voiceController.trackBargeIn(callSid, undefined, '1');
+
+        const session = conversationManager.getSession(callSid);
+        const message = session.messages[1];
+        expect(session.playback).toBeNull();
+        expect(message.metadata).toMatchObject({
+            interrupted: true,
+            heardText: 'Your order shipped on Monday and',
+            playbackMs: 10000
+        });
+        expect(conversationManager.getConversationHistory(callSid)[2].content)
+            .toBe('Your order shipped on Monday and... (the caller interrupted you here and did not hear the rest)');
+    });
+
+    test('a reply that played to the end is not marked as interrupted', () => {
+        conversationManager.startPlayback(callSid, reply, 3000, 9000);
+
+        voiceController.trackBargeIn(callSid, 'Thanks', undefined);
+
+        const message = conversationManager.getSession(callSid).messages[1];
+        expect(message.metadata.interrupted).toBeUndefined();
+        expect(conversationManager.getConversationHistory(callSid)[2].content).toBe(reply);
+    });
+
+    test('with barge-in off, replies count as heard in full', () => {
+        config.bargeIn.enabled = false;
+        conversationManager.startPlayback(callSid, reply, 10000, 1000);
+
+        voiceController.trackBargeIn(callSid, 'Hello?', undefined);
+
+        expect(conversationManager.getSession(callSid).messages[1].metadata.interrupted).toBeUndefined();
+    });
+});
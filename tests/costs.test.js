@@ -0,0 +1,208 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const costTracker = require('../src/services/costs');
+const llmService = require('../src/services/llm');
+const OpenAIProvider = require('../src/services/providers/openai');
+const AnthropicProvider = require('../src/services/providers/anthropic');
+const logger = require('../src/utils/logger');
+const conversationManager = require('../src/utils/conversation');
+const openaiService = require('../src/services/openai');
+const voiceController = require('../src/controllers/voice');
+const config = require('../src/config');
+
+describe('cost accounting', () => {
+    let sequence = 0;
+
+    /**
+     * A fresh voice session that has used some GPT-4.1 tokens
+     */
+    function sessionWithSpend(promptTokens = 100000) {
+        const session = conversationManager.createSession(`CA_costs_${++sequence}`);
+        costTracker.track(session, () => costTracker.recordTokens('gpt-4.1', { prompt_tokens: promptTokens, completion_tokens: 0 }));
+        return session;
+    }
+
+    beforeEach(() => {
+        costTracker.days = {};
+        Object.assign(config.costs, { callCap: 0, dailyCap: 0, capAction: 'downgrade' });
+    });
+
+    afterAll(() => {
+        fs.rmSync(config.costs.ledgerFile, { force: true });
+    });
+
+    describe('pricing', () => {
+        test('charges tokens to the session whose work is running, and to the day', async () => {
+            const session = conversationManager.createSession('CA_costs_tracked');
+
+            await costTracker.track(session, async () => {
+                await Promise.resolve();
+                costTracker.recordTokens('gpt-4.1-mini-2025-04-14', { prompt_tokens: 1000000, completion_tokens: 500000 });
+            });
+            costTracker.recordCharacters('eleven_flash_v2_5', 1000);
+
+            // Dated model names use their family's price
+            expect(session.costs.llm).toMatchObject({ promptTokens: 1000000, completionTokens: 500000 });
+            expect(session.costs.llm.cost).toBeCloseTo(0.4 + 0.8);
+            expect(session.costs.tts.characters).toBe(0);
+            expect(costTracker.getToday().total).toBeCloseTo(1.2 + 0.05);
+        });
+
+        test('bills Twilio minutes per started minute, once', () => {
+            const session = conversationManager.createSession('CA_costs_minutes');
+
+            costTracker.recordCall(session, 61, 'outbound');
+            costTracker.recordCall(session, 61, 'outbound');
+
+            expect(session.costs.telephony).toEqual({ minutes: 2, cost: 0.028 });
+        });
+
+        test('keeps the day totals across restarts', () => {
+            costTracker.recordTranscription('whisper-1', 600);
+            costTracker.save();
+            costTracker.days = null;
+
+            expect(costTracker.getToday().stt).toBeCloseTo(0.06);
+        });
+    });
+
+    describe('caps', () => {
+        test('nothing happens under the caps', () => {
+            config.costs.callCap = 5;
+            config.costs.dailyCap = 50;
+
+            expect(costTracker.checkBudget(sessionWithSpend())).toBeNull();
+        });
+
+        test('a call over its cap is downgraded', () => {
+            config.costs.callCap = 0.1;
+            const session = sessionWithSpend();
+
+            expect(costTracker.checkBudget(session)).toEqual({ cap: 'call', action: 'downgrade' });
+            expect(costTracker.summarize(session)).toMatchObject({ cap: 'call', capAction: 'downgrade' });
+        });
+
+        test('the daily cap applies to every session', () => {
+            config.costs.dailyCap = 0.15;
+            config.costs.capAction = 'wrap-up';
+            sessionWithSpend();
+
+            const fresh = conversationManager.createSession('CA_costs_fresh');
+            expect(costTracker.checkBudget(fresh)).toEqual({ cap: 'day', action: 'wrap-up' });
+        });
+    });
+
+    describe('turns over a cap', () => {
+        let generatePhoneResponse;
+
+        beforeEach(() => {
+            config.guardrails.enabled = false;
+            generatePhoneResponse = jest.spyOn(openaiService, 'generatePhoneResponse').mockResolvedValue({
+                response: 'Sure, I can help with that.',
+                analysis: null,
+                keypad: null,
+                transfer: false,
+                endCall: false,
+                sms: null,
+                toolCalls: [],
+                usage: null,
+                model: 'gpt-4.1-mini',
+                provider: 'openai',
+                duration: 5
+            });
+        });
+
+        afterEach(() => {
+            generatePhoneResponse.mockRestore();
+        });
+
+        test('are answered by the fallback model', async () => {
+            config.costs.callCap = 0.1;
+            const session = sessionWithSpend();
+
+            const result = await voiceController.generateReply(session.callSid, 'Where is my order?');
+
+            expect(result.response).toBe('Sure, I can help with that.');
+            expect(generatePhoneResponse.mock.calls[0][2].downgrade).toBe(true);
+        });
+
+        test('use the persona model under the cap', async () => {
+            const session = sessionWithSpend();
+
+            await voiceController.generateReply(session.callSid, 'Where is my order?');
+
+            expect(generatePhoneResponse.mock.calls[0][2].downgrade).toBe(false);
+        });
+
+        test('wrap up when the persona\'s provider has no cheaper model', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-'));
+            const originalPath = config.llm.providersPath;
+            fs.writeFileSync(path.join(dir, 'providers.json'), JSON.stringify({
+                providers: { claude: { type: 'anthropic', model: 'claude-sonnet-4-5' } },
+                chains: { default: ['claude'] }
+            }));
+            config.llm.providersPath = path.join(dir, 'providers.json');
+            llmService.providers = null;
+            const warn = jest.spyOn(logger, 'warn');
+            config.costs.callCap = 0.1;
+
+            try {
+                const session = sessionWithSpend();
+                const result = await voiceController.generateReply(session.callSid, 'Where is my order?');
+
+                expect(result.endCall).toBe(true);
+                expect(result.response).toBe(conversationManager.getPersona(session).messages.wrapUp);
+                expect(generatePhoneResponse).not.toHaveBeenCalled();
+                expect(session.costs.capAction).toBe('wrap-up');
+                expect(warn).toHaveBeenCalledWith(expect.stringContaining('no cheaper model'), expect.anything());
+            } finally {
+                warn.mockRestore();
+                config.llm.providersPath = originalPath;
+                llmService.providers = null;
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        test('end the call when the cap action is wrap-up', async () => {
+            config.costs.callCap = 0.1;
+            config.costs.capAction = 'wrap-up';
+            const session = sessionWithSpend();
+
+            const result = await voiceController.generateReply(session.callSid, 'Where is my order?');
+
+            expect(result.endCall).toBe(true);
+            expect(result.response).toBe(conversationManager.getPersona(session).messages.wrapUp);
+            expect(generatePhoneResponse).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('provider fallback models', () => {
+        const request = { messages: [], model: 'gpt-4.1', downgrade: true };
+
+        test('providers without a model of their own use COST_FALLBACK_MODEL', () => {
+            const provider = new OpenAIProvider('openai', { type: 'openai' });
+
+            expect(provider.buildBody(request).model).toBe(config.costs.fallbackModel);
+            expect(provider.buildBody({ ...request, downgrade: false }).model).toBe('gpt-4.1');
+        });
+
+        test('providers with a fixed model switch to their fallbackModel', () => {
+            const local = new OpenAIProvider('local', { type: 'openai-compatible', baseUrl: 'http://localhost:8080/v1', model: 'llama-70b', fallbackModel: 'llama-8b' });
+            const claude = new AnthropicProvider('claude', { type: 'anthropic', model: 'claude-sonnet-4-5', fallbackModel: 'claude-haiku-4-5' });
+
+            expect(local.buildBody(request).model).toBe('llama-8b');
+            expect(claude.buildBody(request).model).toBe('claude-haiku-4-5');
+            expect(claude.buildBody({ ...request, downgrade: false }).model).toBe('claude-sonnet-4-5');
+        });
+
+        test('fixed models without a fallbackModel, and Azure deployments, cannot downgrade', () => {
+            const local = new OpenAIProvider('local', { type: 'openai-compatible', baseUrl: 'http://localhost:8080/v1', model: 'llama-70b' });
+            const azure = new OpenAIProvider('azure', { type: 'azure', endpoint: 'https://example.openai.azure.com', deployment: 'gpt-4o', fallbackModel: 'gpt-4o-mini', apiKeyEnv: 'OPENAI_API_KEY' });
+
+            expect(local.fallbackModel).toBeNull();
+            expect(azure.fallbackModel).toBeNull();
+            expect(local.buildBody(request).model).toBe('llama-70b');
+        });
+    });
+});
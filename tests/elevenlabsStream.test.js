@@ -0,0 +1,117 @@
+const http = require('http');
+const elevenLabsService = require('../src/services/elevenlabs');
+const config = require('../src/config');
+
+describe('ElevenLabs speech streaming', () => {
+    let server;
+    let requests;
+    let respond;
+
+    // 1000 bytes of "audio", a different value per byte so misordered chunks show
+    const clip = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 251));
+
+    /**
+     * Reply with the clip split at the given sizes, pausing between chunks
+     */
+    function streamClip(sizes) {
+        return async (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'audio/basic' });
+            let offset = 0;
+            for (const size of sizes) {
+                res.write(clip.subarray(offset, offset + size));
+                offset += size;
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            res.end(clip.subarray(offset));
+        };
+    }
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ url: new URL(req.url, 'http://localhost'), headers: req.headers, body: JSON.parse(body) });
+                respond(req, res, requests.length);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        elevenLabsService.baseUrl = `http://127.0.0.1:${server.address().port}`;
+        config.resilience.retryBaseMs = 1;
+        config.ttsCache.enabled = false;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+    });
+
+    test('asks for 8kHz μ-law and passes chunks on as they arrive', async () => {
+        respond = streamClip([1, 159, 333, 7]);
+        const received = [];
+
+        const result = await elevenLabsService.streamSpeech('Hello there.', chunk => received.push(chunk), {
+            voiceId: 'voice-x',
+            model: 'eleven_flash_v2_5'
+        });
+
+        expect(requests).toHaveLength(1);
+        expect(requests[0].url.pathname).toBe('/v1/text-to-speech/voice-x/stream');
+        expect(requests[0].url.searchParams.get('output_format')).toBe('ulaw_8000');
+        expect(requests[0].headers['xi-api-key']).toBe(config.elevenlabs.apiKey);
+        expect(requests[0].body).toMatchObject({ text: 'Hello there.', model_id: 'eleven_flash_v2_5' });
+
+        // However the audio was split on the way, every byte arrives once and in order
+        expect(received.length).toBeGreaterThan(1);
+        expect(Buffer.concat(received).equals(clip)).toBe(true);
+        expect(result.audioBuffer.equals(clip)).toBe(true);
+        expect(result.size).toBe(clip.length);
+    });
+
+    test('streams phone speech to onChunk and returns the whole clip', async () => {
+        respond = streamClip([500, 250]);
+        const received = [];
+
+        const result = await elevenLabsService.generateStreamSpeech('Your order shipped', {
+            onChunk: chunk => received.push(chunk)
+        });
+
+        expect(requests[0].body.text).toBe('Your order shipped.');
+        expect(Buffer.concat(received).equals(clip)).toBe(true);
+        expect(result.audioBuffer.equals(clip)).toBe(true);
+    });
+
+    test('retries a failure before any audio was sent', async () => {
+        respond = (req, res, attempt) => {
+            if (attempt === 1) {
+                res.writeHead(503);
+                res.end();
+                return;
+            }
+            streamClip([400])(req, res);
+        };
+
+        const result = await elevenLabsService.streamSpeech('Hello.', null);
+
+        expect(requests).toHaveLength(2);
+        expect(result.audioBuffer.equals(clip)).toBe(true);
+    });
+
+    test('does not retry once audio has been passed on', async () => {
+        respond = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'audio/basic' });
+            res.write(clip.subarray(0, 200));
+            setTimeout(() => res.destroy(), 10);
+        };
+        const received = [];
+
+        await expect(elevenLabsService.streamSpeech('Hello.', chunk => received.push(chunk)))
+            .rejects.toThrow('ElevenLabs TTS stream error');
+        expect(requests).toHaveLength(1);
+        expect(Buffer.concat(received).equals(clip.subarray(0, 200))).toBe(true);
+    });
+});
@@ -0,0 +1,31 @@
+/**
+ * Jest Global Setup
+ * Test credentials and a scratch directory for everything the services write,
+ * so tests never need a .env file or touch the real temp/ directory.
+ * Test workers inherit this environment.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+module.exports = () => {
+    const scratchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'conversational-ai-tests-'));
+
+    Object.assign(process.env, {
+        NODE_ENV: 'test',
+        ENABLE_LOGGING: 'false',
+        TEST_SCRATCH_DIR: scratchDir,
+        TWILIO_ACCOUNT_SID: 'AC00000000000000000000000000000000',
+        TWILIO_AUTH_TOKEN: 'test-auth-token',
+        TWILIO_PHONE_NUMBER: '+15550000000',
+        OPENAI_API_KEY: 'sk-test',
+        ELEVENLABS_API_KEY: 'el-test',
+        ELEVENLABS_VOICE_ID: 'test-voice',
+        AUDIO_STORAGE_DIR: path.join(scratchDir, 'audio'),
+        TTS_CACHE_DIR: path.join(scratchDir, 'audio', 'cache'),
+        COST_LEDGER_FILE: path.join(scratchDir, 'costs.json'),
+        SMS_OPT_OUT_FILE: path.join(scratchDir, 'sms-opt-outs.json'),
+        KNOWLEDGE_BASE_INDEX_PATH: path.join(scratchDir, 'knowledge-index.json')
+    });
+};
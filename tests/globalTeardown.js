@@ -0,0 +1,10 @@
+/**
+ * Jest Global Teardown
+ * Removes the scratch directory created by globalSetup.js
+ */
+
+const fs = require('fs');
+
+module.exports = () => {
+    fs.rmSync(process.env.TEST_SCRATCH_DIR, { recursive: true, force: true });
+};
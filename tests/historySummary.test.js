@@ -0,0 +1,75 @@
+const conversationManager = require('../src/utils/conversation');
+const openaiService = require('../src/services/openai');
+const config = require('../src/config');
+
+describe('conversation history summary', () => {
+    const originalBudget = config.history.tokenBudget;
+    const callSid = 'CA_history';
+
+    // 100 characters, i.e. 25 tokens at the estimate of 4 characters per token
+    function say(role, label) {
+        conversationManager.addMessage(callSid, role, label.padEnd(100, '.'));
+    }
+
+    // Let the background summary settle
+    const settle = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+        config.history.tokenBudget = 100;
+        conversationManager.createSession(callSid);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        conversationManager.endSession(callSid);
+        config.history.tokenBudget = originalBudget;
+    });
+
+    test('folds the oldest turns into the summary once over the budget', async () => {
+        const summarize = jest.spyOn(openaiService, 'generateConversationSummary').mockResolvedValue('Caller asked about order 1234.');
+
+        ['user', 'assistant', 'user', 'assistant'].forEach((role, i) => say(role, `message ${i}`));
+        expect(summarize).not.toHaveBeenCalled();
+
+        say('user', 'message 4');
+        await settle();
+
+        // Folded down to half the budget: the three oldest messages
+        expect(summarize).toHaveBeenCalledTimes(1);
+        expect(summarize.mock.calls[0][1].map(msg => msg.content.replace(/\.+$/, ''))).toEqual(['message 0', 'message 1', 'message 2']);
+
+        const history = conversationManager.getConversationHistory(callSid);
+        expect(history[0].content).toContain('Summary of the earlier conversation (these messages are no longer shown):\nCaller asked about order 1234.');
+        expect(history.slice(1).map(msg => msg.content.replace(/\.+$/, ''))).toEqual(['message 3', 'message 4']);
+    });
+
+    test('the next fold builds on the previous summary', async () => {
+        const summarize = jest.spyOn(openaiService, 'generateConversationSummary')
+            .mockResolvedValueOnce('First summary.')
+            .mockResolvedValueOnce('Second summary.');
+
+        for (let i = 0; i < 8; i++) {
+            say(i % 2 ? 'assistant' : 'user', `message ${i}`);
+            await settle();
+        }
+
+        expect(summarize).toHaveBeenCalledTimes(2);
+        expect(summarize.mock.calls[1][0]).toBe('First summary.');
+        expect(conversationManager.getSession(callSid).summary).toMatchObject({ text: 'Second summary.', messageCount: 6 });
+    });
+
+    test('keeps messages in full while the summary fails, up to twice the budget', async () => {
+        jest.spyOn(openaiService, 'generateConversationSummary').mockRejectedValue(new Error('offline'));
+
+        for (let i = 0; i < 10; i++) {
+            say(i % 2 ? 'assistant' : 'user', `message ${i}`);
+            await settle();
+        }
+
+        const history = conversationManager.getConversationHistory(callSid);
+        expect(history[0].content).not.toContain('Summary of the earlier conversation');
+        expect(history.slice(1).map(msg => msg.content.replace(/\.+$/, ''))).toEqual(
+            ['message 2', 'message 3', 'message 4', 'message 5', 'message 6', 'message 7', 'message 8', 'message 9']
+        );
+    });
+});
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ivrMenu = require('../src/utils/ivrMenu');
+
+describe('ivrMenu', () => {
+    const definition = {
+        start: 'main',
+        menus: {
+            main: {
+                prompt: 'Press 1 for billing, 2 for hours, 0 for a person.',
+                options: {
+                    1: { action: 'menu', menu: 'billing' },
+                    2: { action: 'message', message: 'We are open 9 to 5.', next: 'main' },
+                    0: { action: 'transfer' }
+                },
+                noInput: { action: 'conversation' }
+            },
+            billing: {
+                prompt: 'Press 1 to talk about your bill.',
+                options: {
+                    1: { action: 'conversation' }
+                }
+            }
+        }
+    };
+
+    let menuPath;
+
+    beforeAll(() => {
+        menuPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ivr-menu-')), 'menu.json');
+        fs.writeFileSync(menuPath, JSON.stringify(definition));
+    });
+
+    afterAll(() => {
+        fs.rmSync(path.dirname(menuPath), { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        ivrMenu.definition = null;
+        ivrMenu.load(menuPath);
+    });
+
+    test('resolves key presses and no input', () => {
+        expect(ivrMenu.getStartMenuId()).toBe('main');
+        expect(ivrMenu.resolveOption('main', '1')).toEqual({ action: 'menu', menu: 'billing' });
+        expect(ivrMenu.resolveOption('main', '')).toEqual({ action: 'conversation' });
+        expect(ivrMenu.resolveOption('billing', '')).toBeNull();
+        expect(ivrMenu.resolveOption('main', '9')).toBeNull();
+        expect(ivrMenu.resolveOption('missing', '1')).toBeNull();
+    });
+
+    test('accepts the bundled menu', () => {
+        const bundled = JSON.parse(fs.readFileSync(path.join(__dirname, '../src/config/ivr-menu.json'), 'utf8'));
+
+        expect(ivrMenu.validate(bundled)).toBe(true);
+    });
+
+    test('reports every problem in a menu', () => {
+        const broken = {
+            start: 'welcome',
+            menus: {
+                main: {
+                    options: {
+                        1: { action: 'dance' },
+                        2: { action: 'menu', menu: 'nowhere' },
+                        3: { action: 'message' },
+                        4: { action: 'conversation', next: 'gone' }
+                    }
+                }
+            }
+        };
+
+        expect(() => ivrMenu.validate(broken)).toThrow([
+            'start menu "welcome" is not defined',
+            'menu "main" has no prompt',
+            'menu "main" option "1" has unknown action "dance"',
+            'menu "main" option "2" points to unknown menu "nowhere"',
+            'menu "main" option "3" needs a message or audioUrl',
+            'menu "main" option "4" has unknown next menu "gone"'
+        ].join('; '));
+    });
+
+    test('refuses to load an invalid menu file', () => {
+        const brokenPath = path.join(path.dirname(menuPath), 'broken.json');
+        fs.writeFileSync(brokenPath, JSON.stringify({ start: 'main', menus: {} }));
+        ivrMenu.definition = null;
+
+        expect(() => ivrMenu.load(brokenPath)).toThrow('Failed to load IVR menu: start menu "main" is not defined');
+    });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const knowledgeBaseService = require('../src/services/knowledgeBase');
+const openaiService = require('../src/services/openai');
+const conversationManager = require('../src/utils/conversation');
+const config = require('../src/config');
+
+describe('knowledge base', () => {
+    const original = { ...config.knowledgeBase };
+    let dir;
+    let embed;
+
+    // Unit vectors along one axis per topic, so similarity is 1 for the same topic and 0 otherwise
+    function embedding(text) {
+        const topics = [/open|hours|close/i, /return|refund/i, /deliver|shipping/i];
+        const axis = topics.findIndex(topic => topic.test(text));
+        return topics.map((topic, i) => (i === axis ? 1 : 0));
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'knowledge-'));
+        fs.writeFileSync(path.join(dir, 'hours.md'), '# Opening hours\n\nWe are open 9am to 5pm, Monday to Friday, and close on public holidays.');
+        fs.mkdirSync(path.join(dir, 'policies'));
+        fs.writeFileSync(path.join(dir, 'policies', 'returns.txt'), 'Returns are accepted within 30 days for a full refund.');
+        fs.writeFileSync(path.join(dir, 'notes.docx'), 'Not a supported format');
+
+        Object.assign(config.knowledgeBase, {
+            enabled: true,
+            dir,
+            indexPath: path.join(dir, 'index.json'),
+            topK: 1,
+            minScore: 0.5
+        });
+        knowledgeBaseService.index = null;
+        embed = jest.spyOn(openaiService, 'createEmbeddings').mockImplementation(async texts => texts.map(embedding));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        Object.assign(config.knowledgeBase, original);
+        knowledgeBaseService.index = null;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('splits long documents between sentences with overlap', () => {
+        Object.assign(config.knowledgeBase, { chunkSize: 60, chunkOverlap: 20 });
+
+        const chunks = knowledgeBaseService.chunkText(
+            'First sentence about our store opening hours. Second sentence about parking spaces nearby. Third sentence about returns.'
+        );
+
+        expect(chunks).toEqual([
+            'First sentence about our store opening hours.',
+            'opening hours. Second sentence about parking spaces nearby.',
+            'spaces nearby. Third sentence about returns.'
+        ]);
+    });
+
+    test('indexes supported documents and retrieves the closest passage', async () => {
+        const stats = await knowledgeBaseService.reindex();
+
+        expect(stats).toMatchObject({ files: 2, chunks: 2, embedded: 2 });
+        expect(knowledgeBaseService.getStatus().files.map(file => file.source))
+            .toEqual(['hours.md', path.join('policies', 'returns.txt')]);
+
+        const passages = await knowledgeBaseService.retrieve('Can I get a refund?', 'CA_kb');
+
+        expect(passages).toEqual([expect.objectContaining({
+            id: `${path.join('policies', 'returns.txt')}#0`,
+            text: 'Returns are accepted within 30 days for a full refund.',
+            score: 1
+        })]);
+    });
+
+    test('adds nothing below the minimum score', async () => {
+        await knowledgeBaseService.reindex();
+
+        expect(await knowledgeBaseService.retrieve('Do you ship to Canada?', 'CA_kb')).toEqual([]);
+    });
+
+    test('re-indexing only embeds new or edited text', async () => {
+        await knowledgeBaseService.reindex();
+        fs.writeFileSync(path.join(dir, 'delivery.md'), 'Delivery takes 3 to 5 working days.');
+        embed.mockClear();
+
+        const stats = await knowledgeBaseService.reindex();
+
+        expect(stats).toMatchObject({ files: 3, chunks: 3, embedded: 1 });
+        expect(embed).toHaveBeenCalledWith(['Delivery takes 3 to 5 working days.'], config.knowledgeBase.embeddingModel);
+    });
+
+    test('a failed lookup answers without passages', async () => {
+        await knowledgeBaseService.reindex();
+        embed.mockRejectedValue(new Error('offline'));
+
+        expect(await knowledgeBaseService.retrieve('When do you open?', 'CA_kb')).toEqual([]);
+    });
+
+    test('retrieved passages go into the system prompt', async () => {
+        await knowledgeBaseService.reindex();
+        conversationManager.createSession('CA_kb');
+
+        conversationManager.setKnowledge('CA_kb', await knowledgeBaseService.retrieve('What time do you open?', 'CA_kb'));
+
+        expect(conversationManager.getConversationHistory('CA_kb')[0].content)
+            .toContain('[hours.md] # Opening hours We are open 9am to 5pm');
+        conversationManager.endSession('CA_kb');
+    });
+});
@@ -0,0 +1,82 @@
+const http = require('http');
+const WebSocket = require('ws');
+const mediaStreamController = require('../src/controllers/mediaStream');
+const conversationManager = require('../src/utils/conversation');
+const config = require('../src/config');
+const { signRequest } = require('../src/utils/twilioSignature');
+
+describe('media stream bridge', () => {
+    let server;
+    let url;
+
+    beforeAll(async () => {
+        server = http.createServer();
+        mediaStreamController.attach(server);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `ws://127.0.0.1:${server.address().port}${config.mediaStreams.path}`;
+    });
+
+    afterAll(async () => {
+        mediaStreamController.wss.clients.forEach(client => client.terminate());
+        await new Promise(resolve => mediaStreamController.wss.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    function connect(signature = signRequest(url)) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(url, { headers: { 'X-Twilio-Signature': signature } });
+            ws.once('open', () => resolve(ws));
+            ws.once('unexpected-response', (req, res) => reject(new Error(`Upgrade rejected: ${res.statusCode}`)));
+            ws.once('error', reject);
+        });
+    }
+
+    function closed(ws) {
+        return new Promise(resolve => ws.once('close', code => resolve(code)));
+    }
+
+    // A round trip through the server, so earlier messages have been handled
+    function flush(ws) {
+        return new Promise(resolve => {
+            ws.ping();
+            ws.once('pong', resolve);
+        });
+    }
+
+    test('rejects upgrades without a valid Twilio signature', async () => {
+        await expect(connect('forged')).rejects.toThrow('Upgrade rejected: 401');
+    });
+
+    test('drops malformed messages without closing the stream', async () => {
+        const callSid = 'CA_media_malformed';
+        conversationManager.createSession(callSid);
+        const ws = await connect();
+
+        ws.send('not json');
+        ws.send('null');
+        ws.send(JSON.stringify({ event: 'media' }));
+        ws.send(JSON.stringify({ event: 'start' }));
+        ws.send(JSON.stringify({ event: 'start', start: { callSid, streamSid: 'MZ1' } }));
+        ws.send(JSON.stringify({ event: 'media' }));
+        ws.send(JSON.stringify({ event: 'media', media: { payload: 42 } }));
+        ws.send(JSON.stringify({ event: 'dtmf' }));
+        ws.send(JSON.stringify({ event: 'dtmf', dtmf: { digit: 'rm -rf' } }));
+        ws.send(JSON.stringify({ event: 'mark' }));
+        ws.send(JSON.stringify({ event: 'mark', mark: { name: {} } }));
+        await flush(ws);
+
+        expect(ws.readyState).toBe(WebSocket.OPEN);
+        ws.close();
+        conversationManager.endSession(callSid);
+    });
+
+    test('closes streams for calls that are not in progress', async () => {
+        const ws = await connect();
+        const code = closed(ws);
+
+        ws.send(JSON.stringify({ event: 'start', start: { callSid: 'CA_unknown', streamSid: 'MZ2' } }));
+
+        expect(await code).toBe(1008);
+        expect(conversationManager.findSession('CA_unknown')).toBeNull();
+    });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const conversationManager = require('../src/utils/conversation');
+const openaiService = require('../src/services/openai');
+const elevenLabsService = require('../src/services/elevenlabs');
+const config = require('../src/config');
+const { signRequest } = require('../src/utils/twilioSignature');
+
+describe('no-input handling', () => {
+    const originalNumbers = config.transfer.agentNumbers;
+
+    // POST a turn signed the way Twilio would sign it
+    function turn(callSid, input = {}) {
+        const params = { CallSid: callSid, ...input };
+        return request(app)
+            .post('/webhook/process-speech')
+            .set('Host', 'voice.example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .set('X-Twilio-Signature', signRequest('https://voice.example.com/webhook/process-speech', params))
+            .type('form')
+            .send(params);
+    }
+
+    beforeEach(() => {
+        jest.spyOn(elevenLabsService, 'generatePhoneSpeech').mockRejectedValue(new Error('offline'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        config.transfer.agentNumbers = originalNumbers;
+    });
+
+    test('reprompts, offers the keypad, then says goodbye and hangs up', async () => {
+        config.transfer.agentNumbers = [];
+        const callSid = 'CA_no_input';
+        conversationManager.createSession(callSid);
+
+        const responses = [];
+        for (let i = 0; i < 4; i++) {
+            responses.push((await turn(callSid)).text);
+        }
+
+        expect(responses[0]).toContain(config.noInput.reprompts[0]);
+        expect(responses[1]).toContain(config.noInput.reprompts[1]);
+        expect(responses[2]).toContain('type your answer on your keypad and then press pound');
+        responses.slice(0, 3).forEach(twiml => expect(twiml).toContain('<Gather'));
+        expect(responses[3]).toContain(config.noInput.goodbye);
+        expect(responses[3]).toMatch(/<Hangup\/><\/Response>$/);
+        expect(conversationManager.getSession(callSid).noInput).toMatchObject({
+            consecutive: 4,
+            maxConsecutive: 4,
+            outcome: 'goodbye'
+        });
+        conversationManager.endSession(callSid);
+    });
+
+    test('speaking again starts the escalation over', async () => {
+        jest.spyOn(openaiService, 'generatePhoneResponse').mockResolvedValue({ response: 'Sure, go ahead.' });
+        const callSid = 'CA_no_input_resumed';
+        conversationManager.createSession(callSid);
+
+        await turn(callSid);
+        await turn(callSid);
+        await turn(callSid, { SpeechResult: 'Sorry, I was away', Confidence: '0.9' });
+        const response = await turn(callSid);
+
+        expect(response.text).toContain(config.noInput.reprompts[0]);
+        expect(conversationManager.getSession(callSid).noInput).toMatchObject({
+            consecutive: 1,
+            total: 3,
+            maxConsecutive: 2,
+            outcome: 'resumed'
+        });
+        conversationManager.endSession(callSid);
+    });
+
+    test('offers a person when transfers are set up and pressing 0 connects', async () => {
+        config.transfer.agentNumbers = ['+15551110000'];
+        jest.spyOn(openaiService, 'generateTransferSummary').mockResolvedValue('Caller went quiet.');
+        const callSid = 'CA_no_input_transfer';
+        conversationManager.createSession(callSid);
+
+        for (let i = 0; i < config.noInput.reprompts.length; i++) {
+            await turn(callSid);
+        }
+        const offer = await turn(callSid);
+        const transfer = await turn(callSid, { Digits: '0' });
+
+        expect(offer.text).toContain('press 0 to speak with a member of our team');
+        expect(transfer.text).toContain('<Number');
+        expect(transfer.text).toContain('+15551110000');
+        expect(conversationManager.getSession(callSid).noInput.outcome).toBe('transfer');
+        conversationManager.endSession(callSid);
+    });
+});
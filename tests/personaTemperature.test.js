@@ -0,0 +1,84 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const personas = require('../src/services/personas');
+const llmService = require('../src/services/llm');
+const openaiService = require('../src/services/openai');
+const config = require('../src/config');
+
+describe('persona temperature', () => {
+    const turn = JSON.stringify({ reply: 'Hello there.' });
+    let server;
+    let dir;
+    let bodies;
+
+    beforeAll(async () => {
+        // One server plays both an OpenAI-compatible API and the Anthropic Messages API
+        server = http.createServer((req, res) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                bodies.push(JSON.parse(data));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(req.url.endsWith('/messages')
+                    ? { model: 'claude-test', content: [{ type: 'text', text: turn }], usage: { input_tokens: 5, output_tokens: 5 } }
+                    : { model: 'local-test', choices: [{ message: { role: 'assistant', content: turn }, finish_reason: 'stop' }], usage: { prompt_tokens: 5, completion_tokens: 5, total_tokens: 10 } }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'personas-'));
+        fs.copyFileSync(path.join(__dirname, '../src/config/personas/default.yaml'), path.join(dir, 'default.yaml'));
+        fs.writeFileSync(path.join(dir, 'precise.yaml'), 'name: Precise\ntemperature: 0\n');
+        fs.writeFileSync(path.join(dir, 'careful.yaml'), 'name: Careful\ntemperature: 0\n');
+        fs.writeFileSync(path.join(dir, 'providers.json'), JSON.stringify({
+            providers: {
+                local: { type: 'openai-compatible', baseUrl, model: 'local-test' },
+                claude: { type: 'anthropic', baseUrl, model: 'claude-test' }
+            },
+            chains: { default: ['local'], careful: ['claude'] }
+        }));
+
+        process.env.ANTHROPIC_API_KEY = 'test-key';
+        config.personas.dir = dir;
+        config.llm.providersPath = path.join(dir, 'providers.json');
+        personas.personas = null;
+        llmService.providers = null;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        bodies = [];
+    });
+
+    test.each([
+        ['precise', 'OpenAI-compatible'],
+        ['careful', 'Anthropic']
+    ])('a %s persona with temperature 0 sends 0 to the %s provider', async (id) => {
+        const persona = personas.get(id);
+        const result = await openaiService.generatePhoneResponse([], 'Hi', {
+            persona: persona.id,
+            model: persona.model,
+            temperature: persona.temperature
+        });
+
+        expect(persona.temperature).toBe(0);
+        expect(result.response).toBe('Hello there.');
+        expect(bodies).toHaveLength(1);
+        expect(bodies[0].temperature).toBe(0);
+    });
+
+    test('personas without a temperature use OPENAI_TEMPERATURE', async () => {
+        const persona = personas.get('default');
+
+        await openaiService.generatePhoneResponse([], 'Hi', { persona: persona.id, temperature: persona.temperature });
+
+        expect(bodies[0].temperature).toBe(config.openai.temperature);
+    });
+});
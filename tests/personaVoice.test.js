@@ -0,0 +1,51 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const voiceController = require('../src/controllers/voice');
+const elevenLabsService = require('../src/services/elevenlabs');
+const personaService = require('../src/services/personas');
+const ttsCache = require('../src/services/ttsCache');
+const conversationManager = require('../src/utils/conversation');
+const config = require('../src/config');
+
+describe('persona voice on the Twilio TTS fallback', () => {
+    const baseUrl = 'https://assistant.example.com';
+    const callSid = 'CA_persona_goodbye';
+
+    beforeEach(() => {
+        config.ttsCache.enabled = true;
+        config.ttsCache.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+        ttsCache.entries = null;
+        ttsCache.pinned.clear();
+        ttsCache.seen.clear();
+
+        const session = conversationManager.createSession(callSid);
+        session.personaDefinition = { ...personaService.get('default'), voiceId: 'persona-voice' };
+        jest.spyOn(elevenLabsService, 'generatePhoneSpeech').mockRejectedValue(new Error('offline'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        conversationManager.endSession(callSid);
+        fs.rmSync(config.ttsCache.dir, { recursive: true, force: true });
+    });
+
+    test('a cached goodbye plays in the persona\'s voice before hanging up', async () => {
+        const goodbye = 'Thanks for calling, goodbye!';
+        const key = elevenLabsService.getPhoneCacheKey(elevenLabsService.optimizeTextForPhone(goodbye), 'persona-voice');
+        await ttsCache.put(key, Buffer.alloc(800, 0x7f), true);
+
+        const twiml = await voiceController.speakReply(callSid, goodbye, baseUrl, { endCall: true });
+
+        expect(twiml).toContain(`<Play>${baseUrl}/audio/${ttsCache.getStorageKey(key)}</Play><Hangup/>`);
+    });
+
+    test('a one-off goodbye is said by Twilio and not pinned in the cache', async () => {
+        const cachePhrase = jest.spyOn(elevenLabsService, 'cachePhrase');
+
+        const twiml = await voiceController.speakReply(callSid, 'Glad I could help with order 1234, bye!', baseUrl, { endCall: true });
+
+        expect(twiml).toContain('<Say voice="alice">Glad I could help with order 1234, bye!</Say><Hangup/>');
+        expect(cachePhrase).not.toHaveBeenCalled();
+    });
+});
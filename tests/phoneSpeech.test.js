@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const elevenLabsService = require('../src/services/elevenlabs');
+const ttsCache = require('../src/services/ttsCache');
+const audioJanitor = require('../src/services/audioJanitor');
+const config = require('../src/config');
+
+describe('phone speech and the TTS cache', () => {
+    const clip = Buffer.alloc(800, 0x7f);
+    const baseUrl = 'https://assistant.example.com';
+    let server;
+    let requests;
+    let release;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(req.url);
+            // Hold the response until the test lets it go
+            release.then(() => {
+                res.writeHead(200, { 'Content-Type': 'audio/basic' });
+                res.end(clip);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        elevenLabsService.baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        release = Promise.resolve();
+        config.ttsCache.enabled = true;
+        config.ttsCache.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+        ttsCache.entries = null;
+        ttsCache.pinned.clear();
+        ttsCache.seen.clear();
+    });
+
+    afterEach(() => {
+        fs.rmSync(config.ttsCache.dir, { recursive: true, force: true });
+    });
+
+    test('a one-off reply gets a file of its own, tracked for cleanup', async () => {
+        const speech = await elevenLabsService.generatePhoneSpeech('Your order 12345 shipped today.', 'CA_one_off', 1, baseUrl);
+
+        expect(speech.cached).toBe(false);
+        expect(speech.audioUrl).toBe(`${baseUrl}/audio/${speech.key}`);
+        expect(speech.key).toMatch(/^CA_one_off_1_\d+\.wav$/);
+        expect(ttsCache.load().size).toBe(0);
+        expect(audioJanitor.calls.get('CA_one_off').has(speech.key)).toBe(true);
+    });
+
+    test('a reply that comes up again is cached the second time', async () => {
+        await elevenLabsService.generatePhoneSpeech('Let me check that for you.', 'CA_repeat', 1, baseUrl);
+        const second = await elevenLabsService.generatePhoneSpeech('Let me check that for you.', 'CA_repeat', 2, baseUrl);
+        const third = await elevenLabsService.generatePhoneSpeech('Let me check that for you.', 'CA_repeat', 3, baseUrl);
+
+        expect(requests).toHaveLength(2);
+        expect(second.key).toMatch(/^cache\//);
+        expect(second.audioUrl).toBe(`${baseUrl}/audio/${second.key}`);
+        expect(third).toMatchObject({ key: second.key, cached: true });
+        expect(audioJanitor.calls.get('CA_repeat').size).toBe(1);
+    });
+
+    test('with the cache turned off, files left in it are not served', async () => {
+        const text = 'Let me check that for you.';
+        const key = elevenLabsService.getPhoneCacheKey(elevenLabsService.optimizeTextForPhone(text));
+        await ttsCache.put(key, clip, true);
+        config.ttsCache.enabled = false;
+
+        const speech = await elevenLabsService.generatePhoneSpeech(text, 'CA_cache_off', 1, baseUrl);
+
+        expect(requests).toHaveLength(1);
+        expect(speech.cached).toBe(false);
+        expect(speech.key).toMatch(/^CA_cache_off_1_\d+\.wav$/);
+        expect(elevenLabsService.findCachedSpeech(text, { baseUrl })).toBeNull();
+    });
+
+    test('a fixed phrase is voiced once in the background, however often it is asked for', async () => {
+        let respond;
+        release = new Promise(resolve => { respond = resolve; });
+
+        expect(elevenLabsService.findCachedSpeech('Are you still there?', { baseUrl })).toBeNull();
+        expect(elevenLabsService.findCachedSpeech('Are you still there?', { baseUrl })).toBeNull();
+
+        const pending = Array.from(elevenLabsService.pendingPhrases.values());
+        expect(pending).toHaveLength(1);
+
+        respond();
+        await pending[0];
+
+        expect(requests).toHaveLength(1);
+        expect(elevenLabsService.pendingPhrases.size).toBe(0);
+        expect(elevenLabsService.findCachedSpeech('Are you still there?', { baseUrl }))
+            .toMatch(new RegExp(`^${baseUrl}/audio/cache/[0-9a-f]{64}\\.wav$`));
+    });
+
+    test('pre-warming pins fixed phrases and voices each one once', async () => {
+        await elevenLabsService.prewarm([
+            { text: 'Hello! How can I help?' },
+            { text: 'Hello! How can I help?' },
+            { text: 'Goodbye!' }
+        ]);
+
+        expect(requests).toHaveLength(2);
+        expect(ttsCache.load().size).toBe(2);
+        expect(ttsCache.pinned.size).toBe(2);
+    });
+});
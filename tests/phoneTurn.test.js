@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const llmService = require('../src/services/llm');
+const openaiService = require('../src/services/openai');
+const config = require('../src/config');
+
+describe('structured phone turn', () => {
+    let server;
+    let dir;
+    let bodies;
+    let content;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let data = '';
+            req.on('data', chunk => { data += chunk; });
+            req.on('end', () => {
+                bodies.push(JSON.parse(data));
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    model: 'local-test',
+                    choices: [{ message: { role: 'assistant', content }, finish_reason: 'stop' }],
+                    usage: { prompt_tokens: 5, completion_tokens: 5, total_tokens: 10 }
+                }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'phone-turn-'));
+        fs.writeFileSync(path.join(dir, 'providers.json'), JSON.stringify({
+            providers: { local: { type: 'openai-compatible', baseUrl: `http://127.0.0.1:${server.address().port}/v1`, model: 'local-test' } },
+            chains: { default: ['local'] }
+        }));
+        config.llm.providersPath = path.join(dir, 'providers.json');
+        llmService.providers = null;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        bodies = [];
+    });
+
+    test('gets the reply and the analysis from one request', async () => {
+        content = JSON.stringify({
+            reply: 'Sorry about that, Dana. What is your order number?',
+            userName: 'Dana',
+            topic: 'late delivery',
+            mood: 'frustrated',
+            intent: 'track order',
+            shouldEndCall: false
+        });
+
+        const result = await openaiService.generatePhoneResponse([], 'My parcel is late again');
+
+        expect(bodies).toHaveLength(1);
+        expect(bodies[0].response_format).toMatchObject({ type: 'json_schema', json_schema: { name: 'phone_turn', strict: true } });
+        expect(result.response).toBe('Sorry about that, Dana. What is your order number?');
+        expect(result.analysis).toEqual({
+            userName: 'Dana',
+            topic: 'late delivery',
+            mood: 'frustrated',
+            intent: 'track order',
+            shouldEndCall: false
+        });
+    });
+
+    test('strips control markers from the structured reply', async () => {
+        content = JSON.stringify({
+            reply: 'Please enter your 4 digit PIN. [KEYPAD:4] [SMS: Your PIN reset link: https://example.com/pin]',
+            userName: null,
+            topic: 'account',
+            mood: 'neutral',
+            intent: 'verify',
+            shouldEndCall: false
+        });
+
+        const result = await openaiService.generatePhoneResponse([], 'I need to get into my account');
+
+        expect(result.response).toBe('Please enter your 4 digit PIN.');
+        expect(result.keypad).toEqual({ numDigits: 4 });
+        expect(result.sms).toBe('Your PIN reset link: https://example.com/pin');
+        expect(result.transfer).toBe(false);
+    });
+
+    test('uses output that is not JSON as the reply, with the default analysis', async () => {
+        content = 'Let me put you through to the team. [TRANSFER]';
+
+        const result = await openaiService.generatePhoneResponse([], 'Can I talk to someone?');
+
+        expect(result.response).toBe('Let me put you through to the team.');
+        expect(result.transfer).toBe(true);
+        expect(result.analysis).toMatchObject({ topic: 'general', mood: 'neutral', intent: 'conversation' });
+    });
+});
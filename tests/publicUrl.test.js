@@ -0,0 +1,74 @@
+const config = require('../src/config');
+const {
+    getPublicBaseUrl,
+    getUpgradeBaseUrl,
+    buildPublicUrl,
+    buildWebSocketUrl
+} = require('../src/utils/publicUrl');
+
+describe('public URL resolver', () => {
+    const original = {
+        publicBaseUrl: config.server.publicBaseUrl,
+        webhookUrl: config.twilio.webhookUrl
+    };
+
+    // Just enough of an Express request for the resolver
+    function expressRequest(headers, protocol = 'http') {
+        const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+        return { protocol, get: name => lower[name.toLowerCase()] };
+    }
+
+    beforeEach(() => {
+        config.server.publicBaseUrl = undefined;
+        config.twilio.webhookUrl = 'http://localhost:3000/webhook/voice';
+    });
+
+    afterAll(() => {
+        config.server.publicBaseUrl = original.publicBaseUrl;
+        config.twilio.webhookUrl = original.webhookUrl;
+    });
+
+    test('PUBLIC_BASE_URL wins over the request and loses its trailing slash', () => {
+        config.server.publicBaseUrl = 'https://voice.example.com/';
+        const req = expressRequest({ Host: 'internal:3000', 'X-Forwarded-Host': 'proxy.example.com' });
+
+        expect(getPublicBaseUrl(req)).toBe('https://voice.example.com');
+        expect(getUpgradeBaseUrl({ headers: { host: 'internal:3000' }, socket: {} })).toBe('https://voice.example.com');
+    });
+
+    test('uses the first forwarded proto and host behind a proxy', () => {
+        const req = expressRequest({
+            Host: 'internal:3000',
+            'X-Forwarded-Proto': 'https, http',
+            'X-Forwarded-Host': 'abc.ngrok.app, internal:3000'
+        });
+
+        expect(getPublicBaseUrl(req)).toBe('https://abc.ngrok.app');
+    });
+
+    test('falls back to the Host header and request protocol', () => {
+        expect(getPublicBaseUrl(expressRequest({ Host: 'localhost:3000' }))).toBe('http://localhost:3000');
+    });
+
+    test('falls back to the TWILIO_WEBHOOK_URL origin without a request', () => {
+        config.twilio.webhookUrl = 'https://hooks.example.com/webhook/voice';
+
+        expect(getPublicBaseUrl()).toBe('https://hooks.example.com');
+    });
+
+    test('resolves WebSocket upgrades from their raw headers', () => {
+        expect(getUpgradeBaseUrl({ headers: { host: 'a.example.com', 'x-forwarded-proto': 'wss' }, socket: {} }))
+            .toBe('https://a.example.com');
+        expect(getUpgradeBaseUrl({ headers: { host: 'a.example.com' }, socket: { encrypted: true } }))
+            .toBe('https://a.example.com');
+        expect(getUpgradeBaseUrl({ headers: { host: 'localhost:3000' }, socket: {} }))
+            .toBe('http://localhost:3000');
+    });
+
+    test('builds absolute http and WebSocket URLs from the base', () => {
+        expect(buildPublicUrl('audio/a.wav', 'https://voice.example.com')).toBe('https://voice.example.com/audio/a.wav');
+        expect(buildPublicUrl('/webhook/voice', 'https://voice.example.com')).toBe('https://voice.example.com/webhook/voice');
+        expect(buildWebSocketUrl('/media-stream', 'https://voice.example.com')).toBe('wss://voice.example.com/media-stream');
+        expect(buildWebSocketUrl('/media-stream', 'http://localhost:3000')).toBe('ws://localhost:3000/media-stream');
+    });
+});
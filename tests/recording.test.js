@@ -0,0 +1,113 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const voiceController = require('../src/controllers/voice');
+const conversationManager = require('../src/utils/conversation');
+const recordingService = require('../src/services/recording');
+const twilioService = require('../src/services/twilio');
+const config = require('../src/config');
+const { signRequest } = require('../src/utils/twilioSignature');
+
+describe('call recording', () => {
+    const original = { enabled: config.recording.enabled, apiKey: config.server.apiKey };
+
+    // POST a webhook signed the way Twilio would sign it
+    function webhook(path, params) {
+        return request(app)
+            .post(path)
+            .set('Host', 'voice.example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .set('X-Twilio-Signature', signRequest(`https://voice.example.com${path}`, params))
+            .type('form')
+            .send(params);
+    }
+
+    function recordedSession(callSid) {
+        const session = conversationManager.createSession(callSid);
+        session.recording = { status: 'in-progress', optedOut: false, recordings: [] };
+        return session;
+    }
+
+    beforeAll(() => {
+        config.recording.enabled = true;
+        config.server.apiKey = 'secret-key';
+    });
+
+    afterAll(() => {
+        config.recording.enabled = original.enabled;
+        config.server.apiKey = original.apiKey;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reads the consent notice before the greeting and starts recording', async () => {
+        const start = jest.spyOn(recordingService, 'start').mockResolvedValue(null);
+
+        const response = await webhook('/webhook/voice', { CallSid: 'CA_rec_greeting', From: '+15557654321', To: '+15550000000' });
+
+        const disclosureAt = response.text.indexOf(config.recording.disclosure);
+        expect(disclosureAt).toBeGreaterThan(-1);
+        expect(disclosureAt).toBeLessThan(response.text.indexOf('<Gather'));
+        expect(start).toHaveBeenCalledWith('CA_rec_greeting', 'https://voice.example.com');
+        conversationManager.endSession('CA_rec_greeting');
+    });
+
+    test('stops recording when the caller opts out, whatever the apostrophe', async () => {
+        const stop = jest.spyOn(twilioService, 'stopCallRecording').mockResolvedValue({ sid: 'RE1' });
+        const session = recordedSession('CA_rec_optout');
+
+        const result = await voiceController.generateReply('CA_rec_optout', 'Please don’t record this call');
+
+        expect(result.response).toContain('stopped recording');
+        expect(stop).toHaveBeenCalledWith('CA_rec_optout');
+        expect(session.recording).toMatchObject({ status: 'stopped', optedOut: true });
+        expect(recordingService.canOptOut(session)).toBe(false);
+
+        // Twilio still completes the partial recording - the call stays "stopped"
+        await webhook('/webhook/recording-status', {
+            CallSid: 'CA_rec_optout',
+            RecordingSid: 'RE1',
+            RecordingStatus: 'completed',
+            RecordingDuration: '12'
+        }).expect(200);
+        expect(session.recording.status).toBe('stopped');
+        expect(session.recording.recordings).toEqual([expect.objectContaining({ sid: 'RE1', status: 'completed', duration: 12 })]);
+        conversationManager.endSession('CA_rec_optout');
+    });
+
+    test('declines a recording that has not started yet', async () => {
+        const stop = jest.spyOn(twilioService, 'stopCallRecording');
+        const session = recordedSession('CA_rec_pending');
+        session.recording.status = 'requested';
+
+        await recordingService.optOut('CA_rec_pending');
+
+        expect(stop).not.toHaveBeenCalled();
+        expect(session.recording.status).toBe('declined');
+        conversationManager.endSession('CA_rec_pending');
+    });
+
+    test('lists a call\'s recordings only with the API key', async () => {
+        jest.spyOn(twilioService, 'listRecordings').mockResolvedValue([
+            { sid: 'RE2', status: 'completed', duration: '30', channels: 2, source: 'StartCallRecordingAPI' }
+        ]);
+
+        await request(app).get('/api/recordings/CA_rec_list').expect(401);
+        const response = await request(app).get('/api/recordings/CA_rec_list').set('X-API-Key', 'secret-key').expect(200);
+
+        expect(response.body.recordings).toEqual([expect.objectContaining({
+            sid: 'RE2',
+            duration: 30,
+            downloadUrl: '/api/recordings/CA_rec_list/RE2'
+        })]);
+    });
+
+    test('does not download a recording through another call', async () => {
+        jest.spyOn(twilioService, 'getRecording').mockResolvedValue({ sid: 'RE3', callSid: 'CA_someone_else' });
+        const download = jest.spyOn(twilioService, 'downloadRecording');
+
+        await request(app).get('/api/recordings/CA_rec_list/RE3').set('X-API-Key', 'secret-key').expect(404);
+        expect(download).not.toHaveBeenCalled();
+    });
+});
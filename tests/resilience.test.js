@@ -0,0 +1,184 @@
+const resilience = require('../src/utils/resilience');
+const config = require('../src/config');
+
+/**
+ * An error shaped like an axios HTTP error
+ */
+function httpError(status) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status };
+    return error;
+}
+
+describe('resilience policy', () => {
+    beforeAll(() => {
+        Object.assign(config.resilience, {
+            retries: 2,
+            retryBaseMs: 1,
+            retryMaxMs: 2,
+            breakerThreshold: 3,
+            breakerResetMs: 50
+        });
+    });
+
+    describe('retries', () => {
+        test('retries provider-side failures and returns the first success', async () => {
+            const attempts = [];
+            const fn = jest.fn(async attempt => {
+                attempts.push(attempt.number);
+                if (attempt.number < 3) throw httpError(503);
+                return 'ok';
+            });
+
+            await expect(resilience.call('retry-ok', fn)).resolves.toBe('ok');
+            expect(attempts).toEqual([1, 2, 3]);
+        });
+
+        test('gives up after the configured retries', async () => {
+            const fn = jest.fn(async () => { throw httpError(429); });
+
+            await expect(resilience.call('retry-exhausted', fn, { retries: 1 })).rejects.toThrow('429');
+            expect(fn).toHaveBeenCalledTimes(2);
+        });
+
+        test('does not retry or count client errors', async () => {
+            const fn = jest.fn(async () => { throw httpError(400); });
+
+            await expect(resilience.call('client-error', fn)).rejects.toThrow('400');
+            expect(fn).toHaveBeenCalledTimes(1);
+            expect(resilience.getBreaker('client-error').failures).toBe(0);
+        });
+
+        test('lets the caller veto a retry', async () => {
+            const fn = jest.fn(async () => { throw httpError(500); });
+
+            await expect(resilience.call('veto', fn, { canRetry: () => false })).rejects.toThrow('500');
+            expect(fn).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('timeouts and deadlines', () => {
+        test('times out an attempt and aborts its signal', async () => {
+            let signal;
+            const fn = attempt => {
+                signal = attempt.signal;
+                return new Promise(() => {});
+            };
+
+            await expect(resilience.call('slow', fn, { timeoutMs: 20, retries: 0 }))
+                .rejects.toMatchObject({ code: 'TIMEOUT' });
+            expect(signal.aborted).toBe(true);
+        });
+
+        test('extend() restarts the timeout while data keeps arriving', async () => {
+            const fn = attempt => new Promise(resolve => {
+                let chunks = 0;
+                const timer = setInterval(() => {
+                    attempt.extend();
+                    if (++chunks === 5) {
+                        clearInterval(timer);
+                        resolve(chunks);
+                    }
+                }, 15);
+            });
+
+            await expect(resilience.call('streaming', fn, { timeoutMs: 40, retries: 0 })).resolves.toBe(5);
+        });
+
+        test('caps each attempt at the time left in the turn', async () => {
+            let timeoutMs;
+            const fn = attempt => {
+                timeoutMs = attempt.timeoutMs;
+                return new Promise(() => {});
+            };
+
+            await expect(resilience.withDeadline(30, () => resilience.call('turn', fn, { timeoutMs: 5000 })))
+                .rejects.toMatchObject({ code: 'TIMEOUT' });
+            expect(timeoutMs).toBeLessThanOrEqual(30);
+        });
+
+        test('extend() does not run past the turn deadline', async () => {
+            let timer;
+            const fn = attempt => new Promise(() => {
+                timer = setInterval(() => attempt.extend(), 10);
+            });
+
+            const startTime = Date.now();
+            try {
+                await expect(resilience.withDeadline(60, () => resilience.call('trickle', fn, { timeoutMs: 5000, retries: 0 })))
+                    .rejects.toMatchObject({ code: 'TIMEOUT' });
+            } finally {
+                clearInterval(timer);
+            }
+
+            expect(Date.now() - startTime).toBeLessThan(1000);
+        });
+
+        test('fails straight away once the turn is out of time', async () => {
+            const fn = jest.fn();
+
+            await expect(resilience.withDeadline(0, () => resilience.call('late', fn)))
+                .rejects.toMatchObject({ code: 'DEADLINE_EXCEEDED' });
+            expect(fn).not.toHaveBeenCalled();
+        });
+
+        test('releaseDeadline() lifts the limit for the rest of the turn', async () => {
+            const remaining = await resilience.withDeadline(1000, async () => {
+                resilience.releaseDeadline();
+                return resilience.getRemainingMs();
+            });
+
+            expect(remaining).toBe(Infinity);
+            expect(resilience.getRemainingMs()).toBe(Infinity);
+        });
+    });
+
+    describe('circuit breaker', () => {
+        const failing = () => Promise.reject(httpError(502));
+
+        test('opens after consecutive failures, then fails fast', async () => {
+            for (let i = 0; i < 3; i++) {
+                await expect(resilience.call('breaker-open', failing, { retries: 0 })).rejects.toThrow('502');
+            }
+
+            const fn = jest.fn();
+            await expect(resilience.call('breaker-open', fn)).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+            expect(fn).not.toHaveBeenCalled();
+            expect(resilience.getBreakerStates()['breaker-open'].state).toBe('open');
+        });
+
+        test('stops retrying as soon as the breaker opens', async () => {
+            const fn = jest.fn(failing);
+
+            await expect(resilience.call('breaker-retries', fn, { retries: 10 })).rejects.toThrow('502');
+            expect(fn).toHaveBeenCalledTimes(3);
+        });
+
+        test('lets one trial call through after the reset time and closes on success', async () => {
+            for (let i = 0; i < 3; i++) {
+                await expect(resilience.call('breaker-reset', failing, { retries: 0 })).rejects.toThrow('502');
+            }
+            await new Promise(resolve => setTimeout(resolve, 60));
+
+            let release;
+            const trial = resilience.call('breaker-reset', () => new Promise(resolve => { release = resolve; }));
+
+            // Only the trial goes through while the breaker is half-open
+            await expect(resilience.call('breaker-reset', jest.fn())).rejects.toMatchObject({ code: 'CIRCUIT_OPEN' });
+
+            release('ok');
+            await expect(trial).resolves.toBe('ok');
+            expect(resilience.getBreaker('breaker-reset').state).toBe('closed');
+        });
+
+        test('reopens when the trial call fails', async () => {
+            for (let i = 0; i < 3; i++) {
+                await expect(resilience.call('breaker-trial', failing, { retries: 0 })).rejects.toThrow('502');
+            }
+            await new Promise(resolve => setTimeout(resolve, 60));
+
+            await expect(resilience.call('breaker-trial', failing)).rejects.toThrow('502');
+            expect(resilience.getBreaker('breaker-trial').state).toBe('open');
+        });
+    });
+});
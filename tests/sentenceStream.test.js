@@ -0,0 +1,65 @@
+const { ReplyTextExtractor, SentenceSplitter } = require('../src/utils/sentenceStream');
+
+/**
+ * Feed text through a stream object in fixed-size chunks
+ */
+function feed(stream, text, size) {
+    const output = [];
+    for (let i = 0; i < text.length; i += size) {
+        output.push(stream.push(text.slice(i, i + size)));
+    }
+    return output;
+}
+
+describe('ReplyTextExtractor', () => {
+    const turn = '{"reply": "Caf\\u00e9 opens at 9. She said \\"hi\\"\\nBye.", "mood": "happy"}';
+    const expected = 'Café opens at 9. She said "hi"\nBye.';
+
+    test.each([1, 2, 5, 7, turn.length])('decodes the reply split into %i-character chunks', (size) => {
+        const extractor = new ReplyTextExtractor();
+
+        expect(feed(extractor, turn, size).join('')).toBe(expected);
+    });
+
+    test('ignores everything after the reply', () => {
+        const extractor = new ReplyTextExtractor();
+
+        extractor.push('{"reply": "Done."');
+        expect(extractor.push(', "note": "more text"}')).toBe('');
+    });
+
+    test('passes plain text through', () => {
+        const extractor = new ReplyTextExtractor();
+
+        expect(feed(extractor, '  Hello there. How are you?', 4).join('')).toBe('  Hello there. How are you?');
+    });
+});
+
+describe('SentenceSplitter', () => {
+    test('emits sentences as soon as they are complete', () => {
+        const splitter = new SentenceSplitter();
+
+        expect(splitter.push('Thanks for calling our store. How can')).toEqual(['Thanks for calling our store.']);
+        expect(splitter.push(' I help you today? I')).toEqual(['How can I help you today?']);
+        expect(splitter.flush()).toEqual(['I']);
+        expect(splitter.flush()).toEqual([]);
+    });
+
+    test('merges short sentences into the next one', () => {
+        const splitter = new SentenceSplitter();
+
+        expect(splitter.push('Sure. Okay. Your order shipped on Monday. ')).toEqual([
+            'Sure. Okay. Your order shipped on Monday.'
+        ]);
+    });
+
+    test('does not split numbers or text in brackets', () => {
+        const splitter = new SentenceSplitter();
+        const text = 'The total comes to 12.50 dollars today. [SMS: Order 7. Ships Monday. Thanks!] Anything else? ';
+
+        expect(feed(splitter, text, 3).flat()).toEqual([
+            'The total comes to 12.50 dollars today.',
+            '[SMS: Order 7. Ships Monday. Thanks!] Anything else?'
+        ]);
+    });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const request = require('supertest');
+const { app } = require('../src/app');
+const conversationManager = require('../src/utils/conversation');
+const smsOptOut = require('../src/utils/smsOptOut');
+const openaiService = require('../src/services/openai');
+const { signRequest } = require('../src/utils/twilioSignature');
+
+describe('inbound SMS webhook', () => {
+    let generate;
+
+    // POST a text signed the way Twilio would sign it
+    function text(from, body) {
+        const params = { MessageSid: `SM_${Date.now()}`, From: from, To: '+15550000000', Body: body };
+        return request(app)
+            .post('/webhook/sms')
+            .set('Host', 'voice.example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .set('X-Twilio-Signature', signRequest('https://voice.example.com/webhook/sms', params))
+            .type('form')
+            .send(params);
+    }
+
+    beforeEach(() => {
+        generate = jest.spyOn(openaiService, 'generatePhoneResponse').mockImplementation(async (history, userText) => ({
+            response: `You said: ${userText}`,
+            usage: { total_tokens: 10 }
+        }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    afterAll(() => {
+        fs.rmSync(smsOptOut.filePath, { force: true });
+    });
+
+    test('answers a text with the AI reply and keeps the thread', async () => {
+        const first = await text('+15551110001', 'What are your opening hours?');
+        const second = await text('+15551110001', 'And on Sundays?');
+
+        expect(first.text).toContain('<Message>You said: What are your opening hours?</Message>');
+        expect(second.text).toContain('<Message>You said: And on Sundays?</Message>');
+        expect(generate.mock.calls[1][0]).toEqual(expect.arrayContaining([
+            expect.objectContaining({ role: 'user', content: 'What are your opening hours?' })
+        ]));
+        expect(conversationManager.getTextSession('+15551110001').messages).toHaveLength(4);
+    });
+
+    test('treats "YES" from a subscribed number as an answer', async () => {
+        await text('+15551110002', 'Can I move my delivery to Friday?');
+        const response = await text('+15551110002', 'YES');
+
+        expect(response.text).toContain('<Message>You said: YES</Message>');
+        expect(smsOptOut.isOptedOut('+15551110002')).toBe(false);
+    });
+
+    test('STOP opts out silently and START opts back in', async () => {
+        const stop = await text('+15551110003', 'STOP');
+        const ignored = await text('+15551110003', 'Hello?');
+        const start = await text('+15551110003', 'start');
+        const resumed = await text('+15551110003', 'Hello again');
+
+        expect(stop.text).not.toContain('<Message>');
+        expect(ignored.text).not.toContain('<Message>');
+        expect(start.text).not.toContain('<Message>');
+        expect(resumed.text).toContain('<Message>You said: Hello again</Message>');
+        expect(generate).toHaveBeenCalledTimes(1);
+    });
+
+    test('confirms an opt-out sent with an everyday word like CANCEL', async () => {
+        const response = await text('+15551110004', 'Cancel');
+
+        expect(response.text).toContain('<Message>You have been unsubscribed');
+        expect(smsOptOut.isOptedOut('+15551110004')).toBe(true);
+        expect(generate).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,43 @@
+const fs = require('fs');
+const smsOptOut = require('../src/utils/smsOptOut');
+
+describe('smsOptOut', () => {
+    afterAll(() => {
+        fs.rmSync(smsOptOut.filePath, { force: true });
+    });
+
+    test.each([
+        ['STOP', 'opt-out'],
+        ['  stop ', 'opt-out'],
+        ['Unsubscribe', 'opt-out'],
+        ['stopall', 'opt-out'],
+        ['START', 'opt-in'],
+        ['yes', 'opt-in'],
+        ['unstop', 'opt-in']
+    ])('classifies %j as %s', (body, expected) => {
+        expect(smsOptOut.classify(body)).toBe(expected);
+    });
+
+    test.each([
+        'Please stop calling me',
+        'STOP!',
+        'yes please',
+        '',
+        undefined
+    ])('does not treat %j as a keyword', (body) => {
+        expect(smsOptOut.classify(body)).toBeNull();
+    });
+
+    test('remembers opted-out numbers across restarts', () => {
+        smsOptOut.optOut('+15551230000');
+        expect(smsOptOut.isOptedOut('+15551230000')).toBe(true);
+
+        smsOptOut.numbers = new Set();
+        smsOptOut.load();
+        expect(smsOptOut.isOptedOut('+15551230000')).toBe(true);
+
+        smsOptOut.optIn('+15551230000');
+        smsOptOut.load();
+        expect(smsOptOut.isOptedOut('+15551230000')).toBe(false);
+    });
+});
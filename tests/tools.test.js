@@ -0,0 +1,53 @@
+const http = require('http');
+const tools = require('../src/services/tools');
+const resilience = require('../src/utils/resilience');
+const config = require('../src/config');
+
+describe('lookup_order tool', () => {
+    let server;
+    let responses;
+    let requests;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            requests.push(req);
+            const [status, body] = responses.shift();
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        config.tools.orderLookupUrl = `http://127.0.0.1:${server.address().port}/orders/{orderNumber}`;
+        config.resilience.retryBaseMs = 1;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        resilience.breakers.clear();
+    });
+
+    const context = { callSid: 'CA_tools' };
+
+    test('retries a failing order service', async () => {
+        responses = [[503, { error: 'busy' }], [200, { status: 'shipped' }]];
+
+        const call = await tools.execute('lookup_order', JSON.stringify({ orderNumber: 'A 1' }), context);
+
+        expect(call.result).toEqual({ status: 'shipped' });
+        expect(requests.map(req => req.url)).toEqual(['/orders/A%201', '/orders/A%201']);
+        expect(resilience.getBreakerStates().tools.state).toBe('closed');
+    });
+
+    test('reports unknown orders without retrying', async () => {
+        responses = [[404, { error: 'not found' }]];
+
+        const call = await tools.execute('lookup_order', JSON.stringify({ orderNumber: '42' }), context);
+
+        expect(call.result).toEqual({ found: false, orderNumber: '42' });
+        expect(requests).toHaveLength(1);
+    });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const conversationManager = require('../src/utils/conversation');
+const openaiService = require('../src/services/openai');
+const elevenLabsService = require('../src/services/elevenlabs');
+const transferService = require('../src/services/transfer');
+const config = require('../src/config');
+const { signRequest } = require('../src/utils/twilioSignature');
+
+describe('warm transfer', () => {
+    const originalNumbers = config.transfer.agentNumbers;
+
+    // POST a webhook signed the way Twilio would sign it
+    function webhook(path, params) {
+        return request(app)
+            .post(path)
+            .set('Host', 'voice.example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .set('X-Twilio-Signature', signRequest(`https://voice.example.com${path}`, params))
+            .type('form')
+            .send(params);
+    }
+
+    function startTransfer(callSid) {
+        const session = conversationManager.createSession(callSid);
+        conversationManager.addMessage(callSid, 'user', 'I want a refund for order 1234');
+        transferService.start(callSid, 'keyword');
+        return session;
+    }
+
+    beforeAll(() => {
+        config.transfer.agentNumbers = ['+15551110000'];
+    });
+
+    afterAll(() => {
+        config.transfer.agentNumbers = originalNumbers;
+    });
+
+    beforeEach(() => {
+        jest.spyOn(openaiService, 'generateTransferSummary').mockResolvedValue('Caller wants a refund for order 1234.');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('whispers the AI summary to the agent', async () => {
+        startTransfer('CA_transfer_whisper');
+
+        const response = await webhook('/webhook/transfer-whisper?callSid=CA_transfer_whisper', { CallSid: 'CA_agent' });
+
+        expect(response.text).toContain('Incoming transfer from the AI assistant. Caller wants a refund for order 1234.');
+        conversationManager.endSession('CA_transfer_whisper');
+    });
+
+    test('hangs up once an agent has taken the call', async () => {
+        const session = startTransfer('CA_transfer_connected');
+
+        const response = await webhook('/webhook/transfer-complete?callSid=CA_transfer_connected', {
+            CallSid: 'CA_transfer_connected',
+            DialCallStatus: 'completed'
+        });
+
+        expect(response.text).toContain('<Hangup/>');
+        expect(session.transfer.status).toBe('connected');
+        conversationManager.endSession('CA_transfer_connected');
+    });
+
+    test('brings the caller back to the AI when no agent answers', async () => {
+        jest.spyOn(elevenLabsService, 'generatePhoneSpeech').mockRejectedValue(new Error('offline'));
+        const session = startTransfer('CA_transfer_missed');
+
+        const response = await webhook('/webhook/transfer-complete?callSid=CA_transfer_missed', {
+            CallSid: 'CA_transfer_missed',
+            DialCallStatus: 'no-answer'
+        });
+
+        expect(response.text).toContain(transferService.getAnnouncement('unavailable'));
+        expect(response.text).toContain('<Gather');
+        expect(response.text).not.toContain('<Dial');
+        expect(session.transfer).toMatchObject({ status: 'unavailable', dialStatus: 'no-answer' });
+        expect(session.messages[session.messages.length - 1]).toMatchObject({
+            role: 'assistant',
+            content: transferService.getAnnouncement('unavailable')
+        });
+        // One attempt per call - the AI takes a message from here
+        expect(transferService.canTransfer(session)).toBe(false);
+        conversationManager.endSession('CA_transfer_missed');
+    });
+});
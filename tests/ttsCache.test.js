@@ -0,0 +1,133 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ttsCache = require('../src/services/ttsCache');
+const config = require('../src/config');
+
+describe('ttsCache', () => {
+    const clip = Buffer.alloc(100, 0xff);
+    const wavBytes = 44 + clip.length;
+    let clock;
+
+    beforeEach(() => {
+        config.ttsCache.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+        Object.assign(config.ttsCache, { enabled: true, maxEntries: 3, maxBytes: 10 * wavBytes });
+        config.audioJanitor.fetchGraceMs = 1000;
+
+        ttsCache.entries = null;
+        ttsCache.pinned.clear();
+        ttsCache.seen.clear();
+        ttsCache.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+        clock = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => clock);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        fs.rmSync(config.ttsCache.dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Cache a phrase, then let the fetch grace period pass
+     */
+    async function putAged(key, pinned = false) {
+        await ttsCache.put(key, clip, pinned);
+        clock += 2000;
+    }
+
+    test('returns the cached audio without its WAV header', async () => {
+        await ttsCache.put('hello', clip);
+
+        expect((await ttsCache.get('hello')).equals(clip)).toBe(true);
+        expect(await ttsCache.get('missing')).toBeNull();
+        expect(ttsCache.getStats()).toMatchObject({ entries: 1, bytes: wavBytes, hits: 1, misses: 1, hitRate: 0.5 });
+    });
+
+    test('evicts the least recently used phrases past TTS_CACHE_MAX_ENTRIES', async () => {
+        await putAged('a');
+        await putAged('b');
+        await putAged('c');
+
+        // Using "a" makes "b" the least recently used
+        ttsCache.has('a');
+        clock += 2000;
+        await putAged('d');
+
+        expect(Array.from(ttsCache.load().keys()).sort()).toEqual(['a', 'c', 'd']);
+        expect(ttsCache.stats.evictions).toBe(1);
+        expect(await ttsCache.get('b')).toBeNull();
+    });
+
+    test('evicts past TTS_CACHE_MAX_MB', async () => {
+        config.ttsCache.maxBytes = 2 * wavBytes;
+
+        await putAged('a');
+        await putAged('b');
+        await putAged('c');
+
+        expect(Array.from(ttsCache.load().keys()).sort()).toEqual(['b', 'c']);
+        expect(ttsCache.bytes).toBe(2 * wavBytes);
+    });
+
+    test('never evicts pinned phrases', async () => {
+        await putAged('greeting', true);
+        ttsCache.pin('goodbye');
+        await putAged('goodbye');
+        await putAged('x');
+        await putAged('y');
+        await putAged('z');
+
+        const keys = Array.from(ttsCache.load().keys());
+        expect(keys).toEqual(expect.arrayContaining(['greeting', 'goodbye']));
+        expect(keys).toHaveLength(3);
+    });
+
+    test('keeps phrases Twilio may still be fetching, even over the limit', async () => {
+        await ttsCache.put('a', clip);
+        await ttsCache.put('b', clip);
+        await ttsCache.put('c', clip);
+        await ttsCache.put('d', clip);
+
+        expect(ttsCache.load().size).toBe(4);
+
+        clock += 2000;
+        ttsCache.evict();
+        expect(ttsCache.load().size).toBe(3);
+    });
+
+    test('indexes the files already on disk at startup', async () => {
+        await ttsCache.put('kept', clip);
+        ttsCache.entries = null;
+
+        expect(ttsCache.load().has('kept')).toBe(true);
+        expect(ttsCache.bytes).toBe(wavBytes);
+    });
+
+    test('caches pinned phrases straight away and others once they come up again', () => {
+        expect(ttsCache.shouldCache('greeting', true)).toBe(true);
+
+        ttsCache.pin('reprompt');
+        expect(ttsCache.shouldCache('reprompt')).toBe(true);
+
+        expect(ttsCache.shouldCache('reply')).toBe(false);
+        expect(ttsCache.shouldCache('reply')).toBe(true);
+    });
+
+    test('only remembers as many one-off phrases as the cache holds', () => {
+        ['a', 'b', 'c', 'd'].forEach(key => expect(ttsCache.shouldCache(key)).toBe(false));
+
+        // "a" was forgotten to make room for "d"
+        expect(ttsCache.shouldCache('a')).toBe(false);
+        expect(ttsCache.shouldCache('d')).toBe(true);
+    });
+
+    test('does nothing when disabled', async () => {
+        config.ttsCache.enabled = false;
+
+        await ttsCache.put('hello', clip);
+
+        expect(ttsCache.shouldCache('hello', true)).toBe(false);
+        expect(await ttsCache.get('hello')).toBeNull();
+    });
+});
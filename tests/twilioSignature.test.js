@@ -0,0 +1,73 @@
+const express = require('express');
+const request = require('supertest');
+const validateTwilioSignature = require('../src/middleware/twilioSignature');
+const { validateUpgradeSignature } = validateTwilioSignature;
+const { signRequest } = require('../src/utils/twilioSignature');
+
+describe('validateTwilioSignature', () => {
+    const app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use('/webhook', validateTwilioSignature);
+    app.post('/webhook/voice', (req, res) => res.send('ok'));
+
+    const params = { CallSid: 'CA123', From: '+15551234567' };
+
+    test('accepts a request signed for its URL and body', async () => {
+        const response = await request(app)
+            .post('/webhook/voice')
+            .set('Host', 'example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .set('X-Twilio-Signature', signRequest('https://example.com/webhook/voice', params))
+            .type('form')
+            .send(params);
+
+        expect(response.status).toBe(200);
+    });
+
+    test('rejects a tampered body', async () => {
+        const response = await request(app)
+            .post('/webhook/voice')
+            .set('Host', 'example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .set('X-Twilio-Signature', signRequest('https://example.com/webhook/voice', params))
+            .type('form')
+            .send({ ...params, From: '+15559999999' });
+
+        expect(response.status).toBe(403);
+    });
+
+    test('rejects a request without a signature', async () => {
+        const response = await request(app)
+            .post('/webhook/voice')
+            .type('form')
+            .send(params);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('validateUpgradeSignature', () => {
+    function upgradeRequest(headers) {
+        return {
+            url: '/media-stream',
+            headers: { host: 'example.com', 'x-forwarded-proto': 'https', ...headers },
+            socket: {}
+        };
+    }
+
+    test('accepts an upgrade signed for the wss:// URL', () => {
+        const signature = signRequest('wss://example.com/media-stream');
+
+        expect(validateUpgradeSignature(upgradeRequest({ 'x-twilio-signature': signature }))).toBe(true);
+    });
+
+    test('rejects an upgrade signed for another host', () => {
+        const signature = signRequest('wss://attacker.example/media-stream');
+
+        expect(validateUpgradeSignature(upgradeRequest({ 'x-twilio-signature': signature }))).toBe(false);
+    });
+
+    test('rejects an unsigned upgrade', () => {
+        expect(validateUpgradeSignature(upgradeRequest({}))).toBe(false);
+    });
+});
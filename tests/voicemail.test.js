@@ -0,0 +1,91 @@
+const request = require('supertest');
+const { app } = require('../src/app');
+const conversationManager = require('../src/utils/conversation');
+const elevenLabsService = require('../src/services/elevenlabs');
+const twilioService = require('../src/services/twilio');
+const config = require('../src/config');
+const { signRequest } = require('../src/utils/twilioSignature');
+
+describe('answering-machine detection', () => {
+    // POST a webhook signed the way Twilio would sign it
+    function webhook(path, params) {
+        return request(app)
+            .post(path)
+            .set('Host', 'voice.example.com')
+            .set('X-Forwarded-Proto', 'https')
+            .set('X-Twilio-Signature', signRequest(`https://voice.example.com${path}`, params))
+            .type('form')
+            .send(params);
+    }
+
+    function answer(callSid, answeredBy) {
+        conversationManager.createSession(callSid, { userName: 'Sam' });
+        return webhook('/webhook/voice', {
+            CallSid: callSid,
+            From: config.twilio.phoneNumber,
+            To: '+15557654321',
+            Direction: 'outbound-api',
+            AnsweredBy: answeredBy
+        });
+    }
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('leaves the voicemail on a machine and hangs up', async () => {
+        jest.spyOn(elevenLabsService, 'generatePhoneSpeech').mockRejectedValue(new Error('offline'));
+
+        const response = await answer('CA_amd_machine', 'machine_end_beep');
+        const session = conversationManager.getSession('CA_amd_machine');
+
+        expect(response.text).toContain('<Say voice="alice">Hi Sam, this is the AI assistant calling.');
+        expect(response.text).toContain('1 5 5 5 0 0 0 0 0 0 0');
+        expect(response.text).toMatch(/<Hangup\/><\/Response>$/);
+        expect(response.text).not.toContain('<Gather');
+        expect(session.amd).toMatchObject({ answeredBy: 'machine_end_beep', voicemailLeft: true });
+        conversationManager.endSession('CA_amd_machine');
+    });
+
+    test('plays the ElevenLabs voicemail when it is available', async () => {
+        jest.spyOn(elevenLabsService, 'generatePhoneSpeech').mockResolvedValue({ audioUrl: 'https://voice.example.com/audio/vm.wav' });
+
+        const response = await answer('CA_amd_audio', 'machine_end_other');
+
+        expect(response.text).toContain('<Play>https://voice.example.com/audio/vm.wav</Play><Hangup/>');
+        conversationManager.endSession('CA_amd_audio');
+    });
+
+    test('hangs up on a fax without leaving a message', async () => {
+        const speech = jest.spyOn(elevenLabsService, 'generatePhoneSpeech');
+
+        const response = await answer('CA_amd_fax', 'fax');
+
+        expect(response.text).toMatch(/<Response><Hangup\/><\/Response>$/);
+        expect(speech).not.toHaveBeenCalled();
+        expect(conversationManager.getSession('CA_amd_fax').amd.voicemailLeft).toBe(false);
+        conversationManager.endSession('CA_amd_fax');
+    });
+
+    test('greets a human as usual', async () => {
+        const response = await answer('CA_amd_human', 'human');
+
+        expect(response.text).toContain('<Gather');
+        expect(conversationManager.getSession('CA_amd_human').amd.voicemailLeft).toBe(false);
+        conversationManager.endSession('CA_amd_human');
+    });
+
+    test('outbound calls ask Twilio for detection unless turned off', async () => {
+        const create = jest.spyOn(twilioService.client.calls, 'create').mockResolvedValue({ sid: 'CA_outbound' });
+
+        await twilioService.makeCall('+15557654321', 'https://voice.example.com');
+        await twilioService.makeCall('+15557654321', 'https://voice.example.com', { machineDetection: false });
+
+        expect(create.mock.calls[0][0]).toMatchObject({
+            url: 'https://voice.example.com/webhook/voice',
+            machineDetection: config.amd.mode,
+            machineDetectionTimeout: config.amd.timeout
+        });
+        expect(create.mock.calls[1][0]).not.toHaveProperty('machineDetection');
+    });
+});
@@ -7,15 +7,17 @@
 
 require('dotenv').config();
 const twilio = require('twilio');
+const { getPublicBaseUrl, buildPublicUrl } = require('./src/utils/publicUrl');
 
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
 const phoneNumber = process.env.TWILIO_PHONE_NUMBER;
 
-// Your Railway deployment URL (permanent and stable)
-const RAILWAY_URL = 'https://web-production-cb494.up.railway.app';
-const WEBHOOK_URL = `${RAILWAY_URL}/webhook/voice`;
-const STATUS_CALLBACK_URL = `${RAILWAY_URL}/webhook/status`;
+// Public deployment URL - set PUBLIC_BASE_URL (Railway, ngrok, staging...)
+const PUBLIC_BASE_URL = getPublicBaseUrl();
+const WEBHOOK_URL = buildPublicUrl('/webhook/voice', PUBLIC_BASE_URL);
+const STATUS_CALLBACK_URL = buildPublicUrl('/webhook/status', PUBLIC_BASE_URL);
+const SMS_WEBHOOK_URL = buildPublicUrl('/webhook/sms', PUBLIC_BASE_URL);
 
 const client = twilio(accountSid, authToken);
 
@@ -25,6 +27,7 @@ async function updateWebhook() {
         console.log(`📞 Phone Number: ${phoneNumber}`);
         console.log(`🌐 Webhook URL: ${WEBHOOK_URL}`);
         console.log(`📊 Status Callback: ${STATUS_CALLBACK_URL}`);
+        console.log(`💬 SMS Webhook URL: ${SMS_WEBHOOK_URL}`);
         
         // Find the phone number resource
         const phoneNumbers = await client.incomingPhoneNumbers.list({
@@ -44,12 +47,15 @@ async function updateWebhook() {
                 voiceUrl: WEBHOOK_URL,
                 voiceMethod: 'POST',
                 statusCallback: STATUS_CALLBACK_URL,
-                statusCallbackMethod: 'POST'
+                statusCallbackMethod: 'POST',
+                smsUrl: SMS_WEBHOOK_URL,
+                smsMethod: 'POST'
             });
         
         console.log('✅ Webhook updated successfully!');
         console.log(`📞 Voice URL: ${updatedNumber.voiceUrl}`);
         console.log(`📊 Status Callback: ${updatedNumber.statusCallback}`);
+        console.log(`💬 SMS URL: ${updatedNumber.smsUrl}`);
         console.log('');
         console.log('🎉 Your conversational AI is now ready for phone testing!');
         console.log(`📞 Call ${phoneNumber} to test your AI system!`);
@@ -70,7 +76,8 @@ async function updateWebhook() {
         console.log(`3. Click on ${phoneNumber}`);
         console.log(`4. Set Voice webhook to: ${WEBHOOK_URL}`);
         console.log('5. Set HTTP method to POST');
-        console.log('6. Save the configuration');
+        console.log(`6. Set Messaging webhook to: ${SMS_WEBHOOK_URL}`);
+        console.log('7. Save the configuration');
     }
 }
 